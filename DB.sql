@@ -1,5 +1,129 @@
+CREATE TABLE schema_version (
+  version INTEGER PRIMARY KEY,
+  description TEXT,
+  applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash TEXT NOT NULL,
+  password_salt TEXT NOT NULL,
+  password_iterations INTEGER NOT NULL,
+  is_admin INTEGER NOT NULL DEFAULT 0,
+  session_version INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE folders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  owner_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (owner_id, name)
+);
+
+CREATE TABLE folder_members (
+  folder_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  permission TEXT NOT NULL DEFAULT 'read',
+  PRIMARY KEY (folder_id, user_id)
+);
+
 CREATE TABLE totp_keys (
-  name TEXT PRIMARY KEY,
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  owner_id INTEGER,
+  folder_id INTEGER,
+  name TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  iv TEXT,
+  key_id TEXT,
+  issuer TEXT,
+  digits INTEGER NOT NULL DEFAULT 6,
+  period INTEGER NOT NULL DEFAULT 30,
+  algorithm TEXT NOT NULL DEFAULT 'SHA-1',
+  encoder TEXT,
+  type TEXT NOT NULL DEFAULT 'totp',
+  counter INTEGER NOT NULL DEFAULT 0,
+  notes TEXT,
+  tags TEXT,
+  verified_counter INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP
+);
+CREATE UNIQUE INDEX idx_totp_keys_owner_name ON totp_keys (owner_id, name) WHERE deleted_at IS NULL;
+
+CREATE TABLE key_preferences (
+  user_id INTEGER NOT NULL,
+  key_id INTEGER NOT NULL,
+  pinned INTEGER NOT NULL DEFAULT 0,
+  sort_order INTEGER,
+  PRIMARY KEY (user_id, key_id)
+);
+
+CREATE TABLE audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  action TEXT NOT NULL,
+  user_id INTEGER,
+  username TEXT,
+  key_name TEXT,
+  ip TEXT,
+  user_agent TEXT,
+  outcome TEXT NOT NULL,
+  detail TEXT
+);
+CREATE INDEX idx_audit_log_created_at ON audit_log (created_at);
+
+CREATE TABLE login_attempts (
+  scope TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  locked_until INTEGER,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE mfa_totp (
+  user_id INTEGER PRIMARY KEY,
   secret TEXT NOT NULL,
+  iv TEXT,
+  key_id TEXT,
+  confirmed INTEGER NOT NULL DEFAULT 0,
+  last_counter INTEGER NOT NULL DEFAULT -1,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
+
+CREATE TABLE webauthn_credentials (
+  id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  public_key TEXT NOT NULL,
+  algorithm INTEGER NOT NULL,
+  sign_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP
+);
+
+CREATE TABLE recovery_codes (
+  user_id INTEGER NOT NULL,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMP,
+  PRIMARY KEY (user_id, code_hash)
+);
+
+CREATE TABLE auth_challenges (
+  challenge TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  purpose TEXT NOT NULL,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE TABLE app_secrets (
+  name TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE revoked_sessions (
+  session_id TEXT PRIMARY KEY,
+  expires_at INTEGER NOT NULL
+);
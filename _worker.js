@@ -4,7 +4,10 @@
  * @description
  * 这是一个部署在 Cloudflare Workers 上的全功能 TOTP 应用。
  * 它使用 Cloudflare D1 数据库作为后端存储，以保证数据的强一致性和即时更新。
- * 用户可以通过密码访问，管理（添加、删除）TOTP 密钥，并查看实时生成的6位验证码。
+ * 用户可以通过密码访问，管理（添加、编辑、删除、分组和排序）TOTP 密钥，通过二维码导入和迁移密钥，并查看实时生成的验证码（支持自定义位数、时间步长和哈希算法）。
+ * 配置 Cron 触发器后，Worker 会定时把密钥加密备份到 R2 或 KV，并清理回收站与审计日志。
+ * 页面可以安装为 PWA，密钥列表加密缓存在浏览器中，网络或 Worker 不可用时仍能离线生成验证码。
+ * 界面提供中文和英文两种语言，并支持屏幕阅读器和纯键盘操作。
  *
  * 主要技术栈:
  * - 运行时: Cloudflare Workers
@@ -19,9 +22,24 @@ export default {
    * @param {object} env - 包含环境变量和绑定的服务（如 D1 数据库）。
    * @returns {Promise<Response>} - 返回给客户端的 HTTP 响应。
    */
-  async fetch(request, env) {
-    return handleRequest(request, env);
-  },
+  async fetch(request, env) {
+    return handleRequest(request, env);
+  },
+
+  /**
+   * Cron 触发器的入口点：保存加密快照，清除回收站中超过保留期的密钥和过期的审计日志。
+   * @param {ScheduledController} controller
+   * @param {object} env
+   * @param {ExecutionContext} ctx
+   */
+  async scheduled(controller, env, ctx) {
+    const databaseProblem = await prepareDatabase(env);
+    if (databaseProblem) {
+      console.error(databaseProblem.message);
+      return;
+    }
+    ctx.waitUntil(Promise.all([backupVault(env), purgeTrash(env), pruneAuditLog(env)]));
+  },
 };
 
 /**
@@ -31,10 +49,7 @@ export default {
  * @returns {Promise<Response>}
  */
 async function handleRequest(request, env) {
-  const url = new URL(request.url);
-  const ACCESS_PASSWORD = env.ACCESS_PASSWORD;
-  // 从环境中获取 D1 数据库的绑定
-  const DB = env.DB; 
+  const url = new URL(request.url);
 
   // 为所有动态 HTML 响应定义标准的、禁止缓存的 HTTP 头
   const noCacheHeaders = {
@@ -44,441 +59,6959 @@ async function handleRequest(request, env) {
     'Expires': '0'      // 兼容代理服务器
   };
 
-  // --- 处理 POST 请求 (用于执行添加、删除、认证等操作) ---
-  if (request.method === 'POST') {
-    const formData = await request.formData();
-    const password = formData.get('password');
-    const action = formData.get('action');
-
-    // 对所有写操作进行密码验证
-    if (password !== ACCESS_PASSWORD) {
-      return new Response('Unauthorized: Invalid password', { status: 401 });
-    }
-
-    // 根据 'action' 参数执行不同的数据库操作
-    switch (action) {
-      case 'add': {
-        const name = formData.get('name');
-        const secret = formData.get('secret');
-        if (name && secret) {
-          try {
-            new TOTP(secret); // 在写入前，先在服务器端校验密钥格式的合法性
-            
-            // 将新的密钥数据插入 D1 数据库
-            await DB.prepare("INSERT INTO totp_keys (name, secret) VALUES (?, ?)")
-                    .bind(name, secret)
-                    .run();
-            return new Response('Key added successfully!', { status: 200 });
-          } catch(e) {
-            // 如果密钥格式错误，或名称重复（主键冲突），D1 会抛出错误
-            return new Response(`添加失败: ${e.message}`, { status: 400 });
-          }
-        }
-        return new Response('Missing name or secret', { status: 400 });
-      }
-      case 'delete': {
-        const keyToDelete = formData.get('key');
-        if (keyToDelete) {
-          // 从 D1 数据库中删除指定的密钥
-          await DB.prepare("DELETE FROM totp_keys WHERE name = ?")
-                  .bind(keyToDelete)
-                  .run();
-          return new Response('Key deleted successfully!', { status: 200 });
-        }
-        return new Response('Missing key to delete', { status: 400 });
-      }
-      case 'auth':
-        // 'auth' 操作仅用于验证密码，成功后返回200 OK，由前端进行跳转
-        return new Response(null, { status: 200 });
-      default:
-        return new Response('Invalid action', { status: 400 });
-    }
-  }
+  // PWA 的清单、图标与 Service Worker 不依赖数据库，数据库不可用时也能加载
+  const asset = request.method === 'GET' && pwaAssetResponse(url.pathname);
+  if (asset) return asset;
 
-  // --- 处理 GET 请求 (用于渲染页面) ---
-  const isAuthenticated = url.searchParams.get('auth') === 'true';
+  // 页面语言取自语言 Cookie 或 Accept-Language，页面内容与表单操作的错误消息因此随这两个请求头变化
+  const lang = pageLanguage(request);
 
-  // 如果用户未通过身份验证，则显示密码登录页面
-  if (!isAuthenticated) {
-    return new Response(passwordFormHtml(), { headers: noCacheHeaders });
-  }
+  // 未绑定数据库或迁移失败时显示说明页面，而不是抛出未处理的异常
+  const databaseProblem = await prepareDatabase(env);
+  if (databaseProblem) return databaseErrorResponse(url, databaseProblem, lang, noCacheHeaders);
 
-  // 从D1数据库查询所有密钥以渲染主页面
-  const { results } = await DB.prepare("SELECT name, secret FROM totp_keys ORDER BY name ASC").all();
-  const totpKeys = {};
-  if (results) {
-    for (const row of results) {
-      totpKeys[row.name] = row.secret;
-    }
+  // --- JSON REST API (使用 Bearer 令牌或页面会话认证) ---
+  if (url.pathname.startsWith('/api/')) {
+    return handleApiRequest(request, env, url);
   }
 
-  // 渲染并返回包含所有密钥的主应用页面
-  return new Response(await appHtml(totpKeys, ACCESS_PASSWORD), { headers: noCacheHeaders });
-}
+  const user = await getSessionUser(request, env);
 
-/**
- * 生成密码登录页面的 HTML。
- * @returns {string} 登录页的完整 HTML 字符串。
- */
-function passwordFormHtml() {
-  return `
-<!DOCTYPE html>
-<html lang="zh-CN"><head>
-<meta charset="UTF-8"><title>身份验证</title>
-<meta name="viewport" content="width=device-width, initial-scale=1">
-<style>
-:root {
-  --bg-color: #f8f9fa; --text-color: #212529; --card-bg: #ffffff;
-  --accent-color: #0d6efd; --accent-hover: #0b5ed7; --border-color: #dee2e6;
-  --shadow-color: rgba(0, 0, 0, 0.05);
-}
-body { 
-  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-  background-color: var(--bg-color); color: var(--text-color);
-  display: flex; align-items: center; justify-content: center;
-  height: 100vh; margin: 0;
-}
-.container { 
-  background-color: var(--card-bg);
-  padding: 2.5rem; border-radius: 12px;
-  box-shadow: 0 4px 20px var(--shadow-color);
-  text-align: center; max-width: 320px; width: 100%;
-}
-h2 { margin-top: 0; margin-bottom: 1.5rem; font-weight: 600; }
-input { 
-  font-size: 1rem; padding: 0.75rem; width: 100%; box-sizing: border-box;
-  margin-bottom: 1.5rem; border-radius: 8px; border: 1px solid var(--border-color);
-  background-color: var(--bg-color); color: var(--text-color);
-  transition: border-color 0.2s, box-shadow 0.2s;
-}
-input:focus { border-color: var(--accent-color); box-shadow: 0 0 0 3px color-mix(in srgb, var(--accent-color) 25%, transparent); outline: none; }
-button { 
-  font-size: 1rem; font-weight: 500; padding: 0.75rem; width: 100%;
-  background-color: var(--accent-color); color: white; border: none;
-  border-radius: 8px; cursor: pointer; transition: background-color 0.2s;
-}
-button:hover { background-color: var(--accent-hover); }
-</style>
-</head>
-<body>
-  <div class="container">
-    <h2>请输入访问密码</h2>
-    <form id="form">
-      <input type="password" id="password" placeholder="密码" required>
-      <button type="submit">进 入</button>
-    </form>
-  </div>
-  <script>
-    document.getElementById('form').addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const password = document.getElementById('password').value;
-      const res = await fetch('/', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: 'password=' + encodeURIComponent(password) + '&action=auth'
-      });
-      if (res.ok) {
-        window.location.href = '/?auth=true';
-      } else {
-        alert('密码错误');
-        document.getElementById('password').value = '';
+  // --- 处理 POST 请求 (用于执行添加、删除、认证等操作) ---
+  if (request.method === 'POST') {
+    const formData = await request.formData();
+    const action = formData.get('action');
+
+    // 'auth' 操作是唯一不需要会话的操作：验证用户名和密码后签发会话 Cookie
+    if (action === 'auth') {
+      // 锁定期内不再比较密码，避免成为无限次尝试的密码预言机
+      const username = (formData.get('username') || '').trim();
+      const account = loginAccount(username);
+      const lockedFor = await loginLockout(env, request, account);
+      if (lockedFor) {
+        await audit(env, request, { action: 'login', outcome: 'failure', detail: 'Locked out' });
+        return loginLockedResponse(lockedFor, lang);
       }
-    });
-  </script>
-</body></html>`;
-}
+      // 第一次登录前由 ACCESS_PASSWORD 创建管理员账户
+      await bootstrapAdmin(env);
+      const authenticated = await authenticateUser(env, username, formData.get('password') || '');
+      if (!authenticated) {
+        await audit(env, request, { action: 'login', outcome: 'failure', detail: `Invalid credentials for "${username}"` });
+        const wait = await recordLoginFailure(env, request, account);
+        return wait
+          ? loginLockedResponse(wait, lang)
+          : new Response(formatMessage(MESSAGES[lang], 'login.invalid'), { status: 401 });
+      }
+      // 启用了两步验证时只签发短期的待验证 Cookie，由 'auth_mfa' 完成登录
+      const mfa = await getMfaStatus(env, authenticated.id);
+      if (mfaRequired(mfa)) {
+        await audit(env, request, { action: 'login_password', user: authenticated, outcome: 'success' });
+        const pending = await createSessionToken(env, MFA_PENDING_TTL, authenticated.id, 'mfa');
+        return json({ mfa: { totp: mfa.totp, webauthn: mfa.passkeys.length > 0 } }, 200, {
+          'Cache-Control': 'no-store',
+          'Set-Cookie': sessionCookie(pending, MFA_PENDING_TTL, MFA_COOKIE),
+        });
+      }
+      return completeLogin(env, request, authenticated);
+    }
 
-/**
- * 生成主应用界面的 HTML，包含所有 TOTP 密钥的实时验证码。
- * @param {object} totpKeys - 包含所有密钥的对象，格式为 { name: secret }。
- * @param {string} ACCESS_PASSWORD - 访问密码，需要注入到客户端脚本中用于后续操作的认证。
- * @returns {Promise<string>} 主应用页面的完整 HTML 字符串。
- */
-async function appHtml(totpKeys, ACCESS_PASSWORD) {
-  const ICONS = {
-    copy: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>`,
-    trash: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>`,
-    sun: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>`,
-    moon: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>`,
-    plus: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>`
-  };
+    // 第二步：使用验证器验证码、恢复码或通行密钥完成登录，失败次数与密码错误一起计入锁定
+    if (action === 'auth_mfa' || action === 'webauthn_login_options') {
+      // 待验证令牌同样受会话版本约束：等待第二因素期间密码被修改或重置时需要重新输入密码
+      const pendingUser = await sessionUser(env, await getSession(request, env, MFA_COOKIE, 'mfa'));
+      // 401 表示需要重新输入密码，第二因素不正确时返回 422
+      if (!pendingUser) {
+        return new Response(formatMessage(MESSAGES[lang], 'login.expired'), { status: 401 });
+      }
+      const account = loginAccount(pendingUser.username);
+      const lockedFor = await loginLockout(env, request, account);
+      if (lockedFor) {
+        await audit(env, request, { action: 'login', user: pendingUser, outcome: 'failure', detail: 'Locked out' });
+        return loginLockedResponse(lockedFor, lang);
+      }
+      if (action === 'webauthn_login_options') {
+        return json(await webauthnLoginOptions(env, pendingUser.id, url), 200, { 'Cache-Control': 'no-store' });
+      }
+      const method = formData.get('method');
+      let verified = false;
+      if (method === 'totp') {
+        try {
+          verified = await verifyTotpFactor(env, pendingUser.id, formData.get('code'));
+        } catch (e) {
+          // 验证器密钥无法解密不是验证码错误，不计入失败次数；用户仍可改用恢复码或通行密钥
+          await audit(env, request, { action: 'login', user: pendingUser, outcome: 'failure', detail: 'Authenticator secret cannot be decrypted' });
+          return new Response(errorMessage(lang, e), { status: 503 });
+        }
+      } else if (method === 'recovery') {
+        verified = await useRecoveryCode(env, pendingUser.id, formData.get('code'));
+      } else if (method === 'webauthn') {
+        verified = await verifyWebauthnAssertion(env, pendingUser.id, url, parseCredentialField(formData.get('credential')));
+      }
+      if (!verified) {
+        await audit(env, request, { action: 'login', user: pendingUser, outcome: 'failure', detail: `Invalid ${method} second factor` });
+        const wait = await recordLoginFailure(env, request, account);
+        return wait
+          ? loginLockedResponse(wait, lang)
+          : new Response(formatMessage(MESSAGES[lang], 'login.failed'), { status: 422 });
+      }
+      // 待验证令牌只能完成一次登录
+      await revokeSession(request, env, MFA_COOKIE, 'mfa');
+      return completeLogin(env, request, pendingUser, method);
+    }
 
-  let cardsHtml = '';
-  for (const name in totpKeys) {
-    const secret = totpKeys[name];
-    try {
-      const token = await new TOTP(secret).generate();
-      cardsHtml += `
-      <div class="totp-card" data-name="${name}">
-        <div class="card-header">
-          <span class="name">${name}</span>
-          <div class="actions">
-            <button class="icon-btn" onclick="copy('${token}')" title="复制">${ICONS.copy}</button>
-            <button class="icon-btn danger" onclick="remove('${name}')" title="删除">${ICONS.trash}</button>
-          </div>
-        </div>
-        <div class="token">${token.slice(0, 3)} ${token.slice(3)}</div>
-        <div class="progress-bar-container"><div class="progress-bar"></div></div>
-      </div>`;
-    } catch (e) {
-      cardsHtml += `
-      <div class="totp-card error-card" data-name="${name}">
-        <div class="card-header">
-          <span class="name">${name}</span>
-          <div class="actions">
-            <button class="icon-btn danger" onclick="remove('${name}')" title="删除">${ICONS.trash}</button>
-          </div>
-        </div>
-        <div class="token-error">密钥格式错误</div>
-        <div class="token-error-detail">${e.message}</div>
-      </div>`;
-    }
-  }
+    // 其余所有操作都必须携带有效的会话 Cookie
+    if (!user) {
+      return new Response(formatMessage(MESSAGES[lang], 'error.sessionExpired'), { status: 401 });
+    }
 
-  return `
-<!DOCTYPE html>
-<html lang="zh-CN"><head>
-<meta charset="UTF-8"><title>我的验证码</title>
-<meta name="viewport" content="width=device-width, initial-scale=1">
-<style>
-/* 具体的CSS样式，定义了页面的外观和响应式布局 */
-:root {
-  --bg-color: #f8f9fa; --text-color: #212529; --card-bg: #ffffff;
-  --accent-color: #0d6efd; --accent-hover: #0b5ed7; --border-color: #dee2e6;
-  --shadow-color: rgba(0, 0, 0, 0.05); --danger-color: #dc3545;
-  --code-font: "Menlo", "Monaco", "Consolas", "Courier New", monospace;
-}
-body.dark {
-  --bg-color: #121212; --text-color: #e9ecef; --card-bg: #1e1e1e;
-  --accent-color: #2586fd; --accent-hover: #1c7ed6; --border-color: #343a40;
-  --shadow-color: rgba(0, 0, 0, 0.2); --danger-color: #e03142;
-}
-body { 
-  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-  background-color: var(--bg-color); color: var(--text-color); margin: 0;
-  padding: 2rem 1rem; transition: background-color 0.3s, color 0.3s;
-}
-.main-container { max-width: 600px; margin: 0 auto; display: grid; gap: 2rem; }
-.top-bar { display: flex; justify-content: space-between; align-items: center; }
-.top-bar h2 { margin: 0; font-size: 1.75rem; font-weight: 700; }
-.top-bar .controls { display: flex; align-items: center; gap: 0.5rem; }
-.cards-grid { display: grid; gap: 1rem; }
-.totp-card {
-  background-color: var(--card-bg); border-radius: 12px; padding: 1.25rem;
-  box-shadow: 0 4px 20px var(--shadow-color);
-  transition: transform 0.2s, box-shadow 0.2s;
-  overflow: hidden;
-}
-.totp-card:hover { transform: translateY(-3px); }
-.card-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.75rem; }
-.name { font-size: 1.1rem; font-weight: 600; }
-.token {
-  font-family: var(--code-font); font-size: 2.5rem; letter-spacing: 2px;
-  font-weight: 500; text-align: center; color: var(--accent-color); margin-bottom: 1rem;
-}
-.progress-bar-container { background-color: var(--border-color); height: 4px; border-radius: 2px; overflow: hidden; }
-.progress-bar { background-color: var(--accent-color); height: 100%; width: 100%; transition: width 1s linear; }
-.error-card { border-left: 4px solid var(--danger-color); }
-.token-error { font-weight: 500; text-align: center; color: var(--danger-color); font-size: 1.2rem; }
-.token-error-detail { font-size: 0.8rem; text-align: center; color: var(--danger-color); opacity: 0.7; margin-top: 4px;}
-.add-section { background-color: var(--card-bg); border-radius: 12px; padding: 1.5rem; box-shadow: 0 4px 20px var(--shadow-color); }
-.form-group { display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem; margin-bottom: 0.75rem; }
-input { 
-  font-size: 0.95rem; padding: 0.6rem; box-sizing: border-box; width: 100%;
-  border-radius: 8px; border: 1px solid var(--border-color); background-color: var(--bg-color); color: var(--text-color);
-  transition: border-color 0.2s, box-shadow 0.2s;
-}
-input:focus { border-color: var(--accent-color); box-shadow: 0 0 0 3px color-mix(in srgb, var(--accent-color) 25%, transparent); outline: none; }
-button { 
-  font-size: 0.95rem; font-weight: 500; padding: 0.6rem 1rem; background-color: var(--accent-color); 
-  color: white; border: none; border-radius: 8px; cursor: pointer;
-  display: inline-flex; align-items: center; justify-content: center; gap: 0.5rem;
-  transition: background-color 0.2s, transform 0.1s;
-}
-button:hover { background-color: var(--accent-hover); }
-button:active { transform: scale(0.98); }
-.icon-btn { padding: 0.5rem; background: transparent; color: var(--text-color); }
-.icon-btn:hover { background-color: color-mix(in srgb, var(--text-color) 10%, transparent); }
-.icon-btn.danger:hover { color: var(--danger-color); background-color: color-mix(in srgb, var(--danger-color) 10%, transparent); }
-#toast-container { position: fixed; bottom: 20px; right: 20px; z-index: 1000; display: grid; gap: 10px; }
-.toast {
-  background-color: #333; color: white; padding: 12px 20px; border-radius: 8px;
-  box-shadow: 0 4px 15px rgba(0,0,0,0.2); font-size: 0.9rem;
-  opacity: 0; transform: translateY(20px); animation: toast-in 0.5s forwards;
-}
-@keyframes toast-in { to { opacity: 1; transform: translateY(0); } }
-</style>
-</head>
-<body>
-  <div id="toast-container"></div>
-  <div class="main-container">
-    <div class="top-bar">
-      <h2>验证码</h2>
-      <div class="controls">
-        <button onclick="exportKeys()">导出密钥</button>
-        <button id="theme-toggle" class="icon-btn" title="切换主题"></button>
-      </div>
-    </div>
-    <div class="cards-grid" id="cards-grid">${cardsHtml}</div>
-    <div class="add-section">
-      <h3>添加新密钥</h3>
-      <div class="form-group">
-        <input id="name-input" placeholder="名称 (例如: Google)">
-        <input id="secret-input" placeholder="Base32 密钥或 otpauth:// URL">
-      </div>
-      <button onclick="add()">${ICONS.plus} 添加</button>
-    </div>
-  </div>
+    // 退出登录时在服务器端撤销会话，被复制的 Cookie 也随之失效
+    if (action === 'logout') await revokeSession(request, env);
 
-<script>
-  // 从服务器端注入密码到客户端，用于后续的API请求认证。
-  const PWD = '${ACCESS_PASSWORD}';
-  const ICONS = { copy: \`${ICONS.copy}\`, trash: \`${ICONS.trash}\`, sun: \`${ICONS.sun}\`, moon: \`${ICONS.moon}\`};
+    // 执行操作并记录审计日志（结果以响应状态判断，失败时附带错误信息）
+    const context = { key: null, detail: null };
+    const response = await handleFormAction(action, formData, env, user, context, url, lang);
+    await audit(env, request, {
+      action,
+      user,
+      key: context.key,
+      outcome: response.ok ? 'success' : 'failure',
+      detail: response.ok ? null : context.detail,
+    });
+    return response;
+  }
 
-  /* --- UI 交互函数 --- */
+  // --- 处理 GET 请求 (用于渲染页面) ---
+  const pageHeaders = { ...noCacheHeaders, 'Content-Language': LANGUAGE_TAGS[lang], 'Vary': 'Cookie, Accept-Language' };
 
-  // 主题切换逻辑
-  const themeToggle = document.getElementById('theme-toggle');
-  function applyTheme(theme) { if (theme === 'dark') { document.body.classList.add('dark'); themeToggle.innerHTML = ICONS.sun; } else { document.body.classList.remove('dark'); themeToggle.innerHTML = ICONS.moon; } }
-  themeToggle.addEventListener('click', () => { const newTheme = document.body.classList.contains('dark') ? 'light' : 'dark'; localStorage.setItem('theme', newTheme); applyTheme(newTheme); });
-  applyTheme(localStorage.getItem('theme') || 'light');
-  
-  // 显示一个短暂的通知消息 (Toast)
-  function showToast(message, duration = 3000) { const container = document.getElementById('toast-container'); const toast = document.createElement('div'); toast.className = 'toast'; toast.textContent = message; container.appendChild(toast); setTimeout(() => { toast.remove(); }, duration); }
-  
-  // 复制文本到剪贴板
-  function copy(text) { navigator.clipboard.writeText(text).then(() => showToast('已复制到剪贴板')).catch(() => showToast('复制失败')); }
+  // 如果用户没有有效的会话，则显示登录页面
+  if (!user) {
+    return new Response(passwordFormHtml({ lockedFor: await loginLockout(env, request), lang }), { headers: pageHeaders });
+  }
 
-  /* --- 核心数据操作函数 --- */
+  // 审计日志页面，筛选条件来自查询参数
+  if (url.pathname === '/audit') {
+    await pruneAuditLog(env);
+    const filters = auditFilters(url.searchParams);
+    const { entries, hasMore } = await queryAuditLog(env, user, filters);
+    return new Response(auditLogHtml({ filters, entries, hasMore, user, lang }), { headers: pageHeaders });
+  }
 
-  /**
-   * 处理添加新密钥的逻辑。
-   * 它会向服务器发送一个 'add' 请求，并在成功后立即刷新页面。
-   * 由于后端使用 D1 数据库，数据是强一致性的，因此可以立即刷新。
-   */
-  async function add() {
-    const nameInput = document.getElementById('name-input');
-    const secretInput = document.getElementById('secret-input');
-    let name = nameInput.value.trim();
-    let secret = secretInput.value.trim();
+  // 页面本身不包含任何密钥，密钥列表由浏览器通过 /api/v1/vault 获取，验证码在浏览器中生成
+  const pendingMigration = user.is_admin ? await countPendingMigration(env) : 0;
+  const folders = await listFolders(env, user);
+  const users = user.is_admin ? await listUsers(env) : [];
+  const mfa = await getMfaStatus(env, user.id);
 
-    if (secret.startsWith('otpauth://')) {
-      try {
-        const parsed = new URL(secret);
-        const params = new URLSearchParams(parsed.search);
-        secret = params.get('secret');
-        if (!name) {
-           name = decodeURIComponent(parsed.pathname.split('/').pop().split(':').pop()) || params.get('issuer') || '未命名';
-        }
-      } catch (e) { showToast('无效的 otpauth URL'); return; }
-    }
-    if (!name || !secret) { showToast('请填写名称和密钥'); return; }
+  // 渲染并返回主应用页面；X-App-Shell 头告诉 Service Worker 可以缓存此页面供离线使用
+  return new Response(appHtml({ pendingMigration, user, folders, users, mfa, lang }), { headers: { ...pageHeaders, 'X-App-Shell': '1' } });
+}
 
-    const res = await fetch('/', {
-      method: 'POST',
-      headers: {'Content-Type': 'application/x-www-form-urlencoded'},
-      body: \`password=\${encodeURIComponent(PWD)}&action=add&name=\${encodeURIComponent(name)}&secret=\${encodeURIComponent(secret)}\`
-    });
+/** totp_keys 表的列定义，建表与重建时共用。 */
+const KEY_TABLE_DEFINITION = `(
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner_id INTEGER,
+    folder_id INTEGER,
+    name TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    iv TEXT,
+    key_id TEXT,
+    issuer TEXT,
+    digits INTEGER NOT NULL DEFAULT 6,
+    period INTEGER NOT NULL DEFAULT 30,
+    algorithm TEXT NOT NULL DEFAULT 'SHA-1',
+    encoder TEXT,
+    type TEXT NOT NULL DEFAULT 'totp',
+    counter INTEGER NOT NULL DEFAULT 0,
+    notes TEXT,
+    tags TEXT,
+    verified_counter INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP
+  )`;
 
-    if (res.ok) {
-      showToast('添加成功！');
-      location.reload(); 
-    } else {
-      showToast(\`添加失败: \${await res.text()}\`);
-    }
-  }
+/** 密钥名称只需在同一用户的未删除密钥内唯一。 */
+const KEY_NAME_INDEX_SQL = 'CREATE UNIQUE INDEX IF NOT EXISTS idx_totp_keys_owner_name ON totp_keys (owner_id, name) WHERE deleted_at IS NULL';
 
-  /**
-   * 处理删除密钥的逻辑。
-   * 它会向服务器发送一个 'delete' 请求，并在成功后立即刷新页面。
-   */
-  async function remove(name) {
-    if (!confirm(\`确定要删除 "\${name}" 吗？\`)) return;
+/**
+ * 当前版本的表结构（与 DB.sql 相同），已存在的表和索引会被跳过。
+ * totp_keys 的名称索引依赖旧版本可能缺少的列，由 rebuildKeyTable 创建。
+ */
+const SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    password_salt TEXT NOT NULL,
+    password_iterations INTEGER NOT NULL,
+    is_admin INTEGER NOT NULL DEFAULT 0,
+    session_version INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS folders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (owner_id, name)
+  )`,
+  `CREATE TABLE IF NOT EXISTS folder_members (
+    folder_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    permission TEXT NOT NULL DEFAULT 'read',
+    PRIMARY KEY (folder_id, user_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS totp_keys ${KEY_TABLE_DEFINITION}`,
+  `CREATE TABLE IF NOT EXISTS key_preferences (
+    user_id INTEGER NOT NULL,
+    key_id INTEGER NOT NULL,
+    pinned INTEGER NOT NULL DEFAULT 0,
+    sort_order INTEGER,
+    PRIMARY KEY (user_id, key_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    action TEXT NOT NULL,
+    user_id INTEGER,
+    username TEXT,
+    key_name TEXT,
+    ip TEXT,
+    user_agent TEXT,
+    outcome TEXT NOT NULL,
+    detail TEXT
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at)`,
+  `CREATE TABLE IF NOT EXISTS login_attempts (
+    scope TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL DEFAULT 0,
+    locked_until INTEGER,
+    updated_at INTEGER NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS mfa_totp (
+    user_id INTEGER PRIMARY KEY,
+    secret TEXT NOT NULL,
+    iv TEXT,
+    key_id TEXT,
+    confirmed INTEGER NOT NULL DEFAULT 0,
+    last_counter INTEGER NOT NULL DEFAULT -1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS webauthn_credentials (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    public_key TEXT NOT NULL,
+    algorithm INTEGER NOT NULL,
+    sign_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS recovery_codes (
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMP,
+    PRIMARY KEY (user_id, code_hash)
+  )`,
+  `CREATE TABLE IF NOT EXISTS auth_challenges (
+    challenge TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    purpose TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS app_secrets (
+    name TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS revoked_sessions (
+    session_id TEXT PRIMARY KEY,
+    expires_at INTEGER NOT NULL
+  )`,
+];
 
-    const res = await fetch('/', {
-      method: 'POST',
-      headers: {'Content-Type': 'application/x-www-form-urlencoded'},
-      body: \`password=\${encodeURIComponent(PWD)}&action=delete&key=\${encodeURIComponent(name)}\`
-    });
+/** 旧版本的表中可能缺少的列，按 ALTER TABLE ... ADD COLUMN 的写法列出。 */
+const LEGACY_COLUMNS = {
+  totp_keys: [
+    'owner_id INTEGER', 'folder_id INTEGER', 'iv TEXT', 'key_id TEXT', 'issuer TEXT',
+    'digits INTEGER NOT NULL DEFAULT 6', 'period INTEGER NOT NULL DEFAULT 30', "algorithm TEXT NOT NULL DEFAULT 'SHA-1'",
+    'encoder TEXT', "type TEXT NOT NULL DEFAULT 'totp'", 'counter INTEGER NOT NULL DEFAULT 0', 'notes TEXT', 'tags TEXT',
+    'verified_counter INTEGER', 'deleted_at TIMESTAMP',
+  ],
+  audit_log: ['user_id INTEGER', 'username TEXT'],
+  users: ['session_version INTEGER NOT NULL DEFAULT 0'],
+};
 
-    if (res.ok) {
-      showToast('删除成功！');
-      location.reload();
-    } else {
-      showToast('删除失败');
+/**
+ * 按顺序执行的数据库迁移。已执行的版本记录在 schema_version 表中，每个版本只执行一次。
+ * 新的结构变更只能追加到末尾，不能修改已发布的步骤。
+ */
+const MIGRATIONS = [
+  { version: 1, description: '创建数据表', up: createTables },
+  { version: 2, description: '补充旧版本缺少的列', up: addLegacyColumns },
+  { version: 3, description: '密钥名称改为在同一用户的未删除密钥内唯一', up: rebuildKeyTable },
+];
+
+/** 本 isolate 是否已确认数据库结构为最新，避免每个请求都查询 schema_version。 */
+let schemaReady = false;
+
+/**
+ * 创建当前版本中尚不存在的表和索引。
+ * @param {object} env
+ * @returns {Promise<void>}
+ */
+async function createTables(env) {
+  await env.DB.batch(SCHEMA_STATEMENTS.map(sql => env.DB.prepare(sql)));
+}
+
+/**
+ * 为旧版本创建的表补充缺少的列。
+ * @param {object} env
+ * @returns {Promise<void>}
+ */
+async function addLegacyColumns(env) {
+  const statements = [];
+  for (const [table, columns] of Object.entries(LEGACY_COLUMNS)) {
+    const { results } = await env.DB.prepare(`PRAGMA table_info(${table})`).all();
+    const existing = new Set((results || []).map(column => column.name));
+    for (const column of columns) {
+      if (!existing.has(column.split(' ')[0])) statements.push(env.DB.prepare(`ALTER TABLE ${table} ADD COLUMN ${column}`));
     }
   }
+  if (statements.length) await env.DB.batch(statements);
+}
 
-  // 导出密钥功能的占位符
-  function exportKeys() { fetch('/?auth=true').then(res => res.text()).then(html => { showToast('导出功能请通过后端实现更安全完整，此处仅为功能占位。'); }); }
+/** 重建 totp_keys 时从旧表复制的列，旧表中不存在的列使用新表的默认值。 */
+const KEY_TABLE_COLUMNS = ['id', 'owner_id', 'folder_id', 'name', 'secret', 'iv', 'key_id', 'issuer', 'digits', 'period', 'algorithm', 'encoder', 'type',
+  'counter', 'notes', 'tags', 'verified_counter', 'created_at', 'deleted_at'];
 
-  /* --- 定时器与自动刷新逻辑 --- */
-  
-  let timerInterval = null;
-  /**
-   * 每秒更新所有验证码卡片的倒计时进度条。
-   * 并在每个30秒周期的开始点触发页面刷新。
-   */
-  function updateTimer() { 
-    const seconds = new Date().getSeconds(); 
-    if (seconds % 30 === 0) { 
-      if (timerInterval) clearInterval(timerInterval); 
-      setTimeout(() => location.reload(), 500); // 延迟一小会确保服务器时间也已同步
-      return; 
-    } 
-    const remaining = 30 - (seconds % 30); 
-    const percentage = (remaining / 30) * 100; 
-    document.querySelectorAll('.progress-bar').forEach(bar => { bar.style.width = percentage + '%'; }); 
+/**
+ * 旧版本的 totp_keys 以名称为主键（没有 id 列）或使用表级 UNIQUE 约束（SQLite 无法删除），需要重建表并改用部分唯一索引，
+ * 回收站中的密钥才不会占用名称。重建保留原有的 ID，置顶与排序设置不受影响；没有 id 列的表由 SQLite 重新编号。
+ * @param {object} env
+ * @returns {Promise<void>}
+ */
+async function rebuildKeyTable(env) {
+  const table = await env.DB.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'totp_keys'").first();
+  const { results } = await env.DB.prepare('PRAGMA table_info(totp_keys)').all();
+  const existing = results || [];
+  const legacy = table && (
+    !existing.some(column => column.name === 'id')
+    || existing.some(column => column.name === 'name' && column.pk > 0)
+    || /\bUNIQUE\b/i.test(table.sql));
+  if (legacy) {
+    const columns = KEY_TABLE_COLUMNS.filter(name => existing.some(column => column.name === name)).join(', ');
+    await env.DB.batch([
+      env.DB.prepare(`CREATE TABLE totp_keys_new ${KEY_TABLE_DEFINITION}`),
+      env.DB.prepare(`INSERT INTO totp_keys_new (${columns}) SELECT ${columns} FROM totp_keys`),
+      env.DB.prepare('DROP TABLE totp_keys'),
+      env.DB.prepare('ALTER TABLE totp_keys_new RENAME TO totp_keys'),
+    ]);
   }
-  
-  // 页面加载完成后立即启动定时器
-  document.addEventListener('DOMContentLoaded', () => { 
-    updateTimer(); 
-    timerInterval = setInterval(updateTimer, 1000); 
-  });
-</script>
-</body></html>`;
+  await env.DB.prepare(KEY_NAME_INDEX_SQL).run();
 }
 
 /**
- * TOTP 算法 (RFC 6238) 的 JavaScript 实现类。
+ * 执行尚未执行的迁移，把数据库升级到当前版本。全新的数据库会在第一次请求时建好所有表。
+ * @param {object} env
+ * @returns {Promise<Array<number>>} 本次执行的迁移版本号。
+ * @throws {Error} 某个迁移失败时抛出，之前已成功的迁移仍然有效，下次请求会从失败的版本重试。
  */
-class TOTP {
-  /**
-   * @param {string} secret - Base32 编码的密钥字符串。
-   */
-  constructor(secret) {
-    this.secret = base32ToBytes(secret.replace(/ /g, ''));
-    this.period = 30; // 时间步长 (秒)
-    this.digits = 6;  // 验证码长度
-    this.algorithm = 'SHA-1'; // HMAC 哈希算法
+async function migrateSchema(env) {
+  await env.DB.prepare('CREATE TABLE IF NOT EXISTS schema_version (version INTEGER PRIMARY KEY, description TEXT, applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)').run();
+  const row = await env.DB.prepare('SELECT MAX(version) AS version FROM schema_version').first();
+  const current = (row && row.version) || 0;
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+    try {
+      await migration.up(env);
+    } catch (e) {
+      throw messageError('database.migrationStep', { version: migration.version, description: migration.description, error: e });
+    }
+    // 多个 isolate 同时迁移时，后完成的一方忽略重复的版本记录
+    await env.DB.prepare('INSERT OR IGNORE INTO schema_version (version, description) VALUES (?, ?)').bind(migration.version, migration.description).run();
+    applied.push(migration.version);
+  }
+  return applied;
+}
+
+/**
+ * 确认数据库可用且结构为最新，必要时执行迁移。
+ * @param {object} env
+ * @returns {Promise<?Error>} 数据库不可用时返回面向管理员的说明（messageError 创建的错误），否则返回 null。
+ */
+async function prepareDatabase(env) {
+  if (!env.DB) return messageError('database.missingBinding');
+  if (schemaReady) return null;
+  try {
+    await migrateSchema(env);
+    schemaReady = true;
+    return null;
+  } catch (e) {
+    console.error('Schema migration failed:', e);
+    return messageError('database.migrationFailed', { error: e });
+  }
+}
+
+/**
+ * 数据库不可用时的响应：API 请求返回 JSON 错误，其余请求返回说明页面。
+ * @param {URL} url
+ * @param {Error} problem - prepareDatabase 返回的说明。
+ * @param {string} lang - 页面语言。
+ * @param {object} headers - 页面使用的禁止缓存响应头。
+ * @returns {Response}
+ */
+function databaseErrorResponse(url, problem, lang, headers) {
+  if (url.pathname.startsWith('/api/')) return jsonError(503, 'database_unavailable', errorMessage(lang, problem));
+  return new Response(databaseErrorHtml(errorMessage(lang, problem), lang), {
+    status: 503,
+    headers: { ...headers, 'Content-Language': LANGUAGE_TAGS[lang], 'Vary': 'Cookie, Accept-Language' },
+  });
+}
+
+/**
+ * 完成登录：签发会话 Cookie、清除待验证 Cookie 和失败计数，并记录审计日志。
+ * @param {object} env
+ * @param {Request} request
+ * @param {object} user - 已通过全部验证的用户。
+ * @param {?string} [method=null] - 使用的第二因素，未启用两步验证时为 null。
+ * @returns {Promise<Response>}
+ */
+async function completeLogin(env, request, user, method = null) {
+  await clearLoginFailures(env, request, loginAccount(user.username));
+  await audit(env, request, { action: 'login', user, outcome: 'success', detail: method && `Second factor: ${method}` });
+  await pruneAuditLog(env);
+  const ttl = sessionTtl(env);
+  const token = await createSessionToken(env, ttl, user.id);
+  const headers = new Headers();
+  headers.append('Set-Cookie', sessionCookie(token, ttl));
+  headers.append('Set-Cookie', sessionCookie('', 0, MFA_COOKIE));
+  return new Response(null, { status: 200, headers });
+}
+
+/** 只有管理员可以执行的表单操作。 */
+const ADMIN_ACTIONS = new Set(['migrate_secrets', 'user_create', 'user_delete', 'user_reset_password', 'user_reset_mfa',
+  'snapshot_list', 'snapshot_create', 'snapshot_diff', 'snapshot_restore', 'snapshot_download']);
+
+/**
+ * 执行一个需要会话的表单操作（'auth' 以外的所有 POST 操作）。
+ * @param {string} action - 表单中的 action 字段。
+ * @param {FormData} formData
+ * @param {object} env
+ * @param {object} user - 当前登录的用户。
+ * @param {object} context - 由具体操作填入 context.key（相关的密钥名称），失败时填入 context.detail（见 auditErrorDetail），供审计日志使用。
+ * @param {URL} url - 当前请求的 URL，WebAuthn 以其主机名作为 RP ID、以其来源校验签名数据。
+ * @param {string} lang - 页面语言，失败响应的文字使用该语言。
+ * @returns {Promise<Response>}
+ */
+async function handleFormAction(action, formData, env, user, context, url, lang) {
+  // 失败响应只包含原因，“添加失败”等操作名称由页面加上；审计日志保存与语言无关的原因
+  const reject = (status, error) => {
+    context.detail = auditErrorDetail(error);
+    return new Response(errorMessage(lang, error), { status });
+  };
+  const failure = (status, key, params) => reject(status, messageError(key, params));
+  const invalid = error => reject(400, error);
+  if (ADMIN_ACTIONS.has(action) && !user.is_admin) return failure(403, 'error.adminOnly');
+
+  // 根据 'action' 参数执行不同的数据库操作
+  switch (action) {
+    case 'add': {
+      let entry;
+      try {
+        // 在写入前，先在服务器端解析 otpauth:// URL 并校验所有参数的合法性
+        entry = normalizeKeyEntry({
+          name: formData.get('name'),
+          secret: formData.get('secret'),
+          issuer: formData.get('issuer'),
+          digits: formData.get('digits'),
+          period: formData.get('period'),
+          algorithm: formData.get('algorithm'),
+          type: formData.get('type'),
+          counter: formData.get('counter'),
+          notes: formData.get('notes'),
+          tags: formData.get('tags'),
+        });
+      } catch (e) {
+        return invalid(e);
+      }
+      context.key = entry.name;
+      const folderId = Number(formData.get('folder')) || null;
+      if (folderId && !(await getOwnFolder(env, user, folderId))) return failure(400, 'error.folderNotFound');
+      try {
+        await insertKey(env, user, { ...entry, folder_id: folderId });
+        return new Response('Key added successfully!', { status: 200 });
+      } catch(e) {
+        // 如果该用户已有同名密钥（唯一约束冲突），D1 会抛出错误
+        return invalid(isUniqueViolation(e) ? messageError('error.duplicateKey') : e);
+      }
+    }
+    case 'delete':
+    case 'next':
+    case 'copy': {
+      const key = formData.get('id') && await getKey(env, user, formData.get('id'));
+      if (!key) return failure(404, 'error.keyNotFound');
+      context.key = key.name;
+      // 复制只需要读取权限，仅用于写入审计日志
+      if (action === 'copy') return new Response('OK', { status: 200 });
+      if (!canWriteKey(key)) return failure(403, 'error.readOnly');
+      if (action === 'delete') {
+        await deleteKey(env, key.id);
+        return new Response('Key moved to trash', { status: 200 });
+      }
+      const code = await nextHotpCode(env, key.id);
+      if (!code) return failure(404, 'error.keyNotFound');
+      return new Response(code, { status: 200 });
+    }
+    case 'trash':
+      // 顺带清除超过保留期的密钥，未配置 Cron 触发器时回收站也不会无限增长
+      await purgeTrash(env);
+      return json({ keys: (await listTrash(env, user)).map(key => trashEntry(env, key)), retentionDays: trashRetentionDays(env) }, 200, { 'Cache-Control': 'no-store' });
+    case 'restore':
+    case 'purge': {
+      const key = formData.get('id') && await getTrashedKey(env, user, formData.get('id'));
+      if (!key) return failure(404, 'error.keyNotFound');
+      context.key = key.name;
+      if (!canWriteKey(key)) return failure(403, 'error.readOnly');
+      if (action === 'purge') {
+        await purgeKeys(env, [key.id]);
+        return new Response('Key purged', { status: 200 });
+      }
+      const name = await restoreKey(env, key);
+      if (!name) return failure(404, 'error.keyNotFound');
+      return json({ name }, 200, { 'Cache-Control': 'no-store' });
+    }
+    case 'empty_trash': {
+      // 只清除当前用户有写权限的密钥，只读共享的密钥留给其所有者处理
+      const ids = (await listTrash(env, user)).filter(canWriteKey).map(key => key.id);
+      return new Response(String(await purgeKeys(env, ids)), { status: 200 });
+    }
+    case 'update': {
+      const key = formData.get('id') && await getKey(env, user, formData.get('id'));
+      if (!key) return failure(404, 'error.keyNotFound');
+      context.key = key.name;
+      if (!canWriteKey(key)) return failure(403, 'error.readOnly');
+      let changes;
+      try {
+        changes = normalizeKeyChanges({
+          name: formData.get('name'),
+          issuer: formData.get('issuer'),
+          notes: formData.get('notes'),
+          tags: formData.get('tags'),
+        });
+      } catch (e) {
+        return invalid(e);
+      }
+      try {
+        await updateKey(env, key.id, changes);
+      } catch (e) {
+        return invalid(isUniqueViolation(e) ? messageError('error.duplicateKey') : e);
+      }
+      return json({ key: apiKey(await getKey(env, user, key.id)) }, 200, { 'Cache-Control': 'no-store' });
+    }
+    case 'pin': {
+      const key = formData.get('id') && await getKey(env, user, formData.get('id'));
+      if (!key) return failure(404, 'error.keyNotFound');
+      context.key = key.name;
+      await pinKey(env, user, key.id, formData.get('pinned') === '1');
+      return new Response('OK', { status: 200 });
+    }
+    case 'reorder': {
+      const ids = (formData.get('ids') || '').split(',').map(Number).filter(Number.isSafeInteger);
+      return new Response(String(await reorderKeys(env, user, ids)), { status: 200 });
+    }
+    case 'migrate_secrets': {
+      // 加密历史遗留的明文密钥，并将使用旧主密钥加密的密钥轮换到当前主密钥
+      try {
+        return new Response(String(await migrateSecrets(env)), { status: 200 });
+      } catch (e) {
+        return invalid(e);
+      }
+    }
+    case 'export': {
+      const format = formData.get('format') || 'encrypted';
+      const entries = await exportEntries(env, user);
+      const date = new Date().toISOString().slice(0, 10);
+      const download = { 'Cache-Control': 'no-store' };
+      if (format === 'uris') {
+        // 明文 otpauth:// 列表，每行一个，可直接导入其他验证器应用
+        download['Content-Type'] = 'text/plain; charset=utf-8';
+        download['Content-Disposition'] = `attachment; filename="totp-keys-${date}.txt"`;
+        return new Response(entries.map(buildOtpauthUri).join('\n') + '\n', { headers: download });
+      }
+      const passphrase = formData.get('passphrase') || '';
+      if (passphrase.length < MIN_BACKUP_PASSPHRASE) {
+        return failure(400, 'error.backupPassphraseTooShort', { min: MIN_BACKUP_PASSPHRASE });
+      }
+      download['Content-Type'] = 'application/json; charset=utf-8';
+      download['Content-Disposition'] = `attachment; filename="totp-backup-${date}.json"`;
+      return new Response(JSON.stringify(await encryptBackup(entries, passphrase), null, 2), { headers: download });
+    }
+    case 'import_preview':
+    case 'import': {
+      const file = formData.get('file');
+      if (!file || typeof file === 'string') return failure(400, 'error.missingBackupFile');
+      let parsed;
+      try {
+        parsed = await parseBackup(await file.text(), formData.get('passphrase') || '');
+      } catch (e) {
+        return invalid(e);
+      }
+      const plan = await planImport(env, user, parsed.entries, formData.get('mode') || 'skip');
+      const errors = parsed.errors.map(({ index, error }) => ({ index, message: errorMessage(lang, error) }));
+      if (action === 'import_preview') {
+        // 预览只返回名称与冲突情况，不返回任何 secret
+        return json({ entries: plan.preview, errors }, 200, { 'Cache-Control': 'no-store' });
+      }
+      // 所有写入在同一个 D1 批处理（事务）中完成，任何一条失败都不会留下部分导入的数据
+      try {
+        if (plan.statements.length) await env.DB.batch(plan.statements);
+      } catch (e) {
+        return invalid(e);
+      }
+      return json({ ...plan.summary, errors }, 200, { 'Cache-Control': 'no-store' });
+    }
+    case 'snapshot_list':
+    case 'snapshot_create':
+    case 'snapshot_diff':
+    case 'snapshot_restore':
+    case 'snapshot_download': {
+      // 快照包含所有用户的密钥，因此只有管理员可以查看与恢复
+      const id = formData.get('id') || '';
+      try {
+        switch (action) {
+          case 'snapshot_list':
+            return json({ snapshots: await listSnapshots(env), versions: backupVersions(env) }, 200, { 'Cache-Control': 'no-store' });
+          case 'snapshot_create':
+            return json(await createSnapshot(env), 200, { 'Cache-Control': 'no-store' });
+          case 'snapshot_diff':
+            return json(diffSnapshot(await readSnapshot(env, id), await snapshotEntries(env)), 200, { 'Cache-Control': 'no-store' });
+          case 'snapshot_restore': {
+            const result = await restoreSnapshot(env, id);
+            const skipped = result.skipped.map(item => ({ ...item, reason: errorMessage(lang, item.reason) }));
+            return json({ ...result, skipped }, 200, { 'Cache-Control': 'no-store' });
+          }
+          default:
+            return new Response(await readSnapshotFile(env, id), { headers: {
+              'Content-Type': 'application/json; charset=utf-8',
+              'Content-Disposition': `attachment; filename="totp-snapshot-${id}"`,
+              'Cache-Control': 'no-store',
+            } });
+        }
+      } catch (e) {
+        return invalid(e);
+      }
+    }
+    case 'import_external': {
+      // 从其他验证器应用的导出文件（或粘贴的 otpauth-migration:// 链接）导入
+      const file = formData.get('file');
+      const text = file && typeof file !== 'string' ? await file.text() : (formData.get('data') || '');
+      let parsed;
+      try {
+        parsed = parseExternalImport(text, formData.get('format') || 'auto');
+      } catch (e) {
+        return invalid(e);
+      }
+      // 每个条目都走与 'add' 操作相同的校验与写入流程，并单独报告结果
+      const results = [];
+      for (const item of parsed.items) {
+        const label = item.name || item.issuer || '';
+        try {
+          if (item.error) throw item.error;
+          const entry = normalizeKeyEntry(item);
+          try {
+            await insertKey(env, user, entry);
+          } catch (e) {
+            throw isUniqueViolation(e) ? messageError('error.duplicateKey') : e;
+          }
+          results.push({ name: entry.name, ok: true });
+        } catch (e) {
+          results.push({ name: label, ok: false, error: errorMessage(lang, e) });
+        }
+      }
+      return json({ format: parsed.format, results }, 200, { 'Cache-Control': 'no-store' });
+    }
+    case 'move_key': {
+      const key = formData.get('id') && await getKey(env, user, formData.get('id'));
+      if (!key) return failure(404, 'error.keyNotFound');
+      context.key = key.name;
+      return (await moveKeyToFolder(env, user, key.id, Number(formData.get('folder')) || null))
+        ? new Response('OK', { status: 200 })
+        : failure(403, 'error.moveForbidden');
+    }
+    case 'folder_create':
+      try {
+        await createFolder(env, user, (formData.get('name') || '').trim());
+        return new Response('OK', { status: 200 });
+      } catch (e) {
+        return invalid(e);
+      }
+    case 'folder_delete':
+      return (await deleteFolder(env, user, Number(formData.get('folder'))))
+        ? new Response('OK', { status: 200 })
+        : failure(404, 'error.folderNotFound');
+    case 'folder_share':
+      try {
+        await shareFolder(env, user, Number(formData.get('folder')), (formData.get('username') || '').trim(), formData.get('permission'));
+        return new Response('OK', { status: 200 });
+      } catch (e) {
+        return invalid(e);
+      }
+    case 'folder_unshare':
+      return (await unshareFolder(env, user, Number(formData.get('folder')), Number(formData.get('user'))))
+        ? new Response('OK', { status: 200 })
+        : failure(404, 'error.memberNotFound');
+    case 'change_password': {
+      if (!(await authenticateUser(env, user.username, formData.get('current') || ''))) {
+        return failure(400, 'error.wrongPassword');
+      }
+      try {
+        await setUserPassword(env, user.id, formData.get('password') || '');
+        // 修改密码使该用户的所有会话失效，为当前会话重新签发 Cookie，其他设备需要重新登录
+        const ttl = sessionTtl(env);
+        return new Response('OK', { status: 200, headers: { 'Set-Cookie': sessionCookie(await createSessionToken(env, ttl, user.id), ttl) } });
+      } catch (e) {
+        return invalid(e);
+      }
+    }
+    case 'user_create':
+      try {
+        await createUser(env, {
+          username: (formData.get('username') || '').trim(),
+          password: formData.get('password') || '',
+          isAdmin: formData.get('is_admin') === '1',
+        });
+        return new Response('OK', { status: 200 });
+      } catch (e) {
+        return invalid(e);
+      }
+    case 'user_delete': {
+      const id = Number(formData.get('user'));
+      if (id === user.id) return failure(400, 'error.deleteSelf');
+      return (await deleteUser(env, id))
+        ? new Response('OK', { status: 200 })
+        : failure(404, 'error.userNotFound');
+    }
+    case 'user_reset_password':
+      try {
+        return (await setUserPassword(env, Number(formData.get('user')), formData.get('password') || ''))
+          ? new Response('OK', { status: 200 })
+          : failure(404, 'error.userNotFound');
+      } catch (e) {
+        return invalid(e);
+      }
+    case 'mfa_totp_setup':
+      try {
+        return json(await setupTotpFactor(env, user), 200, { 'Cache-Control': 'no-store' });
+      } catch (e) {
+        return invalid(e);
+      }
+    case 'mfa_totp_confirm':
+      try {
+        if (!(await verifyTotpFactor(env, user.id, formData.get('code'), true))) return failure(400, 'error.wrongCode');
+      } catch (e) {
+        return invalid(e);
+      }
+      return json({ recoveryCodes: await ensureRecoveryCodes(env, user.id) }, 200, { 'Cache-Control': 'no-store' });
+    case 'webauthn_register_options':
+      return json(await webauthnRegistrationOptions(env, user, url), 200, { 'Cache-Control': 'no-store' });
+    case 'webauthn_register':
+      try {
+        // 未填写名称时使用当前页面语言的默认名称
+        const name = (formData.get('name') || '').trim() || formatMessage(MESSAGES[lang], 'mfa.passkey');
+        await verifyWebauthnRegistration(env, user, url, parseCredentialField(formData.get('credential')), name);
+      } catch (e) {
+        return invalid(e);
+      }
+      return json({ recoveryCodes: await ensureRecoveryCodes(env, user.id) }, 200, { 'Cache-Control': 'no-store' });
+    case 'mfa_totp_disable':
+    case 'webauthn_delete':
+    case 'recovery_regenerate': {
+      // 停用第二因素或重新生成恢复码前需要再次输入密码，防止被盗用的会话关闭两步验证
+      if (!(await authenticateUser(env, user.username, formData.get('current') || ''))) {
+        return failure(400, 'error.wrongPassword');
+      }
+      if (action === 'mfa_totp_disable') {
+        return (await disableTotpFactor(env, user.id))
+          ? new Response('OK', { status: 200 })
+          : failure(404, 'error.totpDisabled');
+      }
+      if (action === 'webauthn_delete') {
+        return (await deleteWebauthnCredential(env, user.id, formData.get('id') || ''))
+          ? new Response('OK', { status: 200 })
+          : failure(404, 'error.passkeyNotFound');
+      }
+      if (!mfaRequired(await getMfaStatus(env, user.id))) {
+        return failure(400, 'error.mfaDisabled');
+      }
+      return json({ recoveryCodes: await generateRecoveryCodes(env, user.id) }, 200, { 'Cache-Control': 'no-store' });
+    }
+    case 'user_reset_mfa':
+      // 供丢失验证器和恢复码的用户使用：清除其全部第二因素，之后仅凭密码即可登录
+      await resetMfa(env, Number(formData.get('user')));
+      return new Response('OK', { status: 200 });
+    case 'logout':
+      // 当前会话已由 handleRequest 撤销，这里清除 Cookie，由前端跳转回登录页
+      return new Response(null, { status: 200, headers: { 'Set-Cookie': sessionCookie('', 0) } });
+    default:
+      return failure(400, 'error.invalidAction');
   }
+}
+
+/** 查询密钥记录时选取的列（k 为 totp_keys 的别名）。 */
+const KEY_COLUMNS = 'k.id, k.owner_id, k.folder_id, k.name, k.secret, k.iv, k.key_id, k.issuer, k.digits, k.period, k.algorithm, k.encoder, k.type, k.counter, k.notes, k.tags, k.created_at, k.deleted_at';
+
+/**
+ * 查询某个用户有权访问的密钥的 SQL：自己拥有的密钥，以及所在共享文件夹授权给该用户的密钥（含回收站中的密钥）。
+ * access 列为 'owner'、'write' 或 'read'；pinned 与 sort_order 是该用户自己的置顶与手动排序设置。
+ * 绑定参数依次为 (用户 ID, 用户 ID, 用户 ID, 用户 ID)。
+ */
+const KEY_ACCESS_SQL = `SELECT ${KEY_COLUMNS}, f.name AS folder_name, o.username AS owner_name,
+         CASE WHEN k.owner_id = ? THEN 'owner' ELSE m.permission END AS access,
+         COALESCE(p.pinned, 0) AS pinned, p.sort_order
+  FROM totp_keys k
+  LEFT JOIN folders f ON f.id = k.folder_id
+  LEFT JOIN folder_members m ON m.folder_id = k.folder_id AND m.user_id = ?
+  LEFT JOIN key_preferences p ON p.key_id = k.id AND p.user_id = ?
+  LEFT JOIN users o ON o.id = k.owner_id
+  WHERE (k.owner_id = ? OR m.user_id IS NOT NULL)`;
+
+/** 查询用户可见的未删除密钥，绑定参数同 KEY_ACCESS_SQL。 */
+const VISIBLE_KEYS_SQL = `${KEY_ACCESS_SQL} AND k.deleted_at IS NULL`;
+
+/** 查询用户可访问的、回收站中的密钥，绑定参数同 KEY_ACCESS_SQL。 */
+const TRASHED_KEYS_SQL = `${KEY_ACCESS_SQL} AND k.deleted_at IS NOT NULL`;
+
+/**
+ * 查询用户可见的所有密钥记录（secret 可能仍是密文，使用前需 openSecret）。
+ * 置顶的密钥在前，其余按用户拖动排列的顺序；从未排过序的密钥排在最后并按名称排列。
+ * @param {object} env
+ * @param {object} user - 当前登录的用户。
+ * @returns {Promise<Array<object>>}
+ */
+async function listKeys(env, user) {
+  const { results } = await env.DB.prepare(`${VISIBLE_KEYS_SQL} ORDER BY pinned DESC, p.sort_order IS NULL, p.sort_order ASC, k.name ASC, k.id ASC`)
+                                  .bind(user.id, user.id, user.id, user.id)
+                                  .all();
+  return results || [];
+}
+
+/**
+ * 按 ID 查询用户可见的单个密钥记录。
+ * @param {object} env
+ * @param {object} user
+ * @param {number|string} id
+ * @returns {Promise<?object>}
+ */
+async function getKey(env, user, id) {
+  return env.DB.prepare(`${VISIBLE_KEYS_SQL} AND k.id = ?`).bind(user.id, user.id, user.id, user.id, Number(id)).first();
+}
+
+/**
+ * 按名称查询用户可见的单个密钥记录。共享密钥可能与自己的密钥同名，此时优先返回自己的密钥。
+ * @param {object} env
+ * @param {object} user
+ * @param {string} name
+ * @returns {Promise<?object>}
+ */
+async function findKeyByName(env, user, name) {
+  return env.DB.prepare(`${VISIBLE_KEYS_SQL} AND k.name = ? ORDER BY (k.owner_id = ?) DESC, k.id ASC LIMIT 1`)
+               .bind(user.id, user.id, user.id, user.id, name, user.id)
+               .first();
+}
+
+/**
+ * 判断用户是否可以修改（重命名、删除、递增计数器）某个密钥。
+ * @param {object} key - listKeys / getKey 返回的记录。
+ * @returns {boolean}
+ */
+function canWriteKey(key) {
+  return key.access === 'owner' || key.access === 'write';
+}
+
+/**
+ * 为用户写入一条已经过 normalizeKeyEntry 校验的密钥。
+ * 配置了 ENCRYPTION_KEY 时，密钥在写入前使用 AES-GCM 加密。
+ * @param {object} env
+ * @param {object} user - 密钥的所有者。
+ * @param {object} entry - normalizeKeyEntry 的返回值，可额外带有 folder_id。
+ * @returns {Promise<void>}
+ * @throws {Error} 该用户已有同名密钥（唯一约束冲突）时 D1 会抛出错误。
+ */
+async function insertKey(env, user, entry) {
+  await (await insertKeyStatement(env, user, entry)).run();
+}
+
+/**
+ * 构造为用户写入一条密钥的预处理语句，供单条写入或 D1 批处理使用。
+ * @param {object} env
+ * @param {object} user - 密钥的所有者。
+ * @param {object} entry - normalizeKeyEntry 的返回值，可额外带有 folder_id。
+ * @param {boolean} [overwrite=false] - 为 true 时该用户的同名密钥会被覆盖（保留原 created_at 和文件夹），否则唯一约束冲突时报错。
+ *   回收站中的密钥不参与名称唯一约束，不会被覆盖。
+ * @returns {Promise<D1PreparedStatement>}
+ */
+async function insertKeyStatement(env, user, entry, overwrite = false) {
+  const sealed = await sealSecret(env, entry.secret);
+  const upsert = overwrite
+    ? ` ON CONFLICT(owner_id, name) WHERE deleted_at IS NULL DO UPDATE SET secret = excluded.secret, iv = excluded.iv, key_id = excluded.key_id, issuer = excluded.issuer,
+        digits = excluded.digits, period = excluded.period, algorithm = excluded.algorithm, encoder = excluded.encoder, type = excluded.type, counter = excluded.counter,
+        notes = excluded.notes, tags = excluded.tags, verified_counter = NULL`
+    : '';
+  return env.DB.prepare(`INSERT INTO totp_keys (owner_id, folder_id, name, secret, iv, key_id, issuer, digits, period, algorithm, encoder, type, counter, notes, tags) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)${upsert}`)
+               .bind(user.id, entry.folder_id || null, entry.name, sealed.secret, sealed.iv, sealed.key_id, entry.issuer, entry.digits, entry.period, entry.algorithm, entry.encoder || null, entry.type, entry.counter, entry.notes || null, entry.tags || null);
+}
+
+/**
+ * 将指定 ID 的密钥移入回收站。调用前需先通过 getKey 检查权限。
+ * 置顶与排序设置会保留，恢复后密钥回到原来的位置。
+ * @param {object} env
+ * @param {number} id
+ * @returns {Promise<boolean>} 是否确实删除了一条记录。
+ */
+async function deleteKey(env, id) {
+  const { meta } = await env.DB.prepare('UPDATE totp_keys SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL').bind(id).run();
+  return meta.changes > 0;
+}
+
+/** 回收站中的密钥默认保留天数，可通过环境变量 TRASH_RETENTION_DAYS 覆盖（0 表示永不自动清除）。 */
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * 读取回收站的保留天数。
+ * @param {object} env
+ * @returns {number} 非负整数，0 表示永不自动清除。
+ */
+function trashRetentionDays(env) {
+  const configured = Number(env.TRASH_RETENTION_DAYS);
+  return env.TRASH_RETENTION_DAYS !== undefined && Number.isFinite(configured) && configured >= 0
+    ? Math.floor(configured)
+    : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * 查询用户可访问的、回收站中的密钥，最近删除的在前。
+ * @param {object} env
+ * @param {object} user
+ * @returns {Promise<Array<object>>}
+ */
+async function listTrash(env, user) {
+  const { results } = await env.DB.prepare(`${TRASHED_KEYS_SQL} ORDER BY k.deleted_at DESC, k.id DESC`)
+                                  .bind(user.id, user.id, user.id, user.id)
+                                  .all();
+  return results || [];
+}
+
+/**
+ * 按 ID 查询用户可访问的、回收站中的单个密钥。
+ * @param {object} env
+ * @param {object} user
+ * @param {number|string} id
+ * @returns {Promise<?object>}
+ */
+async function getTrashedKey(env, user, id) {
+  return env.DB.prepare(`${TRASHED_KEYS_SQL} AND k.id = ?`).bind(user.id, user.id, user.id, user.id, Number(id)).first();
+}
+
+/**
+ * 从回收站恢复密钥。删除后所有者又添加了同名密钥时，恢复的密钥按导入的规则改名为“名称 (2)”等。
+ * @param {object} env
+ * @param {object} key - getTrashedKey 返回的记录。
+ * @returns {Promise<?string>} 恢复后的名称；密钥已不在回收站中时返回 null。
+ */
+async function restoreKey(env, key) {
+  const { results } = await env.DB.prepare('SELECT name FROM totp_keys WHERE owner_id IS ? AND deleted_at IS NULL').bind(key.owner_id).all();
+  const taken = new Set((results || []).map(row => row.name));
+  let name = key.name;
+  for (let n = 2; taken.has(name); n++) name = `${key.name} (${n})`;
+  const { meta } = await env.DB.prepare('UPDATE totp_keys SET deleted_at = NULL, name = ? WHERE id = ? AND deleted_at IS NOT NULL').bind(name, key.id).run();
+  return meta.changes > 0 ? name : null;
+}
+
+/**
+ * 彻底删除回收站中的密钥及所有用户对它们的置顶与排序设置。调用前需先检查权限。
+ * @param {object} env
+ * @param {Array<number>} ids
+ * @returns {Promise<number>} 实际删除的密钥数量。
+ */
+async function purgeKeys(env, ids) {
+  if (!ids.length) return 0;
+  const results = await env.DB.batch(ids.flatMap(id => [
+    env.DB.prepare('DELETE FROM totp_keys WHERE id = ? AND deleted_at IS NOT NULL').bind(id),
+    env.DB.prepare('DELETE FROM key_preferences WHERE key_id = ? AND key_id NOT IN (SELECT id FROM totp_keys)').bind(id),
+  ]));
+  return results.filter((result, i) => i % 2 === 0 && result.meta.changes > 0).length;
+}
+
+/**
+ * 彻底删除在回收站中超过保留期的密钥。由 scheduled 处理函数定期调用，打开回收站时也会顺带执行。
+ * @param {object} env
+ * @returns {Promise<void>}
+ */
+async function purgeTrash(env) {
+  const days = trashRetentionDays(env);
+  if (days === 0) return;
+  try {
+    await env.DB.batch([
+      env.DB.prepare("DELETE FROM totp_keys WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)").bind(`-${days} days`),
+      env.DB.prepare('DELETE FROM key_preferences WHERE key_id NOT IN (SELECT id FROM totp_keys)'),
+    ]);
+  } catch (e) {
+    console.error('Failed to purge trash:', e);
+  }
+}
+
+/**
+ * 生成回收站列表中的一项：在 apiKey 的基础上加入删除时间和距离自动清除的剩余天数。
+ * @param {object} env
+ * @param {object} key - listTrash 返回的记录。
+ * @returns {object}
+ */
+function trashEntry(env, key) {
+  const days = trashRetentionDays(env);
+  const deletedAt = Date.parse(`${String(key.deleted_at).replace(' ', 'T')}Z`);
+  return {
+    ...apiKey(key),
+    deleted_at: key.deleted_at,
+    purge_in_days: days === 0 || Number.isNaN(deletedAt) ? null : Math.max(0, Math.ceil(days - (Date.now() - deletedAt) / 86400000)),
+  };
+}
+
+/**
+ * 修改密钥的名称、发行方、备注或标签。调用前需先通过 getKey 检查权限。
+ * @param {object} env
+ * @param {number} id
+ * @param {object} changes - normalizeKeyChanges 的返回值，只包含需要修改的字段。
+ * @returns {Promise<boolean>} 密钥是否存在。
+ * @throws {Error} 新名称已被所有者的其他密钥占用时 D1 会抛出唯一约束冲突错误。
+ */
+async function updateKey(env, id, changes) {
+  const columns = Object.keys(changes);
+  if (!columns.length) return true;
+  const { meta } = await env.DB.prepare(`UPDATE totp_keys SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`)
+                               .bind(...columns.map(column => changes[column]), id)
+                               .run();
+  return meta.changes > 0;
+}
+
+/**
+ * 置顶或取消置顶一个密钥。置顶只影响当前用户自己的列表，因此只读共享的密钥也可以置顶。
+ * @param {object} env
+ * @param {object} user
+ * @param {number} id
+ * @param {boolean} pinned
+ * @returns {Promise<void>}
+ */
+async function pinKey(env, user, id, pinned) {
+  await env.DB.prepare(`INSERT INTO key_preferences (user_id, key_id, pinned) VALUES (?, ?, ?)
+                        ON CONFLICT(user_id, key_id) DO UPDATE SET pinned = excluded.pinned`)
+              .bind(user.id, id, pinned ? 1 : 0)
+              .run();
+}
+
+/**
+ * 保存用户拖动排列后的密钥顺序。不可见的 ID 会被忽略。
+ * @param {object} env
+ * @param {object} user
+ * @param {number[]} ids - 按新顺序排列的密钥 ID。
+ * @returns {Promise<number>} 实际保存顺序的密钥数量。
+ */
+async function reorderKeys(env, user, ids) {
+  const visible = new Set((await listKeys(env, user)).map(key => key.id));
+  const statements = ids.filter(id => visible.has(id)).map((id, index) =>
+    env.DB.prepare(`INSERT INTO key_preferences (user_id, key_id, sort_order) VALUES (?, ?, ?)
+                    ON CONFLICT(user_id, key_id) DO UPDATE SET sort_order = excluded.sort_order`)
+          .bind(user.id, id, index));
+  if (statements.length) await env.DB.batch(statements);
+  return statements.length;
+}
+
+/**
+ * 原子地递增 HOTP 计数器并生成对应的验证码。调用前需先通过 getKey 检查权限。
+ * 在一条语句中递增并取回密钥，避免并发请求拿到同一个计数器值。
+ * @param {object} env
+ * @param {number} id
+ * @returns {Promise<?string>} 验证码；密钥不存在或不是 HOTP 类型时返回 null。
+ */
+async function nextHotpCode(env, id) {
+  const key = await env.DB.prepare("UPDATE totp_keys SET counter = counter + 1 WHERE id = ? AND type = 'hotp' RETURNING secret, iv, key_id, issuer, digits, period, algorithm, encoder, counter")
+                          .bind(id)
+                          .first();
+  if (!key) return null;
+  // 数据库中保存的是“下一个待使用”的计数器，本次使用的是递增前的值
+  return new TOTP(await openSecret(env, key), keyOptions(key)).generateOTP(key.counter - 1);
+}
+
+/** 服务器端校验验证码时允许的前后偏差时间步数。窗口越大，猜中验证码的概率越高，因此固定为 1。 */
+const VERIFY_WINDOW = 1;
+
+/**
+ * 校验提交的 TOTP 验证码。从当前时间步开始向前后交替查找，最多偏差 VERIFY_WINDOW 个时间步，偏差最小的匹配优先；
+ * 匹配的计数器必须晚于上次通过校验的计数器，防止同一验证码（或更早的验证码）被重放。
+ * 调用前需先通过 getKey 检查权限。
+ * @param {object} env
+ * @param {object} key - TOTP 密钥记录。
+ * @param {string} code
+ * @returns {Promise<{ valid: boolean, replayed?: boolean, offset?: number, counter?: number }>}
+ *   offset 为匹配的时间步相对服务器当前时间步的偏差，负数表示提交方的时钟偏慢。
+ */
+async function verifyKeyCode(env, key, code) {
+  const totp = new TOTP(await openSecret(env, key), keyOptions(key));
+  const current = Math.floor(Date.now() / 1000 / key.period);
+  // Steam 令牌的验证码由大写字母和数字组成
+  const submitted = code.replace(/\s/g, '').toUpperCase();
+  for (let distance = 0; distance <= VERIFY_WINDOW; distance++) {
+    for (const offset of distance ? [-distance, distance] : [0]) {
+      const counter = current + offset;
+      if (!(await timingSafeEqual(await totp.generateOTP(counter), submitted))) continue;
+      // 条件更新保证并发提交同一个验证码时只有一个请求成功
+      const { meta } = await env.DB.prepare('UPDATE totp_keys SET verified_counter = ? WHERE id = ? AND (verified_counter IS NULL OR verified_counter < ?)')
+                                   .bind(counter, key.id, counter)
+                                   .run();
+      return meta.changes > 0 ? { valid: true, offset, counter } : { valid: false, replayed: true };
+    }
+  }
+  return { valid: false };
+}
+
+/**
+ * 把自己的密钥移入自己的某个文件夹，folderId 为空时移出文件夹。
+ * @param {object} env
+ * @param {object} user
+ * @param {number} id - 密钥 ID。
+ * @param {?number} folderId
+ * @returns {Promise<boolean>} 密钥与文件夹是否都属于该用户。
+ */
+async function moveKeyToFolder(env, user, id, folderId) {
+  if (folderId && !(await getOwnFolder(env, user, folderId))) return false;
+  const { meta } = await env.DB.prepare('UPDATE totp_keys SET folder_id = ? WHERE id = ? AND owner_id = ?')
+                               .bind(folderId || null, id, user.id)
+                               .run();
+  return meta.changes > 0;
+}
+
+/**
+ * 判断 D1 抛出的错误是否为唯一约束（名称重复）冲突。
+ * @param {Error} e
+ * @returns {boolean}
+ */
+function isUniqueViolation(e) {
+  return /UNIQUE constraint failed|PRIMARY KEY/i.test(e && e.message || '');
+}
+
+/**
+ * 处理 /api/v1/ 下的 JSON REST API 请求。
+ *
+ * 路由:
+ * - GET    /api/v1/keys               列出当前用户可见的所有密钥（不含 secret），包括共享文件夹中的密钥
+ * - POST   /api/v1/keys               添加密钥，请求体同 'add' 操作的字段（secret 可为 otpauth:// URL）
+ * - PATCH  /api/v1/keys/:name         修改密钥，请求体可包含 name、issuer、notes、tags 中的任意字段
+ * - DELETE /api/v1/keys/:name         删除密钥
+ * - GET    /api/v1/keys/:name/code    获取单个 TOTP 密钥的当前验证码
+ * - POST   /api/v1/keys/:name/next    递增 HOTP 计数器并返回新的验证码
+ * - POST   /api/v1/keys/:name/verify  校验提交的 TOTP 验证码，请求体为 { code, window }
+ * - GET    /api/v1/codes              获取所有 TOTP 密钥的当前验证码
+ * - GET    /api/v1/vault              获取所有密钥及其 secret，供客户端自行生成验证码
+ * - GET    /api/v1/audit              分页查询审计日志，支持 action、key、outcome、ip、from、to、page 筛选参数
+ *
+ * 请求需要 Authorization: Bearer <API_TOKEN> 头（以管理员身份访问），或者来自已登录页面的会话 Cookie（以登录用户身份访问）。
+ * 对只读共享的密钥执行修改操作时返回 403。错误统一返回 { "error": { "code", "message" } }。
+ * @param {Request} request
+ * @param {object} env
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+async function handleApiRequest(request, env, url) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: API_CORS_HEADERS });
+  }
+  // 页面通过同源请求携带会话 Cookie 调用 API（SameSite=Strict 防止跨站请求），以登录用户的身份访问；
+  // 脚本与工具使用 Bearer 令牌，以管理员的身份访问
+  const lang = pageLanguage(request);
+  const fail = (status, code, key, params) => jsonError(status, code, formatMessage(MESSAGES[lang], key, params));
+  const auth = request.headers.get('Authorization') || '';
+  let user = auth ? null : await getSessionUser(request, env);
+  if (!user) {
+    if (!env.API_TOKEN) return fail(503, 'api_disabled', 'error.apiDisabled');
+    const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+    if (!token || !(await timingSafeEqual(token, env.API_TOKEN))) {
+      await audit(env, request, { action: 'api_auth', outcome: 'failure', detail: 'Missing or invalid bearer token' });
+      return fail(401, 'unauthorized', 'error.invalidToken');
+    }
+    user = await apiTokenUser(env);
+    if (!user) return fail(503, 'no_admin', 'error.noAdmin');
+  }
+
+  let segments;
+  try {
+    segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (e) {
+    return fail(400, 'invalid_path', 'error.invalidPath');
+  }
+  if (segments[1] !== 'v1') return fail(404, 'not_found', 'error.unknownApiVersion');
+  const [, , resource, name, sub] = segments;
+  const method = request.method;
+
+  const context = { detail: null };
+  const response = await routeApiRequest(request, env, user, { method, resource, name, sub }, context);
+
+  // 记录 API 发起的修改操作与验证码查看
+  const action = apiAuditAction(method, resource, name, sub);
+  if (action) {
+    const detail = response.ok || !context.detail ? 'API' : `API: ${context.detail}`;
+    let key = name;
+    try {
+      const data = response.ok && response.status !== 204 ? await response.clone().json() : null;
+      if (!key && data && data.key) key = data.key.name;
+    } catch (e) {
+      // 响应体不是预期的 JSON 时只记录基本信息
+    }
+    await audit(env, request, { action, user, key, outcome: response.ok ? 'success' : 'failure', detail });
+  }
+  return response;
+}
+
+/**
+ * 执行已通过认证的 API 请求。
+ * @param {Request} request
+ * @param {object} env
+ * @param {object} user - 已认证的用户。
+ * @param {object} route - 从路径解析出的路由信息。
+ * @param {string} route.method
+ * @param {string} route.resource - 资源名称，如 'keys'、'codes'。
+ * @param {string} [route.name] - 密钥名称。
+ * @param {string} [route.sub] - 子资源，如 'code'、'next'、'verify'。
+ * @param {object} context - 失败时填入 context.detail（见 auditErrorDetail），供审计日志使用。
+ * @returns {Promise<Response>}
+ */
+async function routeApiRequest(request, env, user, { method, resource, name, sub }, context) {
+  const lang = pageLanguage(request);
+  const reject = (status, code, error) => {
+    context.detail = auditErrorDetail(error);
+    return jsonError(status, code, errorMessage(lang, error));
+  };
+  const fail = (status, code, key, params) => reject(status, code, messageError(key, params));
+  const verifyLockedResponse = retryAfter => {
+    const response = fail(429, 'too_many_attempts', 'login.retryAfter', { seconds: retryAfter });
+    response.headers.set('Retry-After', String(retryAfter));
+    return response;
+  };
+  try {
+    if (resource === 'codes' && !name) {
+      if (method !== 'GET') return fail(405, 'method_not_allowed', 'error.methodNotAllowed');
+      const codes = [];
+      for (const key of await listKeys(env, user)) {
+        if (key.type !== 'totp') continue;
+        // 单个密钥无法解密（例如轮换主密钥后尚未迁移）时只在该条目上报告错误，不影响其余密钥
+        try {
+          codes.push(await apiCode(env, key));
+        } catch (e) {
+          codes.push({ name: key.name, issuer: key.issuer, error: errorMessage(lang, e) });
+        }
+      }
+      return json({ codes });
+    }
+
+    if (resource === 'vault' && !name) {
+      if (method !== 'GET') return fail(405, 'method_not_allowed', 'error.methodNotAllowed');
+      const keys = [];
+      for (const key of await listKeys(env, user)) {
+        keys.push({ ...apiKey(key), secret: await openSecret(env, key) });
+      }
+      // 客户端根据 Date 头校正本机时钟偏差
+      const response = json({ keys });
+      response.headers.set('Date', new Date().toUTCString());
+      return response;
+    }
+
+    if (resource === 'audit' && !name) {
+      if (method !== 'GET') return fail(405, 'method_not_allowed', 'error.methodNotAllowed');
+      await pruneAuditLog(env);
+      const filters = auditFilters(new URL(request.url).searchParams);
+      const { entries, hasMore } = await queryAuditLog(env, user, filters);
+      return json({
+        entries: entries.map(entry => ({ ...entry, detail: auditDetailText(lang, entry.detail) })),
+        page: filters.page,
+        has_more: hasMore,
+      });
+    }
+
+    if (resource !== 'keys') return fail(404, 'not_found', 'error.unknownResource');
+
+    if (!name) {
+      if (method === 'GET') {
+        return json({ keys: (await listKeys(env, user)).map(apiKey) });
+      }
+      if (method === 'POST') {
+        let entry;
+        try {
+          entry = normalizeKeyEntry(await readJson(request));
+        } catch (e) {
+          if (e instanceof SyntaxError) throw e;
+          return reject(400, 'invalid_key', e);
+        }
+        try {
+          await insertKey(env, user, entry);
+        } catch (e) {
+          if (isUniqueViolation(e)) return fail(409, 'conflict', 'error.keyExists', { name: entry.name });
+          throw e;
+        }
+        return json({ key: apiKey(await findKeyByName(env, user, entry.name)) }, 201);
+      }
+      return fail(405, 'method_not_allowed', 'error.methodNotAllowed');
+    }
+
+    // 单个密钥按名称定位；共享给当前用户的密钥与自己的密钥同名时，优先匹配自己的密钥
+    const key = await findKeyByName(env, user, name);
+    if (!key) return fail(404, 'not_found', 'error.keyNameNotFound', { name });
+    const forbidden = () => fail(403, 'forbidden', 'error.keySharedReadOnly', { name });
+
+    if (!sub) {
+      if (method === 'GET') {
+        return json({ key: apiKey(key) });
+      }
+      if (method === 'PATCH') {
+        if (!canWriteKey(key)) return forbidden();
+        let changes;
+        try {
+          changes = normalizeKeyChanges(await readJson(request));
+        } catch (e) {
+          if (e instanceof SyntaxError) throw e;
+          return reject(400, 'invalid_key', e);
+        }
+        try {
+          await updateKey(env, key.id, changes);
+        } catch (e) {
+          if (isUniqueViolation(e)) return fail(409, 'conflict', 'error.keyExists', { name: changes.name });
+          throw e;
+        }
+        return json({ key: apiKey(await getKey(env, user, key.id)) });
+      }
+      if (method === 'DELETE') {
+        if (!canWriteKey(key)) return forbidden();
+        await deleteKey(env, key.id);
+        return new Response(null, { status: 204, headers: API_CORS_HEADERS });
+      }
+      return fail(405, 'method_not_allowed', 'error.methodNotAllowed');
+    }
+
+    if (sub === 'code' && method === 'GET') {
+      if (key.type !== 'totp') return fail(409, 'not_totp', 'error.hotpNoCode');
+      return json(await apiCode(env, key));
+    }
+    if (sub === 'next' && method === 'POST') {
+      if (!canWriteKey(key)) return forbidden();
+      const code = await nextHotpCode(env, key.id);
+      return code ? json({ name, code }) : fail(404, 'not_found', 'error.keyNameNotFound', { name });
+    }
+    if (sub === 'verify' && method === 'POST') {
+      // 通过校验会记录已使用的计数器，因此与递增 HOTP 计数器一样需要写权限
+      if (!canWriteKey(key)) return forbidden();
+      if (key.type !== 'totp') return fail(409, 'not_totp', 'error.verifyTotpOnly');
+      const body = await readJson(request);
+      if (typeof body.code !== 'string' && typeof body.code !== 'number') return fail(400, 'invalid_code', 'error.missingCode');
+      // 与登录共用失败计数与锁定规则，但只按密钥计数：调用方通常是替终端用户校验的服务器，不能因此锁定它的 IP
+      const account = `key:${key.id}`;
+      const lockedFor = await loginLockout(env, null, account);
+      if (lockedFor) return verifyLockedResponse(lockedFor);
+      const result = await verifyKeyCode(env, key, String(body.code));
+      if (result.replayed) return fail(409, 'code_replayed', 'error.codeReplayed');
+      if (!result.valid) {
+        const wait = await recordLoginFailure(env, null, account);
+        return wait ? verifyLockedResponse(wait) : fail(422, 'invalid_code', 'error.wrongCode');
+      }
+      await clearLoginFailures(env, null, account);
+      return json({ name, valid: true, offset: result.offset, counter: result.counter, period: key.period });
+    }
+    return fail(404, 'not_found', 'error.unknownRoute');
+  } catch (e) {
+    if (e instanceof SyntaxError) return fail(400, 'invalid_json', 'error.invalidJson');
+    // 目录中的消息（如主密钥缺失）可以直接返回；其他错误可能包含数据库等内部细节，只记录到日志
+    if (e.messageKey) return reject(500, 'internal_error', e);
+    console.error('API request failed:', e);
+    return fail(500, 'internal_error', 'error.internal');
+  }
+}
+
+/**
+ * 返回需要写入审计日志的 API 操作名称；只读的列表查询返回 null。
+ * @param {string} method
+ * @param {string} resource
+ * @param {string} [name]
+ * @param {string} [sub]
+ * @returns {string|null}
+ */
+function apiAuditAction(method, resource, name, sub) {
+  if (resource === 'codes' && !name && method === 'GET') return 'view_codes';
+  if (resource === 'vault' && !name && method === 'GET') return 'view_vault';
+  if (resource !== 'keys') return null;
+  if (!name) return method === 'POST' ? 'add' : null;
+  if (!sub) return { PATCH: 'update', DELETE: 'delete' }[method] || null;
+  if (sub === 'code' && method === 'GET') return 'view_code';
+  if (sub === 'next' && method === 'POST') return 'next';
+  if (sub === 'verify' && method === 'POST') return 'verify';
+  return null;
+}
+
+/** API 响应的 CORS 头。API 只接受 Bearer 令牌而不使用 Cookie，因此允许任意来源调用（如浏览器扩展）。 */
+const API_CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+  'Cache-Control': 'no-store',
+};
+
+/**
+ * 生成 JSON 响应。
+ * @param {*} data
+ * @param {number} [status=200]
+ * @param {object} [headers] - 额外的响应头，默认是 API 的 CORS 头。
+ * @returns {Response}
+ */
+function json(data, status = 200, headers = API_CORS_HEADERS) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...headers, 'Content-Type': 'application/json; charset=utf-8' },
+  });
+}
+
+/**
+ * 生成统一格式的 JSON 错误响应。
+ * @param {number} status - HTTP 状态码。
+ * @param {string} code - 机器可读的错误代码。
+ * @param {string} message - 人类可读的错误描述。
+ * @returns {Response}
+ */
+function jsonError(status, code, message) {
+  return json({ error: { code, message } }, status);
+}
+
+/**
+ * 读取 JSON 请求体。空请求体视为空对象。
+ * @param {Request} request
+ * @returns {Promise<object>}
+ * @throws {SyntaxError} 请求体不是合法 JSON 时抛出。
+ */
+async function readJson(request) {
+  const text = await request.text();
+  const body = text ? JSON.parse(text) : {};
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new SyntaxError('Expected a JSON object');
+  return body;
+}
+
+/**
+ * 将数据库记录转换为 API 返回的密钥对象（不包含 secret）。
+ * @param {object} key
+ * @returns {object}
+ */
+function apiKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    issuer: key.issuer,
+    type: key.type,
+    digits: key.digits,
+    period: key.type === 'totp' ? key.period : null,
+    algorithm: key.algorithm,
+    encoder: key.encoder || null,
+    counter: key.type === 'hotp' ? key.counter : null,
+    notes: key.notes || null,
+    tags: splitTags(key.tags),
+    pinned: !!key.pinned,
+    folder: key.folder_name || null,
+    owner: key.owner_name,
+    access: key.access,
+    created_at: key.created_at,
+  };
+}
+
+/**
+ * 生成 API 返回的 TOTP 当前验证码对象，包含剩余有效秒数。
+ * @param {object} env
+ * @param {object} key - 数据库中的 TOTP 密钥记录。
+ * @returns {Promise<object>}
+ */
+async function apiCode(env, key) {
+  const now = Math.floor(Date.now() / 1000);
+  const code = await new TOTP(await openSecret(env, key), keyOptions(key)).generate();
+  const remaining = key.period - (now % key.period);
+  return { name: key.name, issuer: key.issuer, code, period: key.period, remaining, expires_at: now + remaining };
+}
+
+/**
+ * 以恒定时间比较两个字符串，避免通过响应时间推测出令牌内容。
+ * 先对两边做 SHA-256，使比较时间与输入长度无关。
+ * @param {string} a
+ * @param {string} b
+ * @returns {Promise<boolean>}
+ */
+async function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const [x, y] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(a)),
+    crypto.subtle.digest('SHA-256', encoder.encode(b)),
+  ]);
+  const bx = new Uint8Array(x), by = new Uint8Array(y);
+  let diff = 0;
+  for (let i = 0; i < bx.length; i++) diff |= bx[i] ^ by[i];
+  return diff === 0;
+}
+
+/** 用户密码哈希使用的 PBKDF2 迭代次数（Workers 的 WebCrypto 最多支持 100000 次）。 */
+const PASSWORD_PBKDF2_ITERATIONS = 100000;
+/** 新用户密码的最小长度。 */
+const MIN_PASSWORD_LENGTH = 8;
+/** 由 ACCESS_PASSWORD 自动创建的管理员用户名。 */
+const BOOTSTRAP_ADMIN = 'admin';
+/** 查询用户记录时选取的列（不包含密码哈希）。 */
+const USER_COLUMNS = 'id, username, is_admin, created_at';
+
+/**
+ * 使用 PBKDF2-SHA256 计算密码哈希。
+ * @param {string} password
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<string>} base64url 编码的 256 位哈希。
+ */
+async function hashPassword(password, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 256);
+  return bytesToBase64Url(new Uint8Array(bits));
+}
+
+/**
+ * 为新密码生成随机盐并计算哈希，返回可直接写入 users 表的字段。
+ * @param {string} password
+ * @returns {Promise<{password_hash: string, password_salt: string, password_iterations: number}>}
+ */
+async function newPasswordHash(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return {
+    password_hash: await hashPassword(password, salt, PASSWORD_PBKDF2_ITERATIONS),
+    password_salt: bytesToBase64Url(salt),
+    password_iterations: PASSWORD_PBKDF2_ITERATIONS,
+  };
+}
+
+/**
+ * 校验用户名与新密码的格式。
+ * @param {string} username
+ * @param {string} password
+ * @throws {Error} 格式不合法时抛出 messageError 创建的错误。
+ */
+function validateCredentials(username, password) {
+  if (!/^[\w.@-]{1,64}$/.test(username)) throw messageError('error.invalidUsername');
+  if (password.length < MIN_PASSWORD_LENGTH) throw messageError('error.passwordTooShort', { min: MIN_PASSWORD_LENGTH });
+}
+
+/**
+ * 按 ID 查询用户。
+ * @param {object} env
+ * @param {number} id
+ * @returns {Promise<?object>}
+ */
+async function getUser(env, id) {
+  return env.DB.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`).bind(id).first();
+}
+
+/**
+ * 查询所有用户，供管理员管理账户和共享文件夹时选择成员。
+ * @param {object} env
+ * @returns {Promise<Array<object>>}
+ */
+async function listUsers(env) {
+  const { results } = await env.DB.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY username ASC`).all();
+  return results || [];
+}
+
+/**
+ * 创建用户。
+ * @param {object} env
+ * @param {object} options
+ * @param {string} options.username
+ * @param {string} options.password
+ * @param {boolean} [options.isAdmin=false]
+ * @returns {Promise<void>}
+ * @throws {Error} 用户名或密码不合法，或用户名已存在时抛出错误。
+ */
+async function createUser(env, { username, password, isAdmin = false }) {
+  validateCredentials(username, password);
+  const hash = await newPasswordHash(password);
+  try {
+    await env.DB.prepare('INSERT INTO users (username, password_hash, password_salt, password_iterations, is_admin) VALUES (?, ?, ?, ?, ?)')
+                .bind(username, hash.password_hash, hash.password_salt, hash.password_iterations, isAdmin ? 1 : 0)
+                .run();
+  } catch (e) {
+    throw isUniqueViolation(e) ? messageError('error.duplicateUsername') : e;
+  }
+}
+
+/**
+ * 修改用户密码，并递增会话版本使该用户已登录的所有会话失效。
+ * @param {object} env
+ * @param {number} id
+ * @param {string} password - 新密码。
+ * @returns {Promise<boolean>} 用户是否存在。
+ */
+async function setUserPassword(env, id, password) {
+  if (password.length < MIN_PASSWORD_LENGTH) throw messageError('error.passwordTooShort', { min: MIN_PASSWORD_LENGTH });
+  const hash = await newPasswordHash(password);
+  const { meta } = await env.DB.prepare('UPDATE users SET password_hash = ?, password_salt = ?, password_iterations = ?, session_version = session_version + 1 WHERE id = ?')
+                               .bind(hash.password_hash, hash.password_salt, hash.password_iterations, id)
+                               .run();
+  return meta.changes > 0;
+}
+
+/**
+ * 删除用户及其拥有的密钥、文件夹和两步验证数据，并移除其在他人文件夹中的成员资格。
+ * 先递增会话版本再删除用户记录，该用户已登录的会话随即失效。
+ * @param {object} env
+ * @param {number} id
+ * @returns {Promise<boolean>} 用户是否存在。
+ */
+async function deleteUser(env, id) {
+  const results = await env.DB.batch([
+    env.DB.prepare('DELETE FROM key_preferences WHERE user_id = ? OR key_id IN (SELECT id FROM totp_keys WHERE owner_id = ?)').bind(id, id),
+    env.DB.prepare('DELETE FROM totp_keys WHERE owner_id = ?').bind(id),
+    env.DB.prepare('UPDATE totp_keys SET folder_id = NULL WHERE folder_id IN (SELECT id FROM folders WHERE owner_id = ?)').bind(id),
+    env.DB.prepare('DELETE FROM folder_members WHERE user_id = ? OR folder_id IN (SELECT id FROM folders WHERE owner_id = ?)').bind(id, id),
+    env.DB.prepare('DELETE FROM folders WHERE owner_id = ?').bind(id),
+    env.DB.prepare('DELETE FROM mfa_totp WHERE user_id = ?').bind(id),
+    env.DB.prepare('DELETE FROM webauthn_credentials WHERE user_id = ?').bind(id),
+    env.DB.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(id),
+    env.DB.prepare('UPDATE users SET session_version = session_version + 1 WHERE id = ?').bind(id),
+    env.DB.prepare('DELETE FROM users WHERE id = ?').bind(id),
+  ]);
+  return results[results.length - 1].meta.changes > 0;
+}
+
+/**
+ * 校验用户名和密码。
+ * 用户不存在时仍然计算一次哈希，使响应时间不会暴露用户名是否存在。
+ * @param {object} env
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<?object>} 验证成功时返回用户记录，否则返回 null。
+ */
+async function authenticateUser(env, username, password) {
+  const row = await env.DB.prepare(`SELECT ${USER_COLUMNS}, password_hash, password_salt, password_iterations FROM users WHERE username = ?`)
+                          .bind(username)
+                          .first();
+  const salt = row ? base64UrlToBytes(row.password_salt) : new Uint8Array(16);
+  const hash = await hashPassword(password, salt, row ? row.password_iterations : PASSWORD_PBKDF2_ITERATIONS);
+  if (!row || !(await timingSafeEqual(hash, row.password_hash))) return null;
+  return { id: row.id, username: row.username, is_admin: row.is_admin, created_at: row.created_at };
+}
+
+/**
+ * 首次使用时由 ACCESS_PASSWORD 创建管理员账户，并把升级前没有所有者的密钥归入该账户。
+ * 已存在任何用户时不做任何事情。
+ * @param {object} env
+ * @returns {Promise<void>}
+ */
+async function bootstrapAdmin(env) {
+  const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM users').first();
+  if (count > 0 || !env.ACCESS_PASSWORD) return;
+  const hash = await newPasswordHash(env.ACCESS_PASSWORD);
+  try {
+    await env.DB.batch([
+      env.DB.prepare('INSERT INTO users (username, password_hash, password_salt, password_iterations, is_admin) VALUES (?, ?, ?, ?, 1)')
+            .bind(BOOTSTRAP_ADMIN, hash.password_hash, hash.password_salt, hash.password_iterations),
+      env.DB.prepare('UPDATE totp_keys SET owner_id = (SELECT id FROM users WHERE username = ?) WHERE owner_id IS NULL').bind(BOOTSTRAP_ADMIN),
+    ]);
+  } catch (e) {
+    // 并发的首次请求可能已经创建了管理员
+    if (!isUniqueViolation(e)) throw e;
+  }
+}
+
+/**
+ * 返回 API_TOKEN 所代表的用户，即最早创建的管理员。
+ * @param {object} env
+ * @returns {Promise<?object>}
+ */
+async function apiTokenUser(env) {
+  await bootstrapAdmin(env);
+  return env.DB.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE is_admin = 1 ORDER BY id ASC LIMIT 1`).first();
+}
+
+/**
+ * 查询用户自己的文件夹及其成员。
+ * @param {object} env
+ * @param {object} user
+ * @returns {Promise<Array<{id: number, name: string, members: Array<{id: number, username: string, permission: string}>}>>}
+ */
+async function listFolders(env, user) {
+  const [folders, members] = await env.DB.batch([
+    env.DB.prepare('SELECT id, name FROM folders WHERE owner_id = ? ORDER BY name ASC').bind(user.id),
+    env.DB.prepare(`SELECT m.folder_id, u.id, u.username, m.permission FROM folder_members m
+                    JOIN folders f ON f.id = m.folder_id JOIN users u ON u.id = m.user_id
+                    WHERE f.owner_id = ? ORDER BY u.username ASC`).bind(user.id),
+  ]);
+  return folders.results.map(folder => ({
+    ...folder,
+    members: members.results.filter(m => m.folder_id === folder.id).map(({ id, username, permission }) => ({ id, username, permission })),
+  }));
+}
+
+/**
+ * 查询用户自己的某个文件夹。
+ * @param {object} env
+ * @param {object} user
+ * @param {number} id
+ * @returns {Promise<?object>}
+ */
+async function getOwnFolder(env, user, id) {
+  return env.DB.prepare('SELECT id, name FROM folders WHERE id = ? AND owner_id = ?').bind(id, user.id).first();
+}
+
+/**
+ * 创建文件夹。
+ * @param {object} env
+ * @param {object} user - 文件夹的所有者。
+ * @param {string} name
+ * @returns {Promise<void>}
+ * @throws {Error} 名称为空或已存在时抛出错误。
+ */
+async function createFolder(env, user, name) {
+  if (!name) throw messageError('error.missingFolderName');
+  try {
+    await env.DB.prepare('INSERT INTO folders (owner_id, name) VALUES (?, ?)').bind(user.id, name).run();
+  } catch (e) {
+    throw isUniqueViolation(e) ? messageError('error.duplicateFolder') : e;
+  }
+}
+
+/**
+ * 删除自己的文件夹。其中的密钥不会被删除，只是移出文件夹并停止共享。
+ * @param {object} env
+ * @param {object} user
+ * @param {number} id
+ * @returns {Promise<boolean>} 文件夹是否存在且属于该用户。
+ */
+async function deleteFolder(env, user, id) {
+  if (!(await getOwnFolder(env, user, id))) return false;
+  await env.DB.batch([
+    env.DB.prepare('UPDATE totp_keys SET folder_id = NULL WHERE folder_id = ?').bind(id),
+    env.DB.prepare('DELETE FROM folder_members WHERE folder_id = ?').bind(id),
+    env.DB.prepare('DELETE FROM folders WHERE id = ?').bind(id),
+  ]);
+  return true;
+}
+
+/**
+ * 把自己的文件夹共享给另一个用户，已共享时更新权限。
+ * @param {object} env
+ * @param {object} user - 文件夹的所有者。
+ * @param {number} folderId
+ * @param {string} username - 被授权的用户名。
+ * @param {'read'|'write'} permission
+ * @returns {Promise<void>}
+ * @throws {Error} 文件夹、用户或权限不合法时抛出错误。
+ */
+async function shareFolder(env, user, folderId, username, permission) {
+  if (!['read', 'write'].includes(permission)) throw messageError('error.invalidPermission');
+  if (!(await getOwnFolder(env, user, folderId))) throw messageError('error.folderNotFound');
+  const member = await env.DB.prepare('SELECT id FROM users WHERE username = ?').bind(username).first();
+  if (!member) throw messageError('error.unknownUser', { username });
+  if (member.id === user.id) throw messageError('error.shareWithSelf');
+  await env.DB.prepare(`INSERT INTO folder_members (folder_id, user_id, permission) VALUES (?, ?, ?)
+                        ON CONFLICT(folder_id, user_id) DO UPDATE SET permission = excluded.permission`)
+              .bind(folderId, member.id, permission)
+              .run();
+}
+
+/**
+ * 取消某个用户对自己文件夹的访问权限。
+ * @param {object} env
+ * @param {object} user - 文件夹的所有者。
+ * @param {number} folderId
+ * @param {number} memberId
+ * @returns {Promise<boolean>} 是否确实移除了一个成员。
+ */
+async function unshareFolder(env, user, folderId, memberId) {
+  if (!(await getOwnFolder(env, user, folderId))) return false;
+  const { meta } = await env.DB.prepare('DELETE FROM folder_members WHERE folder_id = ? AND user_id = ?').bind(folderId, memberId).run();
+  return meta.changes > 0;
+}
+
+/** 会话 Cookie 的名称。 */
+const SESSION_COOKIE = 'totp_session';
+/** 默认的会话有效期 (秒)，可通过环境变量 SESSION_TTL 覆盖。 */
+const DEFAULT_SESSION_TTL = 12 * 60 * 60;
+
+/**
+ * 读取会话有效期配置。
+ * @param {object} env
+ * @returns {number} 会话有效期 (秒)。
+ */
+function sessionTtl(env) {
+  const ttl = Number(env.SESSION_TTL);
+  return Number.isFinite(ttl) && ttl > 0 ? Math.floor(ttl) : DEFAULT_SESSION_TTL;
+}
+
+/** 本 isolate 已导入的会话签名密钥，按 env 缓存，避免每个请求都查询 D1。 */
+const sessionKeys = new WeakMap();
+
+/**
+ * 读取会话签名密钥：优先使用 SESSION_SECRET，否则使用第一次需要时随机生成并保存在 D1 中的密钥。
+ * 签名密钥不能由任何用户知道的密码派生，否则知道密码的人可以伪造任意用户的会话，被截获的 Cookie 也会成为离线猜测密码的依据。
+ * @param {object} env
+ * @returns {Promise<string>}
+ */
+async function sessionSecret(env) {
+  if (env.SESSION_SECRET) return env.SESSION_SECRET;
+  const select = env.DB.prepare("SELECT value FROM app_secrets WHERE name = 'session'");
+  const row = await select.first();
+  if (row) return row.value;
+  // 并发的首次请求各自生成密钥时只保留先写入的一个
+  const generated = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  await env.DB.prepare("INSERT OR IGNORE INTO app_secrets (name, value) VALUES ('session', ?)").bind(generated).run();
+  return (await select.first()).value;
+}
+
+/**
+ * 导入用于签名会话令牌的 HMAC 密钥。
+ * @param {object} env
+ * @returns {Promise<CryptoKey>}
+ */
+function sessionKey(env) {
+  if (!sessionKeys.has(env)) {
+    const key = sessionSecret(env).then(secret =>
+      crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']));
+    // 读取失败时不缓存，下一个请求重试
+    key.catch(() => sessionKeys.delete(env));
+    sessionKeys.set(env, key);
+  }
+  return sessionKeys.get(env);
+}
+
+/**
+ * 签发一个会话令牌，格式为 base64url(载荷 JSON) + '.' + base64url(HMAC-SHA256 签名)。
+ * 载荷中的 sid 是随机的会话 ID，退出登录时据此在服务器端撤销该会话；
+ * ver 是签发时用户的会话版本，修改或重置密码后版本递增，该用户之前签发的所有令牌随之失效。
+ * @param {object} env
+ * @param {number} ttl - 有效期 (秒)。
+ * @param {number} uid - 登录用户的 ID。
+ * @param {string} [purpose='session'] - 令牌用途，'mfa' 表示只通过了密码验证、等待第二因素。
+ * @returns {Promise<string>}
+ */
+async function createSessionToken(env, ttl, uid, purpose = 'session') {
+  const now = Math.floor(Date.now() / 1000);
+  const sid = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+  const ver = await env.DB.prepare('SELECT session_version FROM users WHERE id = ?').bind(uid).first('session_version');
+  const payload = bytesToBase64Url(new TextEncoder().encode(JSON.stringify({ uid, sid, ver, purpose, iat: now, exp: now + ttl })));
+  const signature = await crypto.subtle.sign('HMAC', await sessionKey(env), new TextEncoder().encode(payload));
+  return `${payload}.${bytesToBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * 校验会话令牌的签名、用途和有效期。
+ * @param {object} env
+ * @param {string} token
+ * @param {string} [purpose='session'] - 期望的令牌用途，防止待验证令牌被当作会话使用。
+ * @returns {Promise<?object>} 校验通过时返回载荷，否则返回 null。
+ */
+async function verifySessionToken(env, token, purpose = 'session') {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) return null;
+  try {
+    // crypto.subtle.verify 以恒定时间比较签名
+    const valid = await crypto.subtle.verify('HMAC', await sessionKey(env), base64UrlToBytes(signature), new TextEncoder().encode(payload));
+    if (!valid) return null;
+    const data = JSON.parse(new TextDecoder().decode(base64UrlToBytes(payload)));
+    return data.purpose === purpose && data.exp > Date.now() / 1000 ? data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 从请求的 Cookie 中读取并校验会话。
+ * @param {Request} request
+ * @param {object} env
+ * @param {string} [name=SESSION_COOKIE] - Cookie 名称。
+ * @param {string} [purpose='session'] - 期望的令牌用途。
+ * @returns {Promise<?object>} 有效会话的载荷，或 null。
+ */
+async function getSession(request, env, name = SESSION_COOKIE, purpose = 'session') {
+  const cookies = request.headers.get('Cookie') || '';
+  const match = cookies.match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+  return match ? verifySessionToken(env, match[1], purpose) : null;
+}
+
+/**
+ * 返回令牌载荷对应的用户。用户已被删除、密码已被修改、会话已被撤销或令牌来自旧版本时返回 null。
+ * @param {object} env
+ * @param {?object} session - verifySessionToken 返回的载荷。
+ * @returns {Promise<?object>}
+ */
+async function sessionUser(env, session) {
+  if (!session || !session.uid || !session.sid || !Number.isInteger(session.ver)) return null;
+  return env.DB.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ? AND session_version = ? AND NOT EXISTS (SELECT 1 FROM revoked_sessions WHERE session_id = ?)`)
+               .bind(session.uid, session.ver, session.sid)
+               .first();
+}
+
+/**
+ * 返回请求的会话 Cookie 对应的登录用户。
+ * @param {Request} request
+ * @param {object} env
+ * @returns {Promise<?object>}
+ */
+async function getSessionUser(request, env) {
+  return sessionUser(env, await getSession(request, env));
+}
+
+/**
+ * 在服务器端撤销请求携带的会话，并顺便清理已经过期的撤销记录。
+ * @param {Request} request
+ * @param {object} env
+ * @param {string} [name=SESSION_COOKIE] - Cookie 名称。
+ * @param {string} [purpose='session'] - 令牌用途。
+ * @returns {Promise<void>}
+ */
+async function revokeSession(request, env, name = SESSION_COOKIE, purpose = 'session') {
+  const session = await getSession(request, env, name, purpose);
+  if (!session || !session.sid) return;
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM revoked_sessions WHERE expires_at <= ?').bind(Math.floor(Date.now() / 1000)),
+    env.DB.prepare('INSERT OR IGNORE INTO revoked_sessions (session_id, expires_at) VALUES (?, ?)').bind(session.sid, session.exp),
+  ]);
+}
+
+/**
+ * 生成设置（或清除）会话 Cookie 的 Set-Cookie 头。
+ * @param {string} token - 会话令牌，清除时传空字符串。
+ * @param {number} maxAge - 有效期 (秒)，0 表示立即过期。
+ * @param {string} [name=SESSION_COOKIE] - Cookie 名称。
+ * @returns {string}
+ */
+function sessionCookie(token, maxAge, name = SESSION_COOKIE) {
+  return `${name}=${token}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Strict`;
+}
+
+/** 两步验证中显示在验证器应用里的发行方名称。 */
+const MFA_ISSUER = 'TOTP Vault';
+/** 校验登录验证码时允许前后偏差的时间步数。 */
+const MFA_TOTP_WINDOW = 1;
+/** 每次生成的恢复码数量。 */
+const RECOVERY_CODE_COUNT = 10;
+/** WebAuthn 挑战的有效期 (秒)。 */
+const CHALLENGE_TTL = 5 * 60;
+/** 通过密码验证、等待第二因素时使用的 Cookie 名称及其有效期 (秒)。 */
+const MFA_COOKIE = 'totp_mfa';
+const MFA_PENDING_TTL = 5 * 60;
+/** WebAuthn 支持的 COSE 签名算法：ES256 与 RS256。 */
+const COSE_ES256 = -7;
+const COSE_RS256 = -257;
+/** 删除已经没有任何第二因素可以配合使用的恢复码。绑定参数为三次用户 ID。 */
+const ORPHAN_RECOVERY_CODES_SQL = `DELETE FROM recovery_codes WHERE user_id = ?
+  AND NOT EXISTS (SELECT 1 FROM mfa_totp WHERE user_id = ? AND confirmed = 1)
+  AND NOT EXISTS (SELECT 1 FROM webauthn_credentials WHERE user_id = ?)`;
+
+/**
+ * 查询用户的两步验证状态。
+ * @param {object} env
+ * @param {number} userId
+ * @returns {Promise<{totp: boolean, passkeys: Array<object>, recoveryRemaining: number}>}
+ */
+async function getMfaStatus(env, userId) {
+  const [totp, passkeys, recovery] = await env.DB.batch([
+    env.DB.prepare('SELECT confirmed FROM mfa_totp WHERE user_id = ?').bind(userId),
+    env.DB.prepare('SELECT id, name, created_at, last_used_at FROM webauthn_credentials WHERE user_id = ? ORDER BY created_at ASC').bind(userId),
+    env.DB.prepare('SELECT COUNT(*) AS remaining FROM recovery_codes WHERE user_id = ? AND used_at IS NULL').bind(userId),
+  ]);
+  return {
+    totp: !!(totp.results[0] && totp.results[0].confirmed),
+    passkeys: passkeys.results,
+    recoveryRemaining: recovery.results[0].remaining,
+  };
+}
+
+/**
+ * 判断用户登录时是否需要第二因素。
+ * @param {Awaited<ReturnType<typeof getMfaStatus>>} status
+ * @returns {boolean}
+ */
+function mfaRequired(status) {
+  return status.totp || status.passkeys.length > 0;
+}
+
+/**
+ * 为用户生成一个新的（尚未确认的）验证器密钥。已启用的验证器需要先停用。
+ * @param {object} env
+ * @param {object} user
+ * @returns {Promise<{secret: string, uri: string}>}
+ * @throws {Error} 已启用验证器时抛出。
+ */
+async function setupTotpFactor(env, user) {
+  const existing = await env.DB.prepare('SELECT confirmed FROM mfa_totp WHERE user_id = ?').bind(user.id).first();
+  if (existing && existing.confirmed) throw messageError('error.totpEnabled');
+  const secret = bytesToBase32(crypto.getRandomValues(new Uint8Array(20)));
+  const sealed = await sealSecret(env, secret);
+  await env.DB.prepare(`INSERT INTO mfa_totp (user_id, secret, iv, key_id, confirmed, last_counter) VALUES (?, ?, ?, ?, 0, -1)
+                        ON CONFLICT(user_id) DO UPDATE SET secret = excluded.secret, iv = excluded.iv, key_id = excluded.key_id, last_counter = -1`)
+              .bind(user.id, sealed.secret, sealed.iv, sealed.key_id)
+              .run();
+  const uri = buildOtpauthUri({ name: user.username, issuer: MFA_ISSUER, secret, algorithm: 'SHA-1', digits: 6, period: 30, type: 'totp' });
+  return { secret, uri };
+}
+
+/**
+ * 校验验证器应用生成的 6 位验证码，允许前后 MFA_TOTP_WINDOW 个时间步的偏差。
+ * 每个时间步的验证码只能使用一次：记录最后一次接受的计数器，拒绝不大于它的计数器。
+ * @param {object} env
+ * @param {number} userId
+ * @param {string} code
+ * @param {boolean} [confirm=false] - 为 true 时校验尚未确认的新密钥，成功后启用它。
+ * @returns {Promise<boolean>}
+ * @throws {Error} 验证器密钥无法解密（例如加密它的旧主密钥已被移除）时抛出。
+ */
+async function verifyTotpFactor(env, userId, code, confirm = false) {
+  const row = await env.DB.prepare('SELECT secret, iv, key_id, confirmed, last_counter FROM mfa_totp WHERE user_id = ?').bind(userId).first();
+  // 登录时只接受已启用的密钥，确认时只接受尚未启用的新密钥
+  if (!row || !!row.confirmed !== !confirm) return false;
+  let secret;
+  try {
+    secret = await openSecret(env, row);
+  } catch (e) {
+    console.error('Cannot decrypt authenticator secret:', e);
+    throw messageError('error.totpUnreadable');
+  }
+  const totp = new TOTP(secret);
+  const current = Math.floor(Date.now() / 1000 / 30);
+  const submitted = String(code || '').replace(/\s/g, '');
+  for (let offset = -MFA_TOTP_WINDOW; offset <= MFA_TOTP_WINDOW; offset++) {
+    const counter = current + offset;
+    if (counter <= row.last_counter || !(await timingSafeEqual(await totp.generateOTP(counter), submitted))) continue;
+    // 条件更新保证并发提交同一个验证码时只有一个请求成功
+    const { meta } = await env.DB.prepare('UPDATE mfa_totp SET last_counter = ?, confirmed = 1 WHERE user_id = ? AND last_counter < ?')
+                                 .bind(counter, userId, counter)
+                                 .run();
+    return meta.changes > 0;
+  }
+  return false;
+}
+
+/**
+ * 停用用户的验证器。没有其他第二因素时一并删除恢复码。
+ * @param {object} env
+ * @param {number} userId
+ * @returns {Promise<boolean>} 是否存在已启用的验证器。
+ */
+async function disableTotpFactor(env, userId) {
+  const [result] = await env.DB.batch([
+    env.DB.prepare('DELETE FROM mfa_totp WHERE user_id = ?').bind(userId),
+    env.DB.prepare(ORPHAN_RECOVERY_CODES_SQL).bind(userId, userId, userId),
+  ]);
+  return result.meta.changes > 0;
+}
+
+/**
+ * 删除用户的一个通行密钥。没有其他第二因素时一并删除恢复码。
+ * @param {object} env
+ * @param {number} userId
+ * @param {string} id - 凭据 ID (base64url)。
+ * @returns {Promise<boolean>} 通行密钥是否存在。
+ */
+async function deleteWebauthnCredential(env, userId, id) {
+  const [result] = await env.DB.batch([
+    env.DB.prepare('DELETE FROM webauthn_credentials WHERE id = ? AND user_id = ?').bind(id, userId),
+    env.DB.prepare(ORPHAN_RECOVERY_CODES_SQL).bind(userId, userId, userId),
+  ]);
+  return result.meta.changes > 0;
+}
+
+/**
+ * 计算恢复码的哈希。恢复码本身是高熵随机值，使用 SHA-256 即可；比较前忽略大小写和分隔符。
+ * @param {string} code
+ * @returns {Promise<string>}
+ */
+async function hashRecoveryCode(code) {
+  const normalized = String(code || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`totp-recovery:${normalized}`));
+  return bytesToBase64Url(new Uint8Array(digest));
+}
+
+/**
+ * 生成一组新的恢复码，替换用户之前的所有恢复码。明文只在此时返回一次，D1 中只保存哈希。
+ * @param {object} env
+ * @param {number} userId
+ * @returns {Promise<string[]>} 形如 "ABCDE-FGHIJ" 的恢复码。
+ */
+async function generateRecoveryCodes(env, userId) {
+  const codes = [];
+  const statements = [env.DB.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(userId)];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = bytesToBase32(crypto.getRandomValues(new Uint8Array(7))).slice(0, 10);
+    const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    codes.push(code);
+    statements.push(env.DB.prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)').bind(userId, await hashRecoveryCode(code)));
+  }
+  await env.DB.batch(statements);
+  return codes;
+}
+
+/**
+ * 启用第一个第二因素时生成恢复码；用户已有未使用的恢复码时保持不变。
+ * @param {object} env
+ * @param {number} userId
+ * @returns {Promise<string[]>} 新生成的恢复码，未生成时为空数组。
+ */
+async function ensureRecoveryCodes(env, userId) {
+  const { recoveryRemaining } = await getMfaStatus(env, userId);
+  return recoveryRemaining ? [] : generateRecoveryCodes(env, userId);
+}
+
+/**
+ * 使用一个恢复码登录。每个恢复码只能使用一次。
+ * @param {object} env
+ * @param {number} userId
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function useRecoveryCode(env, userId, code) {
+  const { meta } = await env.DB.prepare('UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL')
+                               .bind(userId, await hashRecoveryCode(code))
+                               .run();
+  return meta.changes > 0;
+}
+
+/**
+ * 停用用户的所有第二因素（验证器、通行密钥和恢复码）。用于用户自己停用最后一个因素或管理员重置。
+ * @param {object} env
+ * @param {number} userId
+ * @returns {Promise<void>}
+ */
+async function resetMfa(env, userId) {
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM mfa_totp WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM webauthn_credentials WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(userId),
+  ]);
+}
+
+/**
+ * 创建一个一次性的 WebAuthn 挑战，并顺便清理过期的挑战。
+ * @param {object} env
+ * @param {number} userId
+ * @param {'register'|'login'} purpose
+ * @returns {Promise<string>} base64url 编码的挑战。
+ */
+async function createChallenge(env, userId, purpose) {
+  const challenge = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  const now = Math.floor(Date.now() / 1000);
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM auth_challenges WHERE expires_at <= ?').bind(now),
+    env.DB.prepare('INSERT INTO auth_challenges (challenge, user_id, purpose, expires_at) VALUES (?, ?, ?, ?)').bind(challenge, userId, purpose, now + CHALLENGE_TTL),
+  ]);
+  return challenge;
+}
+
+/**
+ * 消费一个挑战：只有未过期且属于该用户和用途的挑战才有效，且只能使用一次。
+ * @param {object} env
+ * @param {number} userId
+ * @param {string} purpose
+ * @param {string} challenge
+ * @returns {Promise<boolean>}
+ */
+async function consumeChallenge(env, userId, purpose, challenge) {
+  const { meta } = await env.DB.prepare('DELETE FROM auth_challenges WHERE challenge = ? AND user_id = ? AND purpose = ? AND expires_at > ?')
+                               .bind(challenge, userId, purpose, Math.floor(Date.now() / 1000))
+                               .run();
+  return meta.changes > 0;
+}
+
+/**
+ * 生成注册通行密钥时传给 navigator.credentials.create() 的参数（二进制字段为 base64url）。
+ * @param {object} env
+ * @param {object} user
+ * @param {URL} url - 当前请求的 URL，其主机名作为 RP ID。
+ * @returns {Promise<object>}
+ */
+async function webauthnRegistrationOptions(env, user, url) {
+  const { passkeys } = await getMfaStatus(env, user.id);
+  return {
+    challenge: await createChallenge(env, user.id, 'register'),
+    rp: { name: MFA_ISSUER, id: url.hostname },
+    user: { id: bytesToBase64Url(new TextEncoder().encode(String(user.id))), name: user.username, displayName: user.username },
+    pubKeyCredParams: [{ type: 'public-key', alg: COSE_ES256 }, { type: 'public-key', alg: COSE_RS256 }],
+    excludeCredentials: passkeys.map(passkey => ({ type: 'public-key', id: passkey.id })),
+    authenticatorSelection: { userVerification: 'preferred', residentKey: 'discouraged' },
+    attestation: 'none',
+    timeout: CHALLENGE_TTL * 1000,
+  };
+}
+
+/**
+ * 校验 navigator.credentials.create() 的结果并保存通行密钥。
+ * 只接受 "none" 形式的证明（不验证认证器型号），但会校验挑战、来源、RP ID 与公钥格式。
+ * @param {object} env
+ * @param {object} user
+ * @param {URL} url
+ * @param {object} credential - { id, response: { clientDataJSON, attestationObject } }，二进制字段为 base64url。
+ * @param {string} name - 通行密钥的显示名称，不能为空。
+ * @returns {Promise<void>}
+ * @throws {Error} 校验失败时抛出。
+ */
+async function verifyWebauthnRegistration(env, user, url, credential, name) {
+  if (!credential) throw messageError('error.invalidCredential');
+  const clientData = parseClientData(credential.response.clientDataJSON, 'webauthn.create', url);
+  if (!(await consumeChallenge(env, user.id, 'register', clientData.challenge))) throw messageError('error.invalidChallenge');
+  const attestation = decodeCbor(base64UrlToBytes(credential.response.attestationObject)).value;
+  const authData = await parseAuthenticatorData(attestation.get('authData'), url);
+  if (!authData.credential) throw messageError('error.missingCredential');
+  const { id, jwk, alg } = authData.credential;
+  try {
+    await env.DB.prepare('INSERT INTO webauthn_credentials (id, user_id, name, public_key, algorithm, sign_count) VALUES (?, ?, ?, ?, ?, ?)')
+                .bind(id, user.id, name, JSON.stringify(jwk), alg, authData.signCount)
+                .run();
+  } catch (e) {
+    throw isUniqueViolation(e) ? messageError('error.duplicatePasskey') : e;
+  }
+}
+
+/**
+ * 生成登录时传给 navigator.credentials.get() 的参数。
+ * @param {object} env
+ * @param {number} userId
+ * @param {URL} url
+ * @returns {Promise<object>}
+ */
+async function webauthnLoginOptions(env, userId, url) {
+  const { passkeys } = await getMfaStatus(env, userId);
+  return {
+    challenge: await createChallenge(env, userId, 'login'),
+    rpId: url.hostname,
+    allowCredentials: passkeys.map(passkey => ({ type: 'public-key', id: passkey.id })),
+    userVerification: 'preferred',
+    timeout: CHALLENGE_TTL * 1000,
+  };
+}
+
+/**
+ * 校验 navigator.credentials.get() 的结果：挑战、来源、RP ID、用户在场标志、签名与签名计数器。
+ * @param {object} env
+ * @param {number} userId
+ * @param {URL} url
+ * @param {object} credential - { id, response: { clientDataJSON, authenticatorData, signature } }，二进制字段为 base64url。
+ * @returns {Promise<boolean>}
+ */
+async function verifyWebauthnAssertion(env, userId, url, credential) {
+  try {
+    const stored = await env.DB.prepare('SELECT public_key, algorithm, sign_count FROM webauthn_credentials WHERE id = ? AND user_id = ?')
+                               .bind(credential.id, userId)
+                               .first();
+    if (!stored) return false;
+    const clientData = parseClientData(credential.response.clientDataJSON, 'webauthn.get', url);
+    if (!(await consumeChallenge(env, userId, 'login', clientData.challenge))) return false;
+    const authBytes = base64UrlToBytes(credential.response.authenticatorData);
+    const authData = await parseAuthenticatorData(authBytes, url);
+    const clientHash = new Uint8Array(await crypto.subtle.digest('SHA-256', base64UrlToBytes(credential.response.clientDataJSON)));
+    const signed = new Uint8Array(authBytes.length + clientHash.length);
+    signed.set(authBytes);
+    signed.set(clientHash, authBytes.length);
+    if (!(await verifyCoseSignature(JSON.parse(stored.public_key), stored.algorithm, base64UrlToBytes(credential.response.signature), signed))) return false;
+    // 签名计数器不增反减说明凭据可能被克隆；两者都为 0 表示认证器不支持计数器
+    if ((authData.signCount || stored.sign_count) && authData.signCount <= stored.sign_count) return false;
+    await env.DB.prepare('UPDATE webauthn_credentials SET sign_count = ?, last_used_at = CURRENT_TIMESTAMP WHERE id = ?')
+                .bind(authData.signCount, credential.id)
+                .run();
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 解析浏览器以 JSON 字符串提交的 WebAuthn 凭据。
+ * @param {?string} value
+ * @returns {?object} 格式不正确时返回 null。
+ */
+function parseCredentialField(value) {
+  try {
+    const credential = JSON.parse(value || '');
+    return credential && typeof credential.id === 'string' && credential.response ? credential : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 解析并校验 WebAuthn 的 clientDataJSON。
+ * @param {string} encoded - base64url 编码的 clientDataJSON。
+ * @param {string} type - 期望的类型，'webauthn.create' 或 'webauthn.get'。
+ * @param {URL} url - 用于校验来源。
+ * @returns {{challenge: string}}
+ * @throws {Error} 类型或来源不匹配时抛出。
+ */
+function parseClientData(encoded, type, url) {
+  const data = JSON.parse(new TextDecoder().decode(base64UrlToBytes(encoded)));
+  if (data.type !== type) throw messageError('error.clientDataType');
+  if (data.origin !== url.origin) throw messageError('error.originMismatch');
+  return { challenge: data.challenge };
+}
+
+/**
+ * 解析认证器数据：校验 RP ID 哈希与用户在场标志，并在包含凭据数据时提取凭据 ID 与公钥。
+ * @param {Uint8Array} bytes
+ * @param {URL} url
+ * @returns {Promise<{signCount: number, credential: ?{id: string, jwk: object, alg: number}}>}
+ * @throws {Error} 数据不合法时抛出。
+ */
+async function parseAuthenticatorData(bytes, url) {
+  if (!(bytes instanceof Uint8Array) || bytes.length < 37) throw messageError('error.authenticatorData');
+  const rpIdHash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(url.hostname)));
+  if (rpIdHash.some((b, i) => b !== bytes[i])) throw messageError('error.rpIdMismatch');
+  const flags = bytes[32];
+  if (!(flags & 0x01)) throw messageError('error.userNotPresent');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const signCount = view.getUint32(33);
+  if (!(flags & 0x40)) return { signCount, credential: null };
+  // 凭据数据: AAGUID (16) + 凭据 ID 长度 (2) + 凭据 ID + COSE 公钥
+  const idLength = view.getUint16(53);
+  const id = bytesToBase64Url(bytes.slice(55, 55 + idLength));
+  const cose = decodeCbor(bytes, 55 + idLength).value;
+  return { signCount, credential: { id, ...coseKeyToJwk(cose) } };
+}
+
+/**
+ * 将 COSE 公钥转换为 WebCrypto 可导入的 JWK。
+ * @param {Map} cose
+ * @returns {{jwk: object, alg: number}}
+ * @throws {Error} 不支持的密钥类型或算法时抛出。
+ */
+function coseKeyToJwk(cose) {
+  const alg = cose.get(3);
+  if (cose.get(1) === 2 && alg === COSE_ES256 && cose.get(-1) === 1) {
+    return { alg, jwk: { kty: 'EC', crv: 'P-256', x: bytesToBase64Url(cose.get(-2)), y: bytesToBase64Url(cose.get(-3)) } };
+  }
+  if (cose.get(1) === 3 && alg === COSE_RS256) {
+    return { alg, jwk: { kty: 'RSA', alg: 'RS256', n: bytesToBase64Url(cose.get(-1)), e: bytesToBase64Url(cose.get(-2)) } };
+  }
+  throw messageError('error.publicKeyAlgorithm');
+}
+
+/**
+ * 使用保存的公钥校验 WebAuthn 签名。ES256 签名为 DER 编码，需要先转换为 WebCrypto 使用的 r||s 格式。
+ * @param {object} jwk
+ * @param {number} alg - COSE 算法标识。
+ * @param {Uint8Array} signature
+ * @param {Uint8Array} data - 被签名的数据 (authenticatorData || SHA-256(clientDataJSON))。
+ * @returns {Promise<boolean>}
+ */
+async function verifyCoseSignature(jwk, alg, signature, data) {
+  if (alg === COSE_ES256) {
+    const key = await crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+    return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, derToRawSignature(signature), data);
+  }
+  const key = await crypto.subtle.importKey('jwk', jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+  return crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, data);
+}
+
+/**
+ * 将 DER 编码的 ECDSA P-256 签名 (SEQUENCE { r INTEGER, s INTEGER }) 转换为 64 字节的 r||s。
+ * @param {Uint8Array} der
+ * @returns {Uint8Array}
+ */
+function derToRawSignature(der) {
+  const raw = new Uint8Array(64);
+  let pos = 2;
+  for (let i = 0; i < 2; i++) {
+    if (der[pos] !== 0x02) throw messageError('error.ecdsaSignature');
+    let length = der[pos + 1];
+    let start = pos + 2;
+    pos = start + length;
+    // 去掉表示正数的前导 0，并左侧补 0 到 32 字节
+    while (length > 32 && der[start] === 0) { start++; length--; }
+    raw.set(der.slice(start, start + length), i * 32 + 32 - length);
+  }
+  return raw;
+}
+
+/**
+ * 解码一个 CBOR 数据项（RFC 8949），支持 WebAuthn 用到的整数、字节串、文本、数组、映射和简单值。
+ * 映射解码为 Map，以保留 COSE 的整数键。
+ * @param {Uint8Array} bytes
+ * @param {number} [offset=0]
+ * @returns {{value: *, offset: number}} 解码出的值及其后的偏移量。
+ * @throws {Error} 遇到不支持或截断的数据时抛出。
+ */
+function decodeCbor(bytes, offset = 0) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const read = () => {
+    if (offset >= bytes.length) throw messageError('error.cborTruncated');
+    const initial = bytes[offset++];
+    const major = initial >> 5;
+    let info = initial & 0x1f;
+    if (info === 24) { info = bytes[offset]; offset += 1; }
+    else if (info === 25) { info = view.getUint16(offset); offset += 2; }
+    else if (info === 26) { info = view.getUint32(offset); offset += 4; }
+    else if (info > 26) throw messageError('error.cborLength');
+    switch (major) {
+      case 0: return info;
+      case 1: return -1 - info;
+      case 2: {
+        const value = bytes.slice(offset, offset + info);
+        offset += info;
+        return value;
+      }
+      case 3: {
+        const value = new TextDecoder().decode(bytes.subarray(offset, offset + info));
+        offset += info;
+        return value;
+      }
+      case 4: return Array.from({ length: info }, () => read());
+      case 5: {
+        const map = new Map();
+        for (let i = 0; i < info; i++) {
+          const key = read();
+          map.set(key, read());
+        }
+        return map;
+      }
+      case 7: return { 20: false, 21: true, 22: null }[info];
+      default: throw messageError('error.cborType');
+    }
+  };
+  const value = read();
+  return { value, offset };
+}
+
+/** 同一 IP 允许连续输错密码的次数，超过后开始锁定。 */
+const LOGIN_IP_FREE_ATTEMPTS = 5;
+/** 同一账户（所有 IP 合计）允许连续输错的次数，用于抵御针对单个账户的分布式猜测。 */
+const LOGIN_ACCOUNT_FREE_ATTEMPTS = 20;
+/** 首次锁定的时长 (秒)，之后每多失败一次翻倍。 */
+const LOGIN_BASE_LOCKOUT = 30;
+/** 单个 IP 锁定时长的上限 (秒)。 */
+const LOGIN_IP_MAX_LOCKOUT = 60 * 60;
+/** 单个账户锁定时长的上限 (秒)。账户锁定也会挡住该账户的合法用户，因此上限较短。 */
+const LOGIN_ACCOUNT_MAX_LOCKOUT = 15 * 60;
+/** 距上次失败超过该时长 (秒) 后，失败计数重新开始。 */
+const LOGIN_FAILURE_WINDOW = 24 * 60 * 60;
+
+/**
+ * 返回登录限流使用的计数范围及其限制：客户端 IP，以及提供了账户时的该账户。
+ * 不设全局计数，避免针对任意账户的失败把所有用户一起锁在门外。
+ * @param {?Request} request - 为 null 时不按 IP 计数，如 API 校验验证码时只按密钥计数。
+ * @param {string} [account] - 被尝试的账户，如 'user:admin'、'key:1'。
+ * @returns {{ scope: string, free: number, max: number }[]}
+ */
+function loginLimits(request, account) {
+  const limits = [];
+  if (request) {
+    limits.push({ scope: `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`, free: LOGIN_IP_FREE_ATTEMPTS, max: LOGIN_IP_MAX_LOCKOUT });
+  }
+  if (account) limits.push({ scope: account, free: LOGIN_ACCOUNT_FREE_ATTEMPTS, max: LOGIN_ACCOUNT_MAX_LOCKOUT });
+  return limits;
+}
+
+/**
+ * 返回用户名对应的登录限流账户。用户名不区分大小写，因此先转为小写。
+ * @param {string} username
+ * @returns {string}
+ */
+function loginAccount(username) {
+  return `user:${username.toLowerCase()}`;
+}
+
+/**
+ * 查询当前请求是否处于登录锁定期。
+ * @param {object} env
+ * @param {?Request} request - 为 null 时不按 IP 计数。
+ * @param {string} [account] - 被尝试登录的账户，省略时只检查 IP。
+ * @returns {Promise<number>} 剩余的锁定秒数，未锁定时为 0。
+ */
+async function loginLockout(env, request, account) {
+  const now = Math.floor(Date.now() / 1000);
+  const scopes = loginLimits(request, account).map(({ scope }) => scope);
+  const row = await env.DB.prepare(`SELECT MAX(locked_until) AS locked_until FROM login_attempts WHERE scope IN (${scopes.map(() => '?').join(', ')})`)
+    .bind(...scopes)
+    .first();
+  return row && row.locked_until > now ? row.locked_until - now : 0;
+}
+
+/**
+ * 记录一次失败的登录，并按指数退避为 IP 与账户计数设置锁定时间。
+ * @param {object} env
+ * @param {?Request} request - 为 null 时不按 IP 计数。
+ * @param {string} [account] - 被尝试登录的账户，省略时只计入 IP。
+ * @returns {Promise<number>} 本次失败后需要等待的秒数，未触发锁定时为 0。
+ */
+async function recordLoginFailure(env, request, account) {
+  const now = Math.floor(Date.now() / 1000);
+  const limits = loginLimits(request, account);
+  // 失败计数在 D1 中原子递增；距上次失败超过窗口期时从 1 重新计数
+  const results = await env.DB.batch(limits.map(({ scope }) => env.DB.prepare(
+    `INSERT INTO login_attempts (scope, failures, updated_at) VALUES (?, 1, ?)
+     ON CONFLICT(scope) DO UPDATE SET
+       failures = CASE WHEN updated_at < ? THEN 1 ELSE failures + 1 END,
+       updated_at = excluded.updated_at
+     RETURNING failures`
+  ).bind(scope, now, now - LOGIN_FAILURE_WINDOW)));
+
+  let wait = 0;
+  // 顺带删除已过窗口期且不在锁定中的计数，尝试过的用户名再多表也不会一直增长
+  const updates = [
+    env.DB.prepare('DELETE FROM login_attempts WHERE updated_at < ? AND (locked_until IS NULL OR locked_until < ?)')
+      .bind(now - LOGIN_FAILURE_WINDOW, now),
+  ];
+  limits.forEach(({ scope, free, max }, i) => {
+    const excess = results[i].results[0].failures - free;
+    if (excess <= 0) return;
+    const lockout = Math.min(max, LOGIN_BASE_LOCKOUT * 2 ** Math.min(excess - 1, 20));
+    wait = Math.max(wait, lockout);
+    updates.push(env.DB.prepare('UPDATE login_attempts SET locked_until = ? WHERE scope = ?').bind(now + lockout, scope));
+  });
+  await env.DB.batch(updates);
+  return wait;
+}
+
+/**
+ * 登录成功后清除该 IP 与该账户的失败计数。
+ * @param {object} env
+ * @param {?Request} request - 为 null 时不按 IP 计数。
+ * @param {string} [account] - 成功登录的账户。
+ * @returns {Promise<void>}
+ */
+async function clearLoginFailures(env, request, account) {
+  const scopes = loginLimits(request, account).map(({ scope }) => scope);
+  await env.DB.prepare(`DELETE FROM login_attempts WHERE scope IN (${scopes.map(() => '?').join(', ')})`).bind(...scopes).run();
+}
+
+/**
+ * 生成登录被锁定时的 429 响应。
+ * @param {number} retryAfter - 剩余的锁定秒数。
+ * @param {string} lang - 页面语言。
+ * @returns {Response}
+ */
+function loginLockedResponse(retryAfter, lang) {
+  return new Response(formatMessage(MESSAGES[lang], 'login.retryAfter', { seconds: retryAfter }), {
+    status: 429,
+    headers: { 'Retry-After': String(retryAfter) },
+  });
+}
+
+/** 审计日志默认保留天数，可通过环境变量 AUDIT_RETENTION_DAYS 覆盖（0 表示永久保留）。 */
+const DEFAULT_AUDIT_RETENTION_DAYS = 90;
+/** 审计日志页面与 API 每页返回的记录数。 */
+const AUDIT_PAGE_SIZE = 50;
+/** 审计日志中 user_agent 与 detail 字段的最大长度。 */
+const AUDIT_FIELD_MAX = 500;
+
+/**
+ * 写入一条审计日志。记录失败只输出到控制台，不影响原操作的结果。
+ * @param {object} env
+ * @param {Request} request - 用于读取客户端 IP (CF-Connecting-IP) 与 User-Agent。
+ * @param {object} event
+ * @param {string} event.action - 操作名称，如 'login'、'add'、'delete'、'copy'。
+ * @param {object} [event.user] - 执行操作的用户，登录失败时为空。
+ * @param {string} [event.key] - 相关的密钥名称。
+ * @param {'success'|'failure'} event.outcome - 操作结果。
+ * @param {string} [event.detail] - 附加信息，如失败原因。
+ * @returns {Promise<void>}
+ */
+async function audit(env, request, { action, user = null, key = null, outcome, detail = null }) {
+  const clip = value => (value == null ? null : String(value).slice(0, AUDIT_FIELD_MAX));
+  try {
+    await env.DB.prepare('INSERT INTO audit_log (action, user_id, username, key_name, ip, user_agent, outcome, detail) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+      .bind(
+        String(action || 'unknown'),
+        user ? user.id : null,
+        user ? user.username : null,
+        clip(key || null),
+        request.headers.get('CF-Connecting-IP'),
+        clip(request.headers.get('User-Agent')),
+        outcome,
+        clip(detail),
+      )
+      .run();
+  } catch (e) {
+    console.error('Failed to write audit log:', e);
+  }
+}
+
+/**
+ * 把失败原因转换为审计日志的详情。目录中的消息保存为消息键与参数的 JSON，查看日志时再按查看者的语言显示
+ * （见 auditDetailText），不随执行操作的用户所用的语言变化；其他错误保存原始消息。
+ * @param {Error} error
+ * @returns {string}
+ */
+function auditErrorDetail(error) {
+  const encode = e => {
+    if (!e.messageKey) return e.message;
+    const params = {};
+    for (const [name, value] of Object.entries(e.messageParams)) params[name] = value instanceof Error ? encode(value) : value;
+    return { message: e.messageKey, params };
+  };
+  const data = encode(error);
+  return typeof data === 'string' ? data : JSON.stringify(data);
+}
+
+/**
+ * 以指定语言显示审计日志的详情。auditErrorDetail 保存的消息（可以带有 'API: ' 等纯文本前缀）按 lang 翻译，
+ * 其他详情原样返回。
+ * @param {string} lang
+ * @param {?string} detail
+ * @returns {?string}
+ */
+function auditDetailText(lang, detail) {
+  const match = detail && /^([^{]*)(\{[\s\S]*\})$/.exec(detail);
+  if (!match) return detail;
+  let data;
+  try {
+    data = JSON.parse(match[2]);
+  } catch (e) {
+    // 超出长度被截断的详情不再是合法 JSON，原样显示
+    return detail;
+  }
+  const format = value => {
+    if (!value || typeof value !== 'object') return value;
+    const params = {};
+    for (const [name, param] of Object.entries(value.params || {})) params[name] = format(param);
+    return formatMessage(MESSAGES[lang], value.message, params);
+  };
+  return match[1] + format(data);
+}
+
+/**
+ * 删除超过保留期的审计日志。
+ * @param {object} env
+ * @returns {Promise<void>}
+ */
+async function pruneAuditLog(env) {
+  const configured = Number(env.AUDIT_RETENTION_DAYS);
+  const days = env.AUDIT_RETENTION_DAYS !== undefined && Number.isFinite(configured) && configured >= 0
+    ? Math.floor(configured)
+    : DEFAULT_AUDIT_RETENTION_DAYS;
+  if (days === 0) return;
+  try {
+    await env.DB.prepare("DELETE FROM audit_log WHERE created_at < datetime('now', ?)").bind(`-${days} days`).run();
+  } catch (e) {
+    console.error('Failed to prune audit log:', e);
+  }
+}
+
+/**
+ * 从查询参数中读取审计日志的筛选条件。无效的值会被忽略。
+ * @param {URLSearchParams} params
+ * @returns {{action: string, user: string, key: string, outcome: string, ip: string, from: string, to: string, page: number}}
+ */
+function auditFilters(params) {
+  const text = name => (params.get(name) || '').trim();
+  const date = name => (/^\d{4}-\d{2}-\d{2}$/.test(text(name)) ? text(name) : '');
+  const page = Number.parseInt(params.get('page'), 10);
+  return {
+    action: text('action'),
+    user: text('user'),
+    key: text('key'),
+    outcome: ['success', 'failure'].includes(text('outcome')) ? text('outcome') : '',
+    ip: text('ip'),
+    from: date('from'),
+    to: date('to'),
+    page: Number.isInteger(page) && page > 0 ? page : 1,
+  };
+}
+
+/**
+ * 按筛选条件分页查询审计日志，按时间倒序排列。
+ * 管理员可以查看所有记录，普通用户只能查看自己的操作记录。日期条件按 UTC 日期比较，'to' 包含当天。
+ * @param {object} env
+ * @param {object} user - 当前登录的用户。
+ * @param {ReturnType<typeof auditFilters>} filters
+ * @returns {Promise<{entries: object[], hasMore: boolean}>}
+ */
+async function queryAuditLog(env, user, filters) {
+  const where = [];
+  const binds = [];
+  if (!user.is_admin) { where.push('user_id = ?'); binds.push(user.id); }
+  if (filters.action) { where.push('action = ?'); binds.push(filters.action); }
+  if (filters.user) { where.push('username = ?'); binds.push(filters.user); }
+  if (filters.key) { where.push('key_name = ?'); binds.push(filters.key); }
+  if (filters.outcome) { where.push('outcome = ?'); binds.push(filters.outcome); }
+  if (filters.ip) { where.push('ip = ?'); binds.push(filters.ip); }
+  if (filters.from) { where.push('created_at >= ?'); binds.push(filters.from); }
+  if (filters.to) { where.push("created_at < date(?, '+1 day')"); binds.push(filters.to); }
+  // 多取一条用于判断是否还有下一页
+  binds.push(AUDIT_PAGE_SIZE + 1, (filters.page - 1) * AUDIT_PAGE_SIZE);
+  const { results } = await env.DB.prepare(
+    `SELECT id, created_at, action, username, key_name, ip, user_agent, outcome, detail FROM audit_log
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ? OFFSET ?`
+  ).bind(...binds).all();
+  return { entries: results.slice(0, AUDIT_PAGE_SIZE), hasMore: results.length > AUDIT_PAGE_SIZE };
+}
+
+/**
+ * 把数据序列化为可以直接嵌入 <script> 的 JavaScript 字面量，转义 '<' 以防止提前结束脚本标签。
+ * @param {*} value
+ * @returns {string}
+ */
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * 转义 HTML 特殊字符，用于把用户可控的文本（如密钥名、User-Agent）插入服务器渲染的页面。
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/** 页面支持的语言，第一个为默认语言。 */
+const LANGUAGES = ['zh', 'en'];
+/** 保存用户在页面上选择的语言，优先于浏览器的 Accept-Language。 */
+const LANGUAGE_COOKIE = 'lang';
+/** 各语言对应的 HTML lang 属性值。 */
+const LANGUAGE_TAGS = { zh: 'zh-CN', en: 'en' };
+
+/**
+ * 页面文字的消息目录，每种语言一份且键相同；{name} 形式的占位符由 formatMessage 替换。
+ * 新增语言时在 LANGUAGES 与 LANGUAGE_TAGS 中登记，并提供全部消息。
+ */
+const MESSAGES = {
+  zh: {
+    'language.name': '中文',
+    'language.switch': '切换语言',
+    'login.title': '身份验证',
+    'login.heading': '登录',
+    'login.username': '用户名',
+    'login.password': '密码',
+    'login.submit': '进 入',
+    'login.totpHint': '请输入验证器应用中的 6 位验证码',
+    'login.verify': '验 证',
+    'login.usePasskey': '使用通行密钥',
+    'login.useRecovery': '改用恢复码',
+    'login.invalid': '用户名或密码错误',
+    'login.recoveryHint': '请输入一个未使用过的恢复码',
+    'login.useTotp': '改用验证器验证码',
+    'login.passkeyFailed': '通行密钥验证已取消或失败',
+    'login.expired': '验证已过期，请重新登录',
+    'login.failed': '验证失败',
+    'login.locked': '验证失败次数过多，登录已被暂时锁定，请在 {time}后重试。',
+    'login.retryAfter': '验证失败次数过多，请在 {seconds} 秒后重试',
+    'time.minutesSeconds': '{minutes} 分 {seconds} 秒',
+    'time.seconds': '{seconds} 秒',
+    'app.title': '我的验证码',
+    'common.cancel': '取消',
+    'app.heading': '验证码',
+    'account.title': '账户与共享',
+    'backup.title': '备份与恢复',
+    'trash.title': '回收站',
+    'audit.title': '审计日志',
+    'app.toggleTheme': '切换主题',
+    'app.logout': '退出登录',
+    'offline.password': '登录密码',
+    'offline.unlock': '解锁',
+    'migration.pending': '有 {count} 个密钥未使用当前主密钥加密（明文或旧主密钥）。',
+    'migration.run': '立即加密',
+    'migration.done': '已迁移 {count} 个密钥',
+    'migration.failed': '迁移失败: {error}',
+    'search.placeholder': '搜索名称、发行方、标签或备注',
+    'search.empty': '没有匹配的密钥。',
+    'card.keyboardHint': '按 Enter 复制验证码，按 Delete 删除密钥，按 Alt + 上/下方向键调整顺序。',
+    'field.name': '名称',
+    'field.issuer': '发行方 (可选)',
+    'field.tagsGroup': '标签 (逗号分隔，第一个标签作为分组)',
+    'field.notes': '备注 (可选)',
+    'common.save': '保存',
+    'field.folder': '文件夹',
+    'card.next': '下一个验证码',
+    'card.invalidSecret': '密钥格式错误',
+    'add.title': '添加新密钥',
+    'add.name': '名称 (例如: Google)',
+    'add.secret': 'Base32 密钥或 otpauth:// URL',
+    'add.scanImage': '从图片识别二维码',
+    'add.scanCamera': '用摄像头扫描',
+    'add.pasteHint': '也可以直接在页面上粘贴二维码截图。',
+    'add.stopCamera': '停止扫描',
+    'add.advanced': '高级选项（使用 otpauth:// URL 时自动识别）',
+    'add.algorithm': '哈希算法',
+    'add.digits': '验证码位数',
+    'add.period': '时间步长 (秒)',
+    'add.type': '类型',
+    'add.typeTotp': 'TOTP (基于时间)',
+    'add.typeHotp': 'HOTP (基于计数器)',
+    'add.counter': 'HOTP 初始计数器',
+    'field.tags': '标签 (逗号分隔，可选)',
+    'add.folder': '放入文件夹',
+    'add.submit': '添加',
+    'backup.export': '导出',
+    'backup.format': '导出格式',
+    'backup.formatEncrypted': '加密备份 (.json)',
+    'backup.formatUris': 'otpauth:// 明文列表 (.txt)',
+    'backup.passphrase': '备份密码 (至少 {min} 位)',
+    'backup.download': '下载备份',
+    'backup.import': '导入',
+    'backup.importFile': '备份文件',
+    'backup.importPassphrase': '备份密码 (加密备份时需要)',
+    'backup.importMode': '名称冲突时',
+    'backup.modeSkip': '同名时跳过',
+    'backup.modeOverwrite': '同名时覆盖',
+    'backup.modeRename': '同名时重命名',
+    'backup.preview': '预览',
+    'backup.confirmImport': '确认导入',
+    'external.title': '从其他验证器应用导入',
+    'external.format': '来源格式',
+    'external.auto': '自动识别',
+    'external.aegis': 'Aegis (未加密 JSON)',
+    'external.2fas': '2FAS (未加密 .2fas)',
+    'external.andotp': 'andOTP (未加密 JSON)',
+    'external.file': '导出文件',
+    'external.paste': '或粘贴 Google Authenticator 导出的 otpauth-migration://offline?data=... 链接',
+    'snapshot.title': '自动快照',
+    'snapshot.create': '立即创建快照',
+    'folders.title': '共享文件夹',
+    'folders.hint': '把自己的密钥移入文件夹，再把文件夹以只读或可编辑权限共享给其他用户。',
+    'folders.name': '新文件夹名称',
+    'folders.create': '创建文件夹',
+    'password.title': '修改密码',
+    'password.current': '当前密码',
+    'password.new': '新密码 (至少 {min} 位)',
+    'mfa.title': '两步验证',
+    'mfa.setupBefore': '用验证器应用扫描二维码，或手动添加以下密钥（或',
+    'mfa.setupLink': '直接打开链接',
+    'mfa.setupAfter': '），然后输入它生成的验证码：',
+    'mfa.code': '6 位验证码',
+    'mfa.enableTotp': '启用验证器',
+    'mfa.setupTotp': '设置验证器',
+    'mfa.addPasskey': '添加通行密钥',
+    'mfa.password': '当前密码 (停用或重新生成时需要)',
+    'mfa.disableTotp': '停用验证器',
+    'mfa.regenerate': '重新生成恢复码',
+    'users.title': '用户管理',
+    'users.password': '初始密码 (至少 {min} 位)',
+    'users.admin': '管理员',
+    'users.create': '创建用户',
+    'trash.empty': '清空回收站',
+    'toast.copied': '已复制到剪贴板',
+    'toast.copyFailed': '复制失败',
+    'offline.unreachable': '无法连接服务器',
+    'add.invalidUri': '无效的 otpauth URL',
+    'add.missing': '请填写名称和密钥',
+    'add.success': '添加成功！',
+    'add.failed': '添加失败: {error}',
+    'card.confirmDelete': '确定要删除 "{name}" 吗？删除后可以在回收站中恢复。',
+    'card.delete': '删除',
+    'card.deleted': '已将 "{name}" 移入回收站',
+    'common.undo': '撤销',
+    'card.deleteFailed': '删除失败: {error}',
+    'trash.isEmpty': '回收站是空的。',
+    'trash.retention': '回收站中的密钥会在删除 {days} 天后被彻底删除。',
+    'trash.noRetention': '回收站中的密钥不会被自动删除。',
+    'card.label': '{name}（{issuer}）',
+    'common.restore': '恢复',
+    'trash.purge': '彻底删除',
+    'trash.deletedAt': '删除于 {time} (UTC)',
+    'trash.purgeIn': '{days} 天后彻底删除',
+    'trash.owner': '所有者：{owner}',
+    'trash.restoreFailed': '恢复失败: {error}',
+    'trash.restored': '已恢复 "{name}"',
+    'trash.restoredAs': '同名密钥已存在，已恢复为 "{name}"',
+    'trash.confirmPurge': '确定要彻底删除 "{name}" 吗？此操作无法撤销。',
+    'trash.purged': '已彻底删除',
+    'trash.confirmEmpty': '确定要清空回收站吗？其中的密钥将被彻底删除，此操作无法撤销。',
+    'trash.emptied': '已彻底删除 {count} 个密钥',
+    'trash.emptyFailed': '清空失败: {error}',
+    'card.nextFailed': '生成失败',
+    'folders.none': '不在文件夹中',
+    'folders.missingName': '请填写文件夹名称',
+    'folders.created': '文件夹已创建',
+    'folders.confirmDelete': '确定要删除文件夹 "{name}" 吗？其中的密钥会移出文件夹并停止共享。',
+    'folders.deleted': '文件夹已删除',
+    'folders.member': '{username}（{permission}）',
+    'permission.read': '只读',
+    'permission.write': '可编辑',
+    'folders.unshare': '取消共享',
+    'folders.unshared': '已取消共享',
+    'folders.shareWith': '共享给用户名',
+    'folders.permission': '权限',
+    'folders.share': '共享',
+    'folders.missingUsername': '请填写用户名',
+    'folders.shared': '已共享',
+    'password.changed': '密码已修改，其他设备上的登录已失效',
+    'mfa.enabled': '已启用。验证器：{totp}，通行密钥：{passkeys} 个，剩余恢复码：{recovery} 个。',
+    'mfa.totpSet': '已设置',
+    'mfa.totpNotSet': '未设置',
+    'mfa.disabled': '未启用。设置验证器或添加通行密钥后，登录时除密码外还需要第二步验证。',
+    'mfa.passkeyItem': '{name}（添加于 {time}）',
+    'mfa.confirmDeletePasskey': '确定要删除通行密钥 "{name}" 吗？',
+    'mfa.passkeyDeleted': '通行密钥已删除',
+    'mfa.recoveryCodes': '请妥善保存以下恢复码。丢失验证器和通行密钥时可用它们登录，每个只能使用一次，离开本页后不会再显示：',
+    'mfa.totpEnabled': '验证器已启用',
+    'mfa.confirmDisable': '确定要停用验证器吗？',
+    'mfa.totpDisabled': '验证器已停用',
+    'mfa.passkeyName': '为这个通行密钥起个名字：',
+    'mfa.passkey': '通行密钥',
+    'mfa.passkeyFailed': '通行密钥注册已取消或失败',
+    'mfa.passkeyAdded': '通行密钥已添加',
+    'mfa.confirmRegenerate': '重新生成后，之前的恢复码将全部失效。确定继续吗？',
+    'users.created': '用户已创建',
+    'users.resetPassword': '重置密码',
+    'users.newPassword': '为 "{username}" 设置新密码：',
+    'users.passwordReset': '密码已重置',
+    'users.resetMfa': '重置两步验证',
+    'users.confirmResetMfa': '确定要清除 "{username}" 的验证器、通行密钥和恢复码吗？之后仅凭密码即可登录。',
+    'users.mfaReset': '两步验证已重置',
+    'users.confirmDelete': '确定要删除用户 "{username}" 吗？其拥有的所有密钥和文件夹都会被删除。',
+    'users.deleted': '用户已删除',
+    'users.adminItem': '{username}（管理员）',
+    'backup.confirmPlaintext': '明文列表包含所有密钥，任何拿到文件的人都能生成验证码。确定要导出吗？',
+    'backup.downloaded': '备份已下载',
+    'snapshot.hint': '所有用户的密钥会定时加密保存，保留最近 {versions} 个快照。',
+    'snapshot.none': '还没有快照。配置 Cron 触发器后会定时创建，也可以立即创建一个。',
+    'snapshot.item': '{time}（{keys} 个密钥）',
+    'snapshot.compare': '对比',
+    'snapshot.download': '下载',
+    'snapshot.created': '已创建快照，包含 {keys} 个密钥',
+    'snapshot.field.secret': '密钥',
+    'snapshot.field.issuer': '发行方',
+    'snapshot.field.digits': '位数',
+    'snapshot.field.period': '时间步长',
+    'snapshot.field.algorithm': '算法',
+    'snapshot.field.type': '类型',
+    'snapshot.field.counter': '计数器',
+    'snapshot.field.notes': '备注',
+    'snapshot.field.tags': '标签',
+    'snapshot.diffHeading': '与 {time} 的快照相比：',
+    'snapshot.diffRemoved': '已删除：{owner} / {name}（恢复时重新添加）',
+    'snapshot.diffChanged': '已修改：{owner} / {name}（{fields}，恢复时覆盖）',
+    'list.separator': '、',
+    'snapshot.diffAdded': '新增：{owner} / {name}（恢复时保留）',
+    'snapshot.diffUnchanged': '未变化：{count} 个',
+    'snapshot.confirmRestore': '确定要从 {time} 的快照恢复吗？快照之后删除的密钥会被重新添加，修改过的密钥会被覆盖为快照中的版本。',
+    'snapshot.restored': '已重新添加 {restored} 个、覆盖 {overwritten} 个密钥',
+    'snapshot.restoredSkipped': '，跳过 {skipped} 个',
+    'snapshot.downloaded': '快照已下载，可使用 BACKUP_PASSPHRASE 在“导入”中恢复',
+    'backup.missingFile': '请选择备份文件',
+    'import.add': '{name}：新增',
+    'import.skip': '{name}：同名，跳过',
+    'import.overwrite': '{name}：同名，覆盖',
+    'import.rename': '{name}：同名，重命名为 {target}',
+    'import.error': '第 {index} 项无法导入：{error}',
+    'external.missing': '请选择导出文件或粘贴导出链接',
+    'external.failedItem': '{name}：{error}',
+    'external.unnamed': '(未命名)',
+    'external.result': '已导入 {added} 个密钥，失败 {failed} 个',
+    'import.result': '导入完成：新增 {added}，覆盖 {overwritten}，重命名 {renamed}，跳过 {skipped}',
+    'import.failed': '导入失败: {error}',
+    'scan.migration': '识别到 Google Authenticator 导出二维码，请点击“导入”',
+    'scan.notOtpauth': '二维码内容不是 otpauth:// 链接',
+    'scan.found': '已识别二维码，可以修改名称后点击添加',
+    'scan.imageError': '无法读取图片: {error}',
+    'scan.notFound': '没有在图片中找到二维码',
+    'scan.cameraError': '无法打开摄像头: {error}',
+    'card.qrNote': '用手机上的验证器应用扫描即可添加此密钥。二维码包含密钥本身，请不要截图或分享。',
+    'keys.loadFailed': '加载密钥失败',
+    'offline.synced': '已同步 {count} 个离线操作',
+    'keys.clockSkew': '本机时钟偏差约 {seconds} 秒，已自动校正',
+    'offline.noCache': '无法连接服务器，本机也没有离线缓存。',
+    'offline.locked': '无法连接服务器。输入登录密码以解锁本机的离线缓存：',
+    'offline.wrongPassword': '密码错误',
+    'offline.active': '离线模式：显示的是 {time} 缓存的密钥，操作将在恢复连接后同步。',
+    'offline.unavailable': '离线时无法进行此操作',
+    'offline.reconnected': '已恢复连接',
+    'group.pinned': '置顶',
+    'group.ungrouped': '未分组',
+    'keys.none': '还没有密钥，请在下方添加。',
+    'card.pin': '置顶',
+    'card.unpin': '取消置顶',
+    'card.edit': '编辑',
+    'card.showQr': '显示二维码',
+    'card.copy': '复制',
+    'card.codeAnnouncement': '{name} 的验证码：{code}',
+    'card.saved': '已保存',
+    'card.actionFailed': '操作失败: {error}',
+    'card.orderFailed': '保存顺序失败',
+    'card.sharedFrom': '来自 {owner}（{permission}）',
+    'card.movedTo': '已移入文件夹 "{folder}"',
+    'card.movedOut': '已移出文件夹',
+    'card.moveFailed': '移动失败: {error}',
+    'card.nextToken': '下一个: {code}',
+    'audit.failure': '失败',
+    'audit.success': '成功',
+    'audit.back': '返回验证码',
+    'audit.action': '操作',
+    'audit.actionExample': '如 login、delete',
+    'audit.user': '用户',
+    'audit.key': '密钥',
+    'audit.outcome': '结果',
+    'audit.all': '全部',
+    'audit.from': '开始日期',
+    'audit.to': '结束日期',
+    'audit.filter': '筛选',
+    'audit.clear': '清除',
+    'audit.time': '时间 (UTC)',
+    'audit.detail': '详情',
+    'audit.none': '没有符合条件的记录',
+    'audit.previous': '上一页',
+    'audit.page': '第 {page} 页',
+    'audit.next': '下一页',
+    'database.title': '数据库不可用',
+    'database.hint': '修正后刷新本页即可，Worker 会自动创建或升级数据表。详细错误可以在 Worker 的日志中查看。',
+    'database.missingBinding': '没有找到 D1 数据库绑定。请在 Worker 的 Settings > Variables > D1 Database Bindings 中添加一个名为 DB（必须大写）的绑定，然后重新部署。',
+    'database.migrationFailed': '无法初始化或升级数据库结构。{error}',
+    'database.migrationStep': '迁移 {version}（{description}）失败: {error}',
+    'error.sessionExpired': '会话已过期，请重新登录',
+    'error.invalidAction': '无效的操作',
+    'error.adminOnly': '需要管理员权限',
+    'error.readOnly': '只有只读权限',
+    'error.keyNotFound': '密钥不存在',
+    'error.duplicateKey': '同名密钥已存在',
+    'error.folderNotFound': '文件夹不存在',
+    'error.missingFolderName': '文件夹名称不能为空',
+    'error.duplicateFolder': '同名文件夹已存在',
+    'error.moveForbidden': '只能移动自己的密钥到自己的文件夹',
+    'error.invalidPermission': '权限只能是 read 或 write',
+    'error.unknownUser': '用户 "{username}" 不存在',
+    'error.shareWithSelf': '不能共享给自己',
+    'error.memberNotFound': '成员不存在',
+    'error.userNotFound': '用户不存在',
+    'error.invalidUsername': '用户名只能包含字母、数字以及 _ . @ -，且不超过 64 个字符',
+    'error.duplicateUsername': '用户名已存在',
+    'error.passwordTooShort': '密码至少需要 {min} 个字符',
+    'error.wrongPassword': '当前密码不正确',
+    'error.deleteSelf': '不能删除当前登录的账户',
+    'error.wrongCode': '验证码不正确',
+    'error.totpEnabled': '验证器已启用，请先停用',
+    'error.totpDisabled': '验证器未启用',
+    'error.mfaDisabled': '请先启用两步验证',
+    'error.passkeyNotFound': '通行密钥不存在',
+    'error.duplicatePasskey': '该通行密钥已注册',
+    'error.invalidCredential': '凭据格式不正确',
+    'error.invalidChallenge': '挑战无效或已过期',
+    'error.missingCredential': '缺少凭据数据',
+    'error.clientDataType': 'clientData 类型不匹配',
+    'error.originMismatch': '来源不匹配',
+    'error.authenticatorData': '认证器数据过短',
+    'error.rpIdMismatch': 'RP ID 不匹配',
+    'error.userNotPresent': '用户不在场',
+    'error.publicKeyAlgorithm': '不支持的公钥算法，仅支持 ES256 和 RS256',
+    'error.ecdsaSignature': '无效的 ECDSA 签名',
+    'error.cborTruncated': 'CBOR 数据被截断',
+    'error.cborLength': '不支持的 CBOR 长度编码',
+    'error.cborType': '不支持的 CBOR 类型',
+    'error.missingNameOrSecret': '缺少名称或密钥',
+    'error.missingName': '名称不能为空',
+    'error.invalidUri': '无效的 otpauth URL',
+    'error.invalidSecret': '密钥不是有效的 Base32 字符串',
+    'error.unsupportedType': '不支持的类型: {type}',
+    'error.unsupportedAlgorithm': '不支持的算法: {algorithm}',
+    'error.invalidDigits': '无效的位数: {value}',
+    'error.invalidPeriod': '无效的时间步长: {value}',
+    'error.invalidCounter': '无效的计数器: {value}',
+    'error.digitsRange': '验证码位数必须在 {min} 到 {max} 之间',
+    'error.periodRange': '时间步长必须在 {min} 到 {max} 秒之间',
+    'error.notesTooLong': '备注不能超过 {max} 个字符',
+    'error.tagTooLong': '标签不能超过 {max} 个字符',
+    'error.tooManyTags': '每个密钥最多 {max} 个标签',
+    'error.masterKeyMissing': '找不到用于解密的主密钥',
+    'error.totpUnreadable': '无法解密验证器密钥，请改用恢复码或通行密钥，或请管理员重置两步验证',
+    'error.encryptionKeyMissing': '未配置 ENCRYPTION_KEY',
+    'error.backupPassphraseTooShort': '备份密码至少需要 {min} 个字符',
+    'error.missingBackupFile': '请选择备份文件',
+    'error.missingBackupPassphrase': '请输入备份密码',
+    'error.backupVersion': '不支持的备份版本: {version}',
+    'error.backupDecrypt': '备份密码错误或文件已损坏',
+    'error.backupParse': '无法解析备份文件',
+    'error.backupFormat': '无法识别的备份格式',
+    'error.backupEmpty': '备份文件中没有密钥',
+    'error.notOtpauthUri': '不是有效的 otpauth:// URL',
+    'error.snapshotStore': '未配置快照存储（R2 绑定 BACKUP_BUCKET 或 KV 绑定 BACKUP_KV）',
+    'error.snapshotPassphrase': '未设置快照加密密码 BACKUP_PASSPHRASE（至少 {min} 个字符）',
+    'error.snapshotNotFound': '快照不存在',
+    'error.ownerMissing': '所有者账户不存在',
+    'error.importEmpty': '导入内容为空',
+    'error.importJson': '无法解析 JSON 文件',
+    'error.importFormat': '无法识别的导入格式',
+    'error.migrationUri': '无效的 otpauth-migration 链接',
+    'error.notAegis': '不是 Aegis 导出文件',
+    'error.aegisEncrypted': 'Aegis 备份已加密，请在 Aegis 中导出未加密的 JSON',
+    'error.not2fas': '不是 2FAS 导出文件',
+    'error.2fasEncrypted': '2FAS 备份已加密，请在 2FAS 中导出未加密的文件',
+    'error.notAndOtp': '不是 andOTP 导出文件',
+    'error.notBitwarden': '不是 Bitwarden CSV 导出文件（缺少 login_totp 列）',
+    'error.apiDisabled': 'API 未启用：未配置 API_TOKEN',
+    'error.invalidToken': '缺少或无效的 Bearer 令牌',
+    'error.noAdmin': '没有管理员账户：未配置 ACCESS_PASSWORD',
+    'error.invalidPath': 'URL 编码格式错误',
+    'error.unknownApiVersion': '未知的 API 版本',
+    'error.unknownResource': '未知的资源',
+    'error.unknownRoute': '未知的路由',
+    'error.methodNotAllowed': '不支持该请求方法',
+    'error.invalidJson': '请求体必须是合法的 JSON',
+    'error.keyExists': '密钥 "{name}" 已存在',
+    'error.keyNameNotFound': '密钥 "{name}" 不存在',
+    'error.keySharedReadOnly': '密钥 "{name}" 以只读方式共享给你',
+    'error.hotpNoCode': 'HOTP 密钥没有当前验证码，请使用 POST .../next',
+    'error.verifyTotpOnly': '只能校验 TOTP 密钥',
+    'error.missingCode': '缺少 "code" 字段',
+    'error.codeReplayed': '验证码已被使用',
+    'error.internal': '服务器内部错误',
+  },
+  en: {
+    'language.name': 'English',
+    'language.switch': 'Switch language',
+    'login.title': 'Sign in',
+    'login.heading': 'Sign in',
+    'login.username': 'Username',
+    'login.password': 'Password',
+    'login.submit': 'Sign in',
+    'login.totpHint': 'Enter the 6-digit code from your authenticator app',
+    'login.verify': 'Verify',
+    'login.usePasskey': 'Use a passkey',
+    'login.useRecovery': 'Use a recovery code instead',
+    'login.invalid': 'Incorrect username or password',
+    'login.recoveryHint': 'Enter an unused recovery code',
+    'login.useTotp': 'Use an authenticator code instead',
+    'login.passkeyFailed': 'Passkey verification was cancelled or failed',
+    'login.expired': 'Verification expired, please sign in again',
+    'login.failed': 'Verification failed',
+    'login.locked': 'Too many failed attempts. Sign-in is temporarily locked; try again in {time}.',
+    'login.retryAfter': 'Too many failed attempts, retry after {seconds} seconds',
+    'time.minutesSeconds': '{minutes} min {seconds} s',
+    'time.seconds': '{seconds} s',
+    'app.title': 'My codes',
+    'common.cancel': 'Cancel',
+    'app.heading': 'Codes',
+    'account.title': 'Account & sharing',
+    'backup.title': 'Backup & restore',
+    'trash.title': 'Trash',
+    'audit.title': 'Audit log',
+    'app.toggleTheme': 'Toggle theme',
+    'app.logout': 'Sign out',
+    'offline.password': 'Sign-in password',
+    'offline.unlock': 'Unlock',
+    'migration.pending': '{count} keys are not encrypted with the current master key (plaintext or previous key).',
+    'migration.run': 'Encrypt now',
+    'migration.done': 'Migrated {count} keys',
+    'migration.failed': 'Migration failed: {error}',
+    'search.placeholder': 'Search names, issuers, tags or notes',
+    'search.empty': 'No matching keys.',
+    'card.keyboardHint': 'Press Enter to copy the code, Delete to delete the key, Alt + Up/Down to reorder.',
+    'field.name': 'Name',
+    'field.issuer': 'Issuer (optional)',
+    'field.tagsGroup': 'Tags (comma-separated; the first tag is the group)',
+    'field.notes': 'Notes (optional)',
+    'common.save': 'Save',
+    'field.folder': 'Folder',
+    'card.next': 'Next code',
+    'card.invalidSecret': 'Invalid secret',
+    'add.title': 'Add a new key',
+    'add.name': 'Name (e.g. Google)',
+    'add.secret': 'Base32 secret or otpauth:// URL',
+    'add.scanImage': 'Scan QR code from image',
+    'add.scanCamera': 'Scan with camera',
+    'add.pasteHint': 'You can also paste a QR code screenshot anywhere on the page.',
+    'add.stopCamera': 'Stop scanning',
+    'add.advanced': 'Advanced options (detected automatically from otpauth:// URLs)',
+    'add.algorithm': 'Hash algorithm',
+    'add.digits': 'Digits',
+    'add.period': 'Period (seconds)',
+    'add.type': 'Type',
+    'add.typeTotp': 'TOTP (time-based)',
+    'add.typeHotp': 'HOTP (counter-based)',
+    'add.counter': 'Initial HOTP counter',
+    'field.tags': 'Tags (comma-separated, optional)',
+    'add.folder': 'Put in folder',
+    'add.submit': 'Add',
+    'backup.export': 'Export',
+    'backup.format': 'Export format',
+    'backup.formatEncrypted': 'Encrypted backup (.json)',
+    'backup.formatUris': 'Plaintext otpauth:// list (.txt)',
+    'backup.passphrase': 'Backup passphrase (at least {min} characters)',
+    'backup.download': 'Download backup',
+    'backup.import': 'Import',
+    'backup.importFile': 'Backup file',
+    'backup.importPassphrase': 'Backup passphrase (for encrypted backups)',
+    'backup.importMode': 'On name conflict',
+    'backup.modeSkip': 'Skip duplicates',
+    'backup.modeOverwrite': 'Overwrite duplicates',
+    'backup.modeRename': 'Rename duplicates',
+    'backup.preview': 'Preview',
+    'backup.confirmImport': 'Confirm import',
+    'external.title': 'Import from another authenticator app',
+    'external.format': 'Source format',
+    'external.auto': 'Detect automatically',
+    'external.aegis': 'Aegis (unencrypted JSON)',
+    'external.2fas': '2FAS (unencrypted .2fas)',
+    'external.andotp': 'andOTP (unencrypted JSON)',
+    'external.file': 'Export file',
+    'external.paste': 'Or paste an otpauth-migration://offline?data=... link exported from Google Authenticator',
+    'snapshot.title': 'Automatic snapshots',
+    'snapshot.create': 'Create snapshot now',
+    'folders.title': 'Shared folders',
+    'folders.hint': 'Move your keys into a folder, then share the folder with other users as read-only or editable.',
+    'folders.name': 'New folder name',
+    'folders.create': 'Create folder',
+    'password.title': 'Change password',
+    'password.current': 'Current password',
+    'password.new': 'New password (at least {min} characters)',
+    'mfa.title': 'Two-step verification',
+    'mfa.setupBefore': 'Scan the QR code with your authenticator app or add the secret below manually (or ',
+    'mfa.setupLink': 'open the link directly',
+    'mfa.setupAfter': '), then enter the code it generates:',
+    'mfa.code': '6-digit code',
+    'mfa.enableTotp': 'Enable authenticator',
+    'mfa.setupTotp': 'Set up authenticator',
+    'mfa.addPasskey': 'Add passkey',
+    'mfa.password': 'Current password (required to disable or regenerate)',
+    'mfa.disableTotp': 'Disable authenticator',
+    'mfa.regenerate': 'Regenerate recovery codes',
+    'users.title': 'Users',
+    'users.password': 'Initial password (at least {min} characters)',
+    'users.admin': 'Administrator',
+    'users.create': 'Create user',
+    'trash.empty': 'Empty trash',
+    'toast.copied': 'Copied to clipboard',
+    'toast.copyFailed': 'Copy failed',
+    'offline.unreachable': 'Cannot reach the server',
+    'add.invalidUri': 'Invalid otpauth URL',
+    'add.missing': 'Please enter a name and a secret',
+    'add.success': 'Key added!',
+    'add.failed': 'Could not add the key: {error}',
+    'card.confirmDelete': 'Delete "{name}"? You can restore it from the trash.',
+    'card.delete': 'Delete',
+    'card.deleted': 'Moved "{name}" to the trash',
+    'common.undo': 'Undo',
+    'card.deleteFailed': 'Could not delete: {error}',
+    'trash.isEmpty': 'The trash is empty.',
+    'trash.retention': 'Keys in the trash are permanently deleted {days} days after deletion.',
+    'trash.noRetention': 'Keys in the trash are never deleted automatically.',
+    'card.label': '{name} ({issuer})',
+    'common.restore': 'Restore',
+    'trash.purge': 'Delete permanently',
+    'trash.deletedAt': 'Deleted {time} (UTC)',
+    'trash.purgeIn': 'Permanently deleted in {days} days',
+    'trash.owner': 'Owner: {owner}',
+    'trash.restoreFailed': 'Could not restore: {error}',
+    'trash.restored': 'Restored "{name}"',
+    'trash.restoredAs': 'A key with the same name exists; restored as "{name}"',
+    'trash.confirmPurge': 'Permanently delete "{name}"? This cannot be undone.',
+    'trash.purged': 'Permanently deleted',
+    'trash.confirmEmpty': 'Empty the trash? All keys in it will be permanently deleted. This cannot be undone.',
+    'trash.emptied': 'Permanently deleted {count} keys',
+    'trash.emptyFailed': 'Could not empty the trash: {error}',
+    'card.nextFailed': 'Could not generate a code',
+    'folders.none': 'No folder',
+    'folders.missingName': 'Please enter a folder name',
+    'folders.created': 'Folder created',
+    'folders.confirmDelete': 'Delete folder "{name}"? Its keys will be moved out of the folder and no longer shared.',
+    'folders.deleted': 'Folder deleted',
+    'folders.member': '{username} ({permission})',
+    'permission.read': 'Read-only',
+    'permission.write': 'Can edit',
+    'folders.unshare': 'Stop sharing',
+    'folders.unshared': 'No longer shared',
+    'folders.shareWith': 'Share with username',
+    'folders.permission': 'Permission',
+    'folders.share': 'Share',
+    'folders.missingUsername': 'Please enter a username',
+    'folders.shared': 'Shared',
+    'password.changed': 'Password changed. Other devices have been signed out.',
+    'mfa.enabled': 'Enabled. Authenticator: {totp}; passkeys: {passkeys}; recovery codes left: {recovery}.',
+    'mfa.totpSet': 'set up',
+    'mfa.totpNotSet': 'not set up',
+    'mfa.disabled': 'Not enabled. After you set up an authenticator or add a passkey, signing in requires a second step besides the password.',
+    'mfa.passkeyItem': '{name} (added {time})',
+    'mfa.confirmDeletePasskey': 'Delete passkey "{name}"?',
+    'mfa.passkeyDeleted': 'Passkey deleted',
+    'mfa.recoveryCodes': 'Keep these recovery codes safe. Use them to sign in if you lose your authenticator and passkeys. Each works once and they will not be shown again after you leave this page:',
+    'mfa.totpEnabled': 'Authenticator enabled',
+    'mfa.confirmDisable': 'Disable the authenticator?',
+    'mfa.totpDisabled': 'Authenticator disabled',
+    'mfa.passkeyName': 'Name this passkey:',
+    'mfa.passkey': 'Passkey',
+    'mfa.passkeyFailed': 'Passkey registration was cancelled or failed',
+    'mfa.passkeyAdded': 'Passkey added',
+    'mfa.confirmRegenerate': 'Regenerating invalidates all previous recovery codes. Continue?',
+    'users.created': 'User created',
+    'users.resetPassword': 'Reset password',
+    'users.newPassword': 'New password for "{username}":',
+    'users.passwordReset': 'Password reset',
+    'users.resetMfa': 'Reset two-step verification',
+    'users.confirmResetMfa': 'Remove the authenticator, passkeys and recovery codes of "{username}"? They will be able to sign in with just the password.',
+    'users.mfaReset': 'Two-step verification reset',
+    'users.confirmDelete': 'Delete user "{username}"? All keys and folders they own will be deleted.',
+    'users.deleted': 'User deleted',
+    'users.adminItem': '{username} (administrator)',
+    'backup.confirmPlaintext': 'The plaintext list contains every secret; anyone with the file can generate your codes. Export anyway?',
+    'backup.downloaded': 'Backup downloaded',
+    'snapshot.hint': 'Every user\'s keys are saved encrypted on a schedule; the latest {versions} snapshots are kept.',
+    'snapshot.none': 'No snapshots yet. They are created on a schedule once a Cron Trigger is configured, or you can create one now.',
+    'snapshot.item': '{time} ({keys} keys)',
+    'snapshot.compare': 'Compare',
+    'snapshot.download': 'Download',
+    'snapshot.created': 'Snapshot created with {keys} keys',
+    'snapshot.field.secret': 'secret',
+    'snapshot.field.issuer': 'issuer',
+    'snapshot.field.digits': 'digits',
+    'snapshot.field.period': 'period',
+    'snapshot.field.algorithm': 'algorithm',
+    'snapshot.field.type': 'type',
+    'snapshot.field.counter': 'counter',
+    'snapshot.field.notes': 'notes',
+    'snapshot.field.tags': 'tags',
+    'snapshot.diffHeading': 'Compared with the snapshot from {time}:',
+    'snapshot.diffRemoved': 'Deleted: {owner} / {name} (re-added on restore)',
+    'snapshot.diffChanged': 'Changed: {owner} / {name} ({fields}; overwritten on restore)',
+    'list.separator': ', ',
+    'snapshot.diffAdded': 'Added: {owner} / {name} (kept on restore)',
+    'snapshot.diffUnchanged': 'Unchanged: {count}',
+    'snapshot.confirmRestore': 'Restore the snapshot from {time}? Keys deleted since then are re-added and changed keys are overwritten with the snapshot version.',
+    'snapshot.restored': 'Re-added {restored} and overwrote {overwritten} keys',
+    'snapshot.restoredSkipped': '; skipped {skipped}',
+    'snapshot.downloaded': 'Snapshot downloaded; restore it under "Import" with BACKUP_PASSPHRASE',
+    'backup.missingFile': 'Please choose a backup file',
+    'import.add': '{name}: add',
+    'import.skip': '{name}: duplicate, skip',
+    'import.overwrite': '{name}: duplicate, overwrite',
+    'import.rename': '{name}: duplicate, rename to {target}',
+    'import.error': 'Entry {index} cannot be imported: {error}',
+    'external.missing': 'Please choose an export file or paste an export link',
+    'external.failedItem': '{name}: {error}',
+    'external.unnamed': '(unnamed)',
+    'external.result': 'Imported {added} keys, {failed} failed',
+    'import.result': 'Import complete: {added} added, {overwritten} overwritten, {renamed} renamed, {skipped} skipped',
+    'import.failed': 'Import failed: {error}',
+    'scan.migration': 'Found a Google Authenticator export QR code; click "Import"',
+    'scan.notOtpauth': 'The QR code is not an otpauth:// link',
+    'scan.found': 'QR code recognised; adjust the name if needed and click Add',
+    'scan.imageError': 'Cannot read the image: {error}',
+    'scan.notFound': 'No QR code found in the image',
+    'scan.cameraError': 'Cannot open the camera: {error}',
+    'card.qrNote': 'Scan with the authenticator app on your phone to add this key. The QR code contains the secret itself; do not screenshot or share it.',
+    'keys.loadFailed': 'Could not load keys',
+    'offline.synced': 'Synced {count} offline actions',
+    'keys.clockSkew': 'Your clock is off by about {seconds} s; corrected automatically',
+    'offline.noCache': 'Cannot reach the server and there is no offline copy on this device.',
+    'offline.locked': 'Cannot reach the server. Enter your sign-in password to unlock the offline copy on this device:',
+    'offline.wrongPassword': 'Wrong password',
+    'offline.active': 'Offline: showing keys cached at {time}. Actions will sync when the connection returns.',
+    'offline.unavailable': 'This is not available offline',
+    'offline.reconnected': 'Back online',
+    'group.pinned': 'Pinned',
+    'group.ungrouped': 'Ungrouped',
+    'keys.none': 'No keys yet. Add one below.',
+    'card.pin': 'Pin',
+    'card.unpin': 'Unpin',
+    'card.edit': 'Edit',
+    'card.showQr': 'Show QR code',
+    'card.copy': 'Copy',
+    'card.codeAnnouncement': 'Code for {name}: {code}',
+    'card.saved': 'Saved',
+    'card.actionFailed': 'Action failed: {error}',
+    'card.orderFailed': 'Could not save the order',
+    'card.sharedFrom': 'From {owner} ({permission})',
+    'card.movedTo': 'Moved to folder "{folder}"',
+    'card.movedOut': 'Removed from folder',
+    'card.moveFailed': 'Could not move: {error}',
+    'card.nextToken': 'Next: {code}',
+    'audit.failure': 'Failure',
+    'audit.success': 'Success',
+    'audit.back': 'Back to codes',
+    'audit.action': 'Action',
+    'audit.actionExample': 'e.g. login, delete',
+    'audit.user': 'User',
+    'audit.key': 'Key',
+    'audit.outcome': 'Outcome',
+    'audit.all': 'All',
+    'audit.from': 'From',
+    'audit.to': 'To',
+    'audit.filter': 'Filter',
+    'audit.clear': 'Clear',
+    'audit.time': 'Time (UTC)',
+    'audit.detail': 'Details',
+    'audit.none': 'No matching entries',
+    'audit.previous': 'Previous',
+    'audit.page': 'Page {page}',
+    'audit.next': 'Next',
+    'database.title': 'Database unavailable',
+    'database.hint': 'Reload this page after fixing the problem; the Worker creates or upgrades the tables automatically. The full error is in the Worker logs.',
+    'database.missingBinding': 'No D1 database binding was found. Add a binding named DB (upper case) under Settings > Variables > D1 Database Bindings of the Worker, then redeploy.',
+    'database.migrationFailed': 'Could not create or upgrade the database schema. {error}',
+    'database.migrationStep': 'Migration {version} failed: {error}',
+    'error.sessionExpired': 'Your session has expired, please sign in again',
+    'error.invalidAction': 'Invalid action',
+    'error.adminOnly': 'Administrator permission required',
+    'error.readOnly': 'This key is shared with you read-only',
+    'error.keyNotFound': 'Key not found',
+    'error.duplicateKey': 'A key with this name already exists',
+    'error.folderNotFound': 'Folder not found',
+    'error.missingFolderName': 'Folder name cannot be empty',
+    'error.duplicateFolder': 'A folder with this name already exists',
+    'error.moveForbidden': 'You can only move your own keys into your own folders',
+    'error.invalidPermission': 'Permission must be read or write',
+    'error.unknownUser': 'User "{username}" does not exist',
+    'error.shareWithSelf': 'You cannot share a folder with yourself',
+    'error.memberNotFound': 'Member not found',
+    'error.userNotFound': 'User not found',
+    'error.invalidUsername': 'Usernames may only contain letters, digits and _ . @ - and must be at most 64 characters',
+    'error.duplicateUsername': 'This username is already taken',
+    'error.passwordTooShort': 'Passwords must be at least {min} characters',
+    'error.wrongPassword': 'The current password is incorrect',
+    'error.deleteSelf': 'You cannot delete the account you are signed in with',
+    'error.wrongCode': 'The code is incorrect',
+    'error.totpEnabled': 'The authenticator app is already enabled; disable it first',
+    'error.totpDisabled': 'The authenticator app is not enabled',
+    'error.mfaDisabled': 'Enable two-step verification first',
+    'error.passkeyNotFound': 'Passkey not found',
+    'error.duplicatePasskey': 'This passkey is already registered',
+    'error.invalidCredential': 'Malformed credential',
+    'error.invalidChallenge': 'The challenge is invalid or has expired',
+    'error.missingCredential': 'Credential data is missing',
+    'error.clientDataType': 'clientData type mismatch',
+    'error.originMismatch': 'Origin mismatch',
+    'error.authenticatorData': 'Authenticator data is too short',
+    'error.rpIdMismatch': 'RP ID mismatch',
+    'error.userNotPresent': 'User presence was not confirmed',
+    'error.publicKeyAlgorithm': 'Unsupported public key algorithm; only ES256 and RS256 are supported',
+    'error.ecdsaSignature': 'Invalid ECDSA signature',
+    'error.cborTruncated': 'CBOR data is truncated',
+    'error.cborLength': 'Unsupported CBOR length encoding',
+    'error.cborType': 'Unsupported CBOR type',
+    'error.missingNameOrSecret': 'Missing name or secret',
+    'error.missingName': 'Name cannot be empty',
+    'error.invalidUri': 'Invalid otpauth URL',
+    'error.invalidSecret': 'The secret is not a valid Base32 string',
+    'error.unsupportedType': 'Unsupported type: {type}',
+    'error.unsupportedAlgorithm': 'Unsupported algorithm: {algorithm}',
+    'error.invalidDigits': 'Invalid digits: {value}',
+    'error.invalidPeriod': 'Invalid period: {value}',
+    'error.invalidCounter': 'Invalid counter: {value}',
+    'error.digitsRange': 'Digits must be between {min} and {max}',
+    'error.periodRange': 'The period must be between {min} and {max} seconds',
+    'error.notesTooLong': 'Notes cannot exceed {max} characters',
+    'error.tagTooLong': 'Tags cannot exceed {max} characters',
+    'error.tooManyTags': 'A key can have at most {max} tags',
+    'error.masterKeyMissing': 'No master key is available to decrypt this key',
+    'error.totpUnreadable': 'The authenticator secret cannot be decrypted; use a recovery code or passkey, or ask an administrator to reset two-step verification',
+    'error.encryptionKeyMissing': 'ENCRYPTION_KEY is not configured',
+    'error.backupPassphraseTooShort': 'The backup passphrase must be at least {min} characters',
+    'error.missingBackupFile': 'Choose a backup file',
+    'error.missingBackupPassphrase': 'Enter the backup passphrase',
+    'error.backupVersion': 'Unsupported backup version: {version}',
+    'error.backupDecrypt': 'Wrong backup passphrase or damaged file',
+    'error.backupParse': 'Could not parse the backup file',
+    'error.backupFormat': 'Unrecognized backup format',
+    'error.backupEmpty': 'The backup file contains no keys',
+    'error.notOtpauthUri': 'Not a valid otpauth:// URL',
+    'error.snapshotStore': 'No snapshot storage is configured (R2 binding BACKUP_BUCKET or KV binding BACKUP_KV)',
+    'error.snapshotPassphrase': 'The snapshot passphrase BACKUP_PASSPHRASE is not set (at least {min} characters)',
+    'error.snapshotNotFound': 'Snapshot not found',
+    'error.ownerMissing': 'The owner account no longer exists',
+    'error.importEmpty': 'Nothing to import',
+    'error.importJson': 'Could not parse the JSON file',
+    'error.importFormat': 'Unrecognized import format',
+    'error.migrationUri': 'Invalid otpauth-migration link',
+    'error.notAegis': 'Not an Aegis export',
+    'error.aegisEncrypted': 'The Aegis backup is encrypted; export an unencrypted JSON file from Aegis',
+    'error.not2fas': 'Not a 2FAS export',
+    'error.2fasEncrypted': 'The 2FAS backup is encrypted; export an unencrypted file from 2FAS',
+    'error.notAndOtp': 'Not an andOTP export',
+    'error.notBitwarden': 'Not a Bitwarden CSV export (the login_totp column is missing)',
+    'error.apiDisabled': 'API is disabled: API_TOKEN is not configured',
+    'error.invalidToken': 'Missing or invalid bearer token',
+    'error.noAdmin': 'No admin account exists: ACCESS_PASSWORD is not configured',
+    'error.invalidPath': 'Malformed URL encoding',
+    'error.unknownApiVersion': 'Unknown API version',
+    'error.unknownResource': 'Unknown resource',
+    'error.unknownRoute': 'Unknown route',
+    'error.methodNotAllowed': 'Method not allowed',
+    'error.invalidJson': 'Request body must be valid JSON',
+    'error.keyExists': 'Key "{name}" already exists',
+    'error.keyNameNotFound': 'Key "{name}" not found',
+    'error.keySharedReadOnly': 'Key "{name}" is shared with you read-only',
+    'error.hotpNoCode': 'HOTP keys have no current code, use POST .../next',
+    'error.verifyTotpOnly': 'Only TOTP keys can be verified',
+    'error.missingCode': 'Field "code" is required',
+    'error.codeReplayed': 'Code has already been used',
+    'error.internal': 'Internal server error',
+  },
+};
+
+/**
+ * 选择页面语言：先看语言 Cookie，再按 Accept-Language 的权重依次匹配（只比较主语言，如 en-GB 匹配 en），
+ * 都不支持时使用默认语言。
+ * @param {Request} request
+ * @returns {string} LANGUAGES 中的一项。
+ */
+function pageLanguage(request) {
+  const cookies = request.headers.get('Cookie') || '';
+  const chosen = cookies.match(new RegExp(`(?:^|;\\s*)${LANGUAGE_COOKIE}=([^;]+)`));
+  if (chosen && LANGUAGES.includes(chosen[1])) return chosen[1];
+  const ranges = (request.headers.get('Accept-Language') || '').split(',').map(range => {
+    const [tag, ...params] = range.trim().split(';');
+    const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    return { language: tag.trim().toLowerCase().split('-')[0], q: q ? Number(q.slice(2)) : 1 };
+  });
+  const match = ranges.filter(range => range.q > 0).sort((a, b) => b.q - a.q).find(range => LANGUAGES.includes(range.language));
+  return match ? match.language : LANGUAGES[0];
+}
+
+/**
+ * 从某一语言的消息目录中取出消息，并把其中的 {name} 占位符替换为 params 中的值。
+ * 页面中的脚本使用同一份实现。
+ * @param {object} messages - MESSAGES 中某一语言的消息目录。
+ * @param {string} key
+ * @param {object} [params]
+ * @returns {string} 目录中没有该消息时返回 key 本身。
+ */
+function formatMessage(messages, key, params = {}) {
+  const message = messages[key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => name in params ? String(params[name]) : placeholder);
+}
+
+/**
+ * 创建一个可以按页面语言显示的错误。message 使用默认语言，供日志与未区分语言的调用方使用；
+ * 展示给用户时由 errorMessage 按请求的语言重新生成。
+ * @param {string} key - MESSAGES 中的消息键。
+ * @param {object} [params] - 占位符的值，其中的 Error 同样按页面语言显示。
+ * @returns {Error}
+ */
+function messageError(key, params = {}) {
+  const error = Object.assign(new Error(key), { messageKey: key, messageParams: params });
+  error.message = errorMessage(LANGUAGES[0], error);
+  return error;
+}
+
+/**
+ * 以指定语言返回错误消息。不是由 messageError 创建的错误（如数据库错误）原样返回其 message。
+ * @param {string} lang
+ * @param {Error} error
+ * @returns {string}
+ */
+function errorMessage(lang, error) {
+  if (!error.messageKey) return error.message;
+  const params = {};
+  for (const [name, value] of Object.entries(error.messageParams)) {
+    params[name] = value instanceof Error ? errorMessage(lang, value) : value;
+  }
+  return formatMessage(MESSAGES[lang], error.messageKey, params);
+}
+
+/**
+ * 返回服务器渲染页面使用的翻译函数。结果已经过 escapeHtml，可以直接插入文本和属性值。
+ * @param {string} lang
+ * @returns {(key: string, params?: object) => string}
+ */
+function htmlTranslator(lang) {
+  return (key, params) => escapeHtml(formatMessage(MESSAGES[lang], key, params));
+}
+
+/**
+ * 页面脚本中的消息目录与翻译函数 t()。
+ * @param {string} lang
+ * @returns {string} 插入 <script> 中的代码。
+ */
+function messagesScript(lang) {
+  return `const MESSAGES = ${scriptJson(MESSAGES[lang])};
+    ${formatMessage.toString()}
+    function t(key, params) { return formatMessage(MESSAGES, key, params); }`;
+}
+
+/**
+ * 切换到下一种语言的按钮：写入语言 Cookie 后重新加载页面。按钮文字使用目标语言显示。
+ * @param {string} lang - 当前语言。
+ * @param {string} [className]
+ * @returns {string}
+ */
+function languageToggleHtml(lang, className = '') {
+  const next = LANGUAGES[(LANGUAGES.indexOf(lang) + 1) % LANGUAGES.length];
+  const cookie = `${LANGUAGE_COOKIE}=${next}; Path=/; Max-Age=31536000; SameSite=Lax`;
+  return `<button type="button" class="${className}" lang="${LANGUAGE_TAGS[next]}" title="${htmlTranslator(lang)('language.switch')}" onclick="document.cookie = '${cookie}'; location.reload()">${escapeHtml(MESSAGES[next]['language.name'])}</button>`;
+}
+
+/** Service Worker 缓存的名称，修改缓存策略时递增版本号，旧缓存会在激活时被删除。 */
+const PWA_CACHE = 'totp-app-shell-v1';
+/** 离线缓存加密密钥的 PBKDF2 迭代次数（在浏览器中计算，不受 Workers 的 100000 次上限限制）。 */
+const OFFLINE_PBKDF2_ITERATIONS = 310000;
+
+/** 应用图标，同时用于网页图标与 PWA 安装图标。 */
+const APP_ICON_SVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512"><rect width="512" height="512" rx="96" fill="#0d6efd"/><circle cx="256" cy="256" r="150" fill="none" stroke="#fff" stroke-width="36"/><path d="M256 166v90l64 40" fill="none" stroke="#fff" stroke-width="36" stroke-linecap="round" stroke-linejoin="round"/></svg>`;
+
+/** 登录页与主页面共用的 PWA 相关 head 标签。 */
+const PWA_HEAD_TAGS = `<link rel="manifest" href="/manifest.webmanifest">
+<link rel="icon" href="/icon.svg" type="image/svg+xml">
+<link rel="apple-touch-icon" href="/icon.svg">
+<meta name="theme-color" content="#0d6efd">`;
+
+/**
+ * 返回 PWA 静态资源（清单、图标、Service Worker 脚本）的响应。
+ * @param {string} pathname
+ * @returns {?Response} 不是 PWA 资源时返回 null。
+ */
+function pwaAssetResponse(pathname) {
+  switch (pathname) {
+    case '/manifest.webmanifest':
+      return new Response(JSON.stringify({
+        name: 'TOTP 验证器',
+        short_name: 'TOTP',
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        background_color: '#f8f9fa',
+        theme_color: '#0d6efd',
+        icons: [{ src: '/icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any maskable' }],
+      }), { headers: { 'Content-Type': 'application/manifest+json; charset=utf-8', 'Cache-Control': 'no-cache' } });
+    case '/icon.svg':
+      return new Response(APP_ICON_SVG, { headers: { 'Content-Type': 'image/svg+xml', 'Cache-Control': 'public, max-age=86400' } });
+    case '/sw.js':
+      // Service Worker 脚本必须以 no-cache 提供，浏览器才能及时发现新版本
+      return new Response(`(${serviceWorkerMain.toString()})(self, ${JSON.stringify(PWA_CACHE)});\n`, {
+        headers: { 'Content-Type': 'text/javascript; charset=utf-8', 'Cache-Control': 'no-cache' },
+      });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Service Worker 的主体，由 /sw.js 序列化后在浏览器中运行。
+ * 主页面使用网络优先：联网时总是加载最新页面并更新缓存，网络或 Worker 不可用（5xx）时返回缓存的页面；
+ * 清单与图标使用缓存优先。API 响应（包括密钥）从不写入缓存，离线时的密钥来自页面自己维护的加密缓存。
+ * @param {ServiceWorkerGlobalScope} scope
+ * @param {string} cacheName
+ */
+function serviceWorkerMain(scope, cacheName) {
+  const STATIC_ASSETS = ['/manifest.webmanifest', '/icon.svg'];
+
+  scope.addEventListener('install', event => {
+    event.waitUntil(caches.open(cacheName).then(cache => cache.addAll(STATIC_ASSETS)).then(() => scope.skipWaiting()));
+  });
+
+  scope.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== cacheName).map(name => caches.delete(name))))
+      .then(() => scope.clients.claim()));
+  });
+
+  scope.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== scope.location.origin) return;
+    if (STATIC_ASSETS.includes(url.pathname)) {
+      event.respondWith(caches.match(url.pathname).then(cached => cached || fetch(event.request)));
+    } else if (event.request.mode === 'navigate' && url.pathname === '/') {
+      event.respondWith(appShell(event.request));
+    }
+  });
+
+  async function appShell(request) {
+    const cache = await caches.open(cacheName);
+    let response;
+    try {
+      response = await fetch(request);
+    } catch (e) {
+      const cached = await cache.match('/');
+      if (cached) return cached;
+      throw e;
+    }
+    // 只缓存登录后的主页面；登录页等其他正常响应直接返回
+    if (response.headers.get('X-App-Shell')) {
+      await cache.put('/', response.clone());
+      return response;
+    }
+    return response.status >= 500 ? (await cache.match('/')) || response : response;
+  }
+}
+
+/**
+ * 生成数据库不可用时的说明页面。
+ * @param {string} message - prepareDatabase 返回的说明。
+ * @param {string} lang
+ * @returns {string} 完整的 HTML 字符串。
+ */
+function databaseErrorHtml(message, lang) {
+  const t = htmlTranslator(lang);
+  return `
+<!DOCTYPE html>
+<html lang="${LANGUAGE_TAGS[lang]}"><head>
+<meta charset="UTF-8"><title>${t('database.title')}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+body {
+  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+  background-color: #f8f9fa; color: #212529;
+  display: flex; align-items: center; justify-content: center;
+  min-height: 100vh; margin: 0;
+}
+.container {
+  background-color: #ffffff; padding: 2.5rem; border-radius: 12px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.05); max-width: 520px; width: 100%; box-sizing: border-box;
+}
+h2 { margin-top: 0; font-weight: 600; color: #dc3545; }
+p { line-height: 1.6; }
+.hint { font-size: 0.9rem; opacity: 0.7; }
+</style>
+</head><body>
+  <div class="container">
+    <h2>${t('database.title')}</h2>
+    <p>${escapeHtml(message)}</p>
+    <p class="hint">${t('database.hint')}</p>
+  </div>
+</body></html>`;
+}
+
+/**
+ * 生成密码登录页面的 HTML。
+ * @param {object} [options]
+ * @param {number} [options.lockedFor=0] - 当前客户端剩余的锁定秒数，大于 0 时禁用表单并显示倒计时。
+ * @param {string} [options.lang] - 页面语言 (pageLanguage 的返回值)。
+ * @returns {string} 登录页的完整 HTML 字符串。
+ */
+function passwordFormHtml({ lockedFor = 0, lang = LANGUAGES[0] } = {}) {
+  const t = htmlTranslator(lang);
+  return `
+<!DOCTYPE html>
+<html lang="${LANGUAGE_TAGS[lang]}"><head>
+<meta charset="UTF-8"><title>${t('login.title')}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${PWA_HEAD_TAGS}
+<style>
+:root {
+  --bg-color: #f8f9fa; --text-color: #212529; --card-bg: #ffffff;
+  --accent-color: #0d6efd; --accent-hover: #0b5ed7; --border-color: #dee2e6;
+  --shadow-color: rgba(0, 0, 0, 0.05);
+}
+body { 
+  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+  background-color: var(--bg-color); color: var(--text-color);
+  display: flex; align-items: center; justify-content: center;
+  height: 100vh; margin: 0;
+}
+.container { 
+  background-color: var(--card-bg);
+  padding: 2.5rem; border-radius: 12px;
+  box-shadow: 0 4px 20px var(--shadow-color);
+  text-align: center; max-width: 320px; width: 100%;
+}
+h2 { margin-top: 0; margin-bottom: 1.5rem; font-weight: 600; }
+input { 
+  font-size: 1rem; padding: 0.75rem; width: 100%; box-sizing: border-box;
+  margin-bottom: 1.5rem; border-radius: 8px; border: 1px solid var(--border-color);
+  background-color: var(--bg-color); color: var(--text-color);
+  transition: border-color 0.2s, box-shadow 0.2s;
+}
+input:focus { border-color: var(--accent-color); box-shadow: 0 0 0 3px color-mix(in srgb, var(--accent-color) 25%, transparent); outline: none; }
+button { 
+  font-size: 1rem; font-weight: 500; padding: 0.75rem; width: 100%;
+  background-color: var(--accent-color); color: white; border: none;
+  border-radius: 8px; cursor: pointer; transition: background-color 0.2s;
+}
+button:hover { background-color: var(--accent-hover); }
+button:disabled { opacity: 0.6; cursor: not-allowed; }
+.error { color: #dc3545; font-size: 0.9rem; margin: 1rem 0 0; }
+.hint { margin: 0 0 1rem; font-size: 0.9rem; }
+button.secondary { margin-top: 0.75rem; background-color: transparent; color: var(--accent-color); border: 1px solid var(--accent-color); }
+button.secondary:hover { background-color: color-mix(in srgb, var(--accent-color) 10%, transparent); }
+button.link { margin-top: 0.75rem; background: none; color: var(--accent-color); padding: 0.25rem; font-size: 0.9rem; }
+button.link:hover { background: none; text-decoration: underline; }
+</style>
+</head>
+<body>
+  <div class="container">
+    <h2>${t('login.heading')}</h2>
+    <form id="form">
+      <input type="text" id="username" placeholder="${t('login.username')}" aria-label="${t('login.username')}" autocomplete="username" autocapitalize="off" required>
+      <input type="password" id="password" placeholder="${t('login.password')}" aria-label="${t('login.password')}" autocomplete="current-password" required>
+      <button type="submit" id="submit-btn">${t('login.submit')}</button>
+    </form>
+    <form id="mfa-form" hidden>
+      <p class="hint" id="mfa-hint">${t('login.totpHint')}</p>
+      <input type="text" id="mfa-code" aria-labelledby="mfa-hint" autocomplete="one-time-code" autocapitalize="off" required>
+      <button type="submit" id="mfa-btn">${t('login.verify')}</button>
+      <button type="button" class="secondary" id="passkey-btn" hidden>${t('login.usePasskey')}</button>
+      <button type="button" class="link" id="recovery-btn">${t('login.useRecovery')}</button>
+    </form>
+    <p class="error" id="error" role="alert" hidden></p>
+    ${languageToggleHtml(lang, 'link')}
+  </div>
+  <script>
+    ${messagesScript(lang)}
+    ${bytesToBase64Url.toString()}
+    ${base64UrlToBytes.toString()}
+    ${deriveBackupKey.toString()}
+
+    if ('serviceWorker' in navigator) navigator.serviceWorker.register('/sw.js').catch(() => {});
+
+    function post(params) {
+      return fetch('/', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(params).toString()
+      });
+    }
+
+    document.getElementById('form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const username = document.getElementById('username').value.trim();
+      const password = document.getElementById('password').value;
+      const res = await post({ username, password, action: 'auth' });
+      document.getElementById('password').value = '';
+      if (res.ok) {
+        await rememberOfflineKey(password);
+        // 启用了两步验证时服务器返回可用的第二因素，否则已通过 Set-Cookie 写入会话，直接重新加载主页
+        const text = await res.text();
+        const data = text ? JSON.parse(text) : {};
+        if (data.mfa) return showMfa(data.mfa);
+        window.location.href = '/';
+      } else if (res.status === 429) {
+        lockFor(Number(res.headers.get('Retry-After')) || 60);
+      } else {
+        showError(t('login.invalid'));
+      }
+    });
+
+    // 用登录密码派生离线缓存的加密密钥，交给主页面加密保存在本机的密钥列表。
+    // 密钥只保存在本标签页的 sessionStorage 中，关闭标签页即失效；离线时需要重新输入密码才能解锁缓存
+    async function rememberOfflineKey(password) {
+      try {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await deriveBackupKey(password, salt, ${OFFLINE_PBKDF2_ITERATIONS}, true);
+        const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+        sessionStorage.setItem('offlineKey', JSON.stringify({ salt: bytesToBase64Url(salt), iterations: ${OFFLINE_PBKDF2_ITERATIONS}, key: bytesToBase64Url(raw) }));
+      } catch (err) {
+        // 浏览器不支持时只是无法使用离线缓存，不影响登录
+      }
+    }
+
+    // --- 第二步：验证器验证码、恢复码或通行密钥 ---
+    let mfaMethod = 'totp';
+    let mfaFactors = { totp: false, webauthn: false };
+
+    function showMfa(mfa) {
+      mfaFactors = mfa;
+      document.getElementById('form').hidden = true;
+      document.getElementById('mfa-form').hidden = false;
+      document.getElementById('error').hidden = true;
+      document.getElementById('passkey-btn').hidden = !(mfa.webauthn && window.PublicKeyCredential);
+      setMfaMethod(mfa.totp ? 'totp' : 'recovery');
+    }
+
+    function setMfaMethod(method) {
+      mfaMethod = method;
+      const code = document.getElementById('mfa-code');
+      code.value = '';
+      code.inputMode = method === 'totp' ? 'numeric' : 'text';
+      document.getElementById('mfa-hint').textContent = t(method === 'totp' ? 'login.totpHint' : 'login.recoveryHint');
+      const toggle = document.getElementById('recovery-btn');
+      toggle.textContent = t(method === 'totp' ? 'login.useRecovery' : 'login.useTotp');
+      toggle.hidden = !mfaFactors.totp;
+      code.focus();
+    }
+
+    document.getElementById('recovery-btn').addEventListener('click', () => {
+      setMfaMethod(mfaMethod === 'totp' ? 'recovery' : 'totp');
+    });
+
+    document.getElementById('mfa-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      submitMfa({ method: mfaMethod, code: document.getElementById('mfa-code').value.trim() });
+    });
+
+    document.getElementById('passkey-btn').addEventListener('click', async () => {
+      let credential;
+      try {
+        const res = await post({ action: 'webauthn_login_options' });
+        if (!res.ok) return handleMfaFailure(res);
+        const options = await res.json();
+        options.challenge = base64UrlToBytes(options.challenge);
+        options.allowCredentials = options.allowCredentials.map(c => ({ ...c, id: base64UrlToBytes(c.id) }));
+        credential = await navigator.credentials.get({ publicKey: options });
+      } catch (err) {
+        return showError(t('login.passkeyFailed'));
+      }
+      const response = credential.response;
+      submitMfa({
+        method: 'webauthn',
+        credential: JSON.stringify({
+          id: credential.id,
+          response: {
+            clientDataJSON: bytesToBase64Url(new Uint8Array(response.clientDataJSON)),
+            authenticatorData: bytesToBase64Url(new Uint8Array(response.authenticatorData)),
+            signature: bytesToBase64Url(new Uint8Array(response.signature)),
+          },
+        }),
+      });
+    });
+
+    async function submitMfa(params) {
+      const res = await post({ ...params, action: 'auth_mfa' });
+      document.getElementById('mfa-code').value = '';
+      if (res.ok) {
+        window.location.href = '/';
+      } else {
+        handleMfaFailure(res);
+      }
+    }
+
+    async function handleMfaFailure(res) {
+      if (res.status === 429) return lockFor(Number(res.headers.get('Retry-After')) || 60);
+      // 401 表示待验证状态已过期，回到密码输入；其余失败（如第二因素不正确）显示服务器按页面语言返回的原因
+      const expired = res.status === 401;
+      if (expired) {
+        document.getElementById('mfa-form').hidden = true;
+        document.getElementById('form').hidden = false;
+      }
+      showError(expired ? t('login.expired') : (await res.text()) || t('login.failed'));
+    }
+
+    function showError(message) {
+      const error = document.getElementById('error');
+      error.textContent = message;
+      error.hidden = false;
+    }
+
+    // 失败次数过多时禁用表单，并倒计时显示剩余的锁定时间
+    let lockTimer = null;
+    function lockFor(seconds) {
+      const buttons = document.querySelectorAll('#submit-btn, #mfa-btn, #passkey-btn');
+      const until = Date.now() + seconds * 1000;
+      clearInterval(lockTimer);
+      const update = () => {
+        const remaining = Math.ceil((until - Date.now()) / 1000);
+        if (remaining <= 0) {
+          clearInterval(lockTimer);
+          buttons.forEach(button => { button.disabled = false; });
+          document.getElementById('error').hidden = true;
+          return;
+        }
+        buttons.forEach(button => { button.disabled = true; });
+        const minutes = Math.floor(remaining / 60);
+        const seconds = remaining % 60;
+        showError(t('login.locked', { time: minutes ? t('time.minutesSeconds', { minutes, seconds }) : t('time.seconds', { seconds }) }));
+      };
+      update();
+      lockTimer = setInterval(update, 1000);
+    }
+    ${lockedFor ? `lockFor(${lockedFor});` : ''}
+  </script>
+</body></html>`;
+}
+
+/**
+ * 生成主应用界面的 HTML。
+ * 页面加载后通过 /api/v1/vault 获取一次密钥列表，之后使用与服务器相同的 TOTP 类在浏览器中生成验证码，
+ * 并根据服务器 Date 头校正本机时钟偏差。
+ * @param {object} options
+ * @param {number} options.pendingMigration - 尚未使用当前主密钥加密的密钥数量。
+ * @param {object} options.user - 当前登录的用户。
+ * @param {Array<object>} options.folders - 用户自己的文件夹及其成员 (listFolders 的返回值)。
+ * @param {Array<object>} options.users - 所有用户，仅管理员页面需要，其他用户为空数组。
+ * @param {object} options.mfa - 当前用户的两步验证状态 (getMfaStatus 的返回值)。
+ * @param {string} [options.lang] - 页面语言 (pageLanguage 的返回值)。
+ * @returns {string} 主应用页面的完整 HTML 字符串。
+ */
+function appHtml({ pendingMigration, user, folders, users, mfa, lang = LANGUAGES[0] }) {
+  const t = htmlTranslator(lang);
+  const ICONS = {
+    copy: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>`,
+    trash: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>`,
+    sun: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>`,
+    moon: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>`,
+    star: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon></svg>`,
+    edit: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"></path></svg>`,
+    qr: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect width="5" height="5" x="3" y="3" rx="1"></rect><rect width="5" height="5" x="16" y="3" rx="1"></rect><rect width="5" height="5" x="3" y="16" rx="1"></rect><path d="M21 16h-3a2 2 0 0 0-2 2v3"></path><path d="M21 21v.01"></path><path d="M12 7v3a2 2 0 0 1-2 2H7"></path><path d="M3 12h.01"></path><path d="M12 3h.01"></path><path d="M12 16v.01"></path><path d="M16 12h1"></path><path d="M21 12v.01"></path><path d="M12 21v-1"></path></svg>`,
+    plus: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>`,
+    logout: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"></path><polyline points="16 17 21 12 16 7"></polyline><line x1="21" y1="12" x2="9" y2="12"></line></svg>`
+  };
+
+  return `
+<!DOCTYPE html>
+<html lang="${LANGUAGE_TAGS[lang]}"><head>
+<meta charset="UTF-8"><title>${t('app.title')}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${PWA_HEAD_TAGS}
+<style>
+/* 具体的CSS样式，定义了页面的外观和响应式布局 */
+:root {
+  --bg-color: #f8f9fa; --text-color: #212529; --card-bg: #ffffff;
+  --accent-color: #0d6efd; --accent-hover: #0b5ed7; --border-color: #dee2e6;
+  --shadow-color: rgba(0, 0, 0, 0.05); --danger-color: #dc3545;
+  --code-font: "Menlo", "Monaco", "Consolas", "Courier New", monospace;
+}
+body.dark {
+  --bg-color: #121212; --text-color: #e9ecef; --card-bg: #1e1e1e;
+  --accent-color: #2586fd; --accent-hover: #1c7ed6; --border-color: #343a40;
+  --shadow-color: rgba(0, 0, 0, 0.2); --danger-color: #e03142;
+}
+body { 
+  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+  background-color: var(--bg-color); color: var(--text-color); margin: 0;
+  padding: 2rem 1rem; transition: background-color 0.3s, color 0.3s;
+}
+.main-container { max-width: 600px; margin: 0 auto; display: grid; gap: 2rem; }
+.top-bar { display: flex; justify-content: space-between; align-items: center; }
+.top-bar h2 { margin: 0; font-size: 1.75rem; font-weight: 700; }
+.top-bar .controls { display: flex; align-items: center; gap: 0.5rem; }
+.cards-grid { display: grid; gap: 1rem; }
+.totp-card {
+  background-color: var(--card-bg); border-radius: 12px; padding: 1.25rem;
+  box-shadow: 0 4px 20px var(--shadow-color);
+  transition: transform 0.2s, box-shadow 0.2s;
+  overflow: hidden;
+}
+.totp-card:hover { transform: translateY(-3px); }
+.card-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.75rem; }
+.name { font-size: 1.1rem; font-weight: 600; }
+.issuer { font-size: 0.8rem; font-weight: 400; opacity: 0.6; margin-left: 0.25rem; }
+.token {
+  font-family: var(--code-font); font-size: 2.5rem; letter-spacing: 2px;
+  font-weight: 500; text-align: center; color: var(--accent-color); margin-bottom: 1rem;
+}
+.progress-bar-container { background-color: var(--border-color); height: 4px; border-radius: 2px; overflow: hidden; }
+.progress-bar { background-color: var(--accent-color); height: 100%; width: 100%; transition: width 0.5s linear; }
+.progress-bar.expiring { background-color: var(--danger-color); }
+.next-btn { width: 100%; }
+.next-token { font-size: 0.85rem; text-align: center; opacity: 0.6; margin: -0.75rem 0 0.75rem; font-family: var(--code-font); }
+.empty { text-align: center; opacity: 0.6; }
+.icon-btn:disabled { opacity: 0.4; cursor: default; }
+.error-card { border-left: 4px solid var(--danger-color); }
+.token-error { font-weight: 500; text-align: center; color: var(--danger-color); font-size: 1.2rem; }
+.token-error-detail { font-size: 0.8rem; text-align: center; color: var(--danger-color); opacity: 0.7; margin-top: 4px;}
+.backup-section summary { cursor: pointer; list-style: none; }
+.backup-section summary h3 { display: inline; }
+.backup-section h4 { margin: 1.25rem 0 0.75rem; }
+.import-preview { list-style: none; padding: 0; margin: 0.75rem 0; display: grid; gap: 0.25rem; font-size: 0.9rem; }
+.import-preview .conflict { color: var(--danger-color); }
+.card-meta { display: flex; justify-content: space-between; align-items: center; gap: 0.5rem; margin: -0.5rem 0 0.75rem; font-size: 0.8rem; opacity: 0.75; }
+.card-meta .folder-select { width: auto; padding: 0.2rem 0.4rem; font-size: 0.8rem; }
+.user-name { font-size: 0.9rem; opacity: 0.7; }
+.card-group > summary { cursor: pointer; font-weight: 600; margin-bottom: 0.75rem; opacity: 0.8; }
+.totp-card[draggable="true"] { cursor: grab; }
+.totp-card.dragging { opacity: 0.5; }
+.pin-btn.active { color: #f5b301; }
+.pin-btn.active svg { fill: currentColor; }
+.card-tags { display: flex; flex-wrap: wrap; gap: 0.25rem; margin: -0.5rem 0 0.75rem; }
+.tag { font-size: 0.75rem; padding: 0.1rem 0.5rem; border-radius: 999px; cursor: pointer; background-color: color-mix(in srgb, var(--accent-color) 15%, transparent); color: var(--accent-color); }
+.card-notes { font-size: 0.85rem; opacity: 0.7; margin: -0.5rem 0 0.75rem; white-space: pre-wrap; word-break: break-word; }
+.edit-form { display: grid; gap: 0.5rem; margin-bottom: 0.75rem; }
+.edit-form .form-group, .edit-form textarea { margin-bottom: 0; }
+.item-list { list-style: none; padding: 0; margin: 0.75rem 0; display: grid; gap: 0.75rem; }
+.item-list > li { border: 1px solid var(--border-color); border-radius: 8px; padding: 0.75rem; display: grid; gap: 0.5rem; }
+.item-row { display: flex; justify-content: space-between; align-items: center; gap: 0.5rem; }
+.item-row button { padding: 0.3rem 0.6rem; font-size: 0.85rem; }
+.item-meta { font-size: 0.85rem; opacity: 0.7; }
+.checkbox { display: flex; align-items: center; gap: 0.5rem; font-size: 0.9rem; }
+.checkbox input { width: auto; }
+[hidden] { display: none !important; }
+.recovery-codes { font-family: monospace; background-color: var(--bg-color); border: 1px solid var(--border-color); border-radius: 8px; padding: 0.75rem; white-space: pre-wrap; }
+#totp-secret { font-family: monospace; word-break: break-all; }
+.qr-code { text-align: center; margin-bottom: 0.75rem; font-size: 0.8rem; opacity: 0.9; }
+.qr-code svg { display: block; width: 220px; max-width: 100%; height: auto; margin: 0 auto 0.5rem; border-radius: 8px; }
+.scan-hint { font-size: 0.85rem; margin: 0 0 0.75rem; }
+#camera-video { display: block; width: 100%; border-radius: 8px; background-color: #000; margin-bottom: 0.75rem; }
+textarea {
+  font-size: 0.95rem; padding: 0.6rem; box-sizing: border-box; width: 100%; margin-bottom: 0.75rem; resize: vertical;
+  border-radius: 8px; border: 1px solid var(--border-color); background-color: var(--bg-color); color: var(--text-color);
+  font-family: var(--code-font);
+}
+.notice {
+  display: flex; justify-content: space-between; align-items: center; gap: 1rem;
+  background-color: var(--card-bg); border-left: 4px solid var(--accent-color);
+  border-radius: 12px; padding: 1rem 1.25rem; box-shadow: 0 4px 20px var(--shadow-color);
+}
+.notice form { display: flex; gap: 0.5rem; flex-shrink: 0; }
+.add-section { background-color: var(--card-bg); border-radius: 12px; padding: 1.5rem; box-shadow: 0 4px 20px var(--shadow-color); }
+.form-group { display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem; margin-bottom: 0.75rem; }
+.advanced { margin-bottom: 0.75rem; font-size: 0.9rem; }
+.advanced summary { cursor: pointer; margin-bottom: 0.75rem; opacity: 0.8; }
+.advanced .form-group:first-of-type { grid-template-columns: 1fr 1fr 1fr; }
+input, select { 
+  font-size: 0.95rem; padding: 0.6rem; box-sizing: border-box; width: 100%;
+  border-radius: 8px; border: 1px solid var(--border-color); background-color: var(--bg-color); color: var(--text-color);
+  transition: border-color 0.2s, box-shadow 0.2s;
+}
+input:focus, select:focus { border-color: var(--accent-color); box-shadow: 0 0 0 3px color-mix(in srgb, var(--accent-color) 25%, transparent); outline: none; }
+button { 
+  font-size: 0.95rem; font-weight: 500; padding: 0.6rem 1rem; background-color: var(--accent-color); 
+  color: white; border: none; border-radius: 8px; cursor: pointer;
+  display: inline-flex; align-items: center; justify-content: center; gap: 0.5rem;
+  transition: background-color 0.2s, transform 0.1s;
+}
+button:hover { background-color: var(--accent-hover); }
+button:active { transform: scale(0.98); }
+.icon-btn { padding: 0.5rem; background: transparent; color: var(--text-color); }
+.icon-btn:hover { background-color: color-mix(in srgb, var(--text-color) 10%, transparent); }
+.icon-btn.danger:hover { color: var(--danger-color); background-color: color-mix(in srgb, var(--danger-color) 10%, transparent); }
+#toast-container { position: fixed; bottom: 20px; right: 20px; z-index: 1000; display: grid; gap: 10px; }
+.toast {
+  background-color: #333; color: white; padding: 12px 20px; border-radius: 8px;
+  box-shadow: 0 4px 15px rgba(0,0,0,0.2); font-size: 0.9rem;
+  opacity: 0; transform: translateY(20px); animation: toast-in 0.5s forwards;
+  display: flex; align-items: center; gap: 1rem;
+}
+.toast button { padding: 0.3rem 0.6rem; font-size: 0.85rem; }
+@keyframes toast-in { to { opacity: 1; transform: translateY(0); } }
+.totp-card:focus-visible, button:focus-visible, summary:focus-visible { outline: 3px solid var(--accent-color); outline-offset: 2px; }
+.visually-hidden { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+#confirm-dialog { border: none; border-radius: 12px; padding: 1.5rem; max-width: 360px; background-color: var(--card-bg); color: var(--text-color); box-shadow: 0 4px 20px var(--shadow-color); }
+#confirm-dialog::backdrop { background-color: rgba(0, 0, 0, 0.4); }
+#confirm-dialog p { margin-top: 0; }
+#confirm-dialog .form-group { margin-bottom: 0; }
+#confirm-ok { background-color: var(--danger-color); }
+</style>
+</head>
+<body>
+  <div id="toast-container" role="status" aria-live="polite"></div>
+  <div id="code-announcer" class="visually-hidden" aria-live="polite" aria-atomic="true"></div>
+  <dialog id="confirm-dialog" aria-labelledby="confirm-message">
+    <form method="dialog">
+      <p id="confirm-message"></p>
+      <div class="form-group">
+        <button id="confirm-ok" value="ok"></button>
+        <button id="confirm-cancel" value="cancel">${t('common.cancel')}</button>
+      </div>
+    </form>
+  </dialog>
+  <div class="main-container">
+    <div class="top-bar">
+      <h2>${t('app.heading')}</h2>
+      <div class="controls">
+        <span class="user-name">${escapeHtml(user.username)}</span>
+        <button onclick="openSection('account-section')">${t('account.title')}</button>
+        <button onclick="openSection('backup-section')">${t('backup.title')}</button>
+        <button onclick="openSection('trash-section')">${t('trash.title')}</button>
+        <button onclick="location.href = '/audit'">${t('audit.title')}</button>
+        ${languageToggleHtml(lang)}
+        <button id="theme-toggle" class="icon-btn" title="${t('app.toggleTheme')}" aria-label="${t('app.toggleTheme')}"></button>
+        <button class="icon-btn" onclick="logout()" title="${t('app.logout')}" aria-label="${t('app.logout')}">${ICONS.logout}</button>
+      </div>
+    </div>
+    <div class="notice" id="offline-notice" hidden>
+      <span id="offline-status"></span>
+      <form id="offline-unlock" hidden onsubmit="event.preventDefault(); unlockOffline()">
+        <input type="password" id="offline-password" placeholder="${t('offline.password')}" aria-label="${t('offline.password')}" autocomplete="current-password" required>
+        <button type="submit">${t('offline.unlock')}</button>
+      </form>
+    </div>
+    ${pendingMigration ? `
+    <div class="notice">
+      <span>${t('migration.pending', { count: pendingMigration })}</span>
+      <button onclick="migrateSecrets()">${t('migration.run')}</button>
+    </div>` : ''}
+    <input type="search" id="search-input" placeholder="${t('search.placeholder')}" aria-label="${t('search.placeholder')}" oninput="filterCards()">
+    <p class="visually-hidden" id="card-keys-hint">${t('card.keyboardHint')}</p>
+    <div class="cards-grid" id="cards-grid"></div>
+    <p class="empty" id="search-empty" hidden>${t('search.empty')}</p>
+    <template id="card-template">
+      <div class="totp-card" tabindex="0" role="group" aria-describedby="card-keys-hint">
+        <div class="card-header">
+          <span class="name"><span class="label"></span><span class="issuer"></span></span>
+          <div class="actions">
+            <button class="icon-btn pin-btn">${ICONS.star}</button>
+            <button class="icon-btn edit-btn">${ICONS.edit}</button>
+            <button class="icon-btn qr-btn">${ICONS.qr}</button>
+            <button class="icon-btn copy-btn">${ICONS.copy}</button>
+            <button class="icon-btn danger delete-btn">${ICONS.trash}</button>
+          </div>
+        </div>
+        <div class="card-tags"></div>
+        <div class="card-notes"></div>
+        <div class="qr-code card-qr" hidden></div>
+        <div class="edit-form" hidden>
+          <div class="form-group">
+            <input class="edit-name" placeholder="${t('field.name')}" aria-label="${t('field.name')}">
+            <input class="edit-issuer" placeholder="${t('field.issuer')}" aria-label="${t('field.issuer')}">
+          </div>
+          <input class="edit-tags" placeholder="${t('field.tagsGroup')}" aria-label="${t('field.tagsGroup')}">
+          <textarea class="edit-notes" rows="2" placeholder="${t('field.notes')}" aria-label="${t('field.notes')}"></textarea>
+          <div class="form-group">
+            <button class="save-btn">${t('common.save')}</button>
+            <button class="cancel-btn">${t('common.cancel')}</button>
+          </div>
+        </div>
+        <div class="card-meta">
+          <span class="shared"></span>
+          <select class="folder-select" title="${t('field.folder')}" aria-label="${t('field.folder')}"></select>
+        </div>
+        <div class="token"></div>
+        <div class="next-token" hidden></div>
+        <div class="progress-bar-container" aria-hidden="true"><div class="progress-bar"></div></div>
+        <button class="next-btn">${t('card.next')}</button>
+        <div class="token-error">${t('card.invalidSecret')}</div>
+        <div class="token-error-detail"></div>
+      </div>
+    </template>
+    <div class="add-section">
+      <h3>${t('add.title')}</h3>
+      <div class="form-group">
+        <input id="name-input" placeholder="${t('add.name')}" aria-label="${t('add.name')}">
+        <input id="secret-input" placeholder="${t('add.secret')}" aria-label="${t('add.secret')}">
+      </div>
+      <div class="form-group">
+        <button onclick="document.getElementById('qr-file').click()">${t('add.scanImage')}</button>
+        <button onclick="startCamera()">${t('add.scanCamera')}</button>
+      </div>
+      <input id="qr-file" type="file" accept="image/*" hidden onchange="scanFile(this)">
+      <input id="qr-capture" type="file" accept="image/*" capture="environment" hidden onchange="scanFile(this)">
+      <p class="empty scan-hint">${t('add.pasteHint')}</p>
+      <div id="camera-panel" hidden>
+        <video id="camera-video" playsinline muted></video>
+        <button onclick="stopCamera()">${t('add.stopCamera')}</button>
+      </div>
+      <details class="advanced">
+        <summary>${t('add.advanced')}</summary>
+        <div class="form-group">
+          <select id="algorithm-input" title="${t('add.algorithm')}" aria-label="${t('add.algorithm')}">
+            <option value="SHA-1">SHA-1</option>
+            <option value="SHA-256">SHA-256</option>
+            <option value="SHA-512">SHA-512</option>
+          </select>
+          <input id="digits-input" type="number" min="${MIN_DIGITS}" max="${MAX_DIGITS}" value="6" title="${t('add.digits')}" aria-label="${t('add.digits')}">
+          <input id="period-input" type="number" min="${MIN_PERIOD}" max="${MAX_PERIOD}" value="30" title="${t('add.period')}" aria-label="${t('add.period')}">
+        </div>
+        <div class="form-group">
+          <select id="type-input" title="${t('add.type')}" aria-label="${t('add.type')}">
+            <option value="totp">${t('add.typeTotp')}</option>
+            <option value="hotp">${t('add.typeHotp')}</option>
+          </select>
+          <input id="counter-input" type="number" min="0" value="0" title="${t('add.counter')}" aria-label="${t('add.counter')}">
+        </div>
+      </details>
+      <div class="form-group">
+        <input id="tags-input" placeholder="${t('field.tags')}" aria-label="${t('field.tags')}">
+        <input id="notes-input" placeholder="${t('field.notes')}" aria-label="${t('field.notes')}">
+      </div>
+      <div class="form-group"${folders.length ? '' : ' hidden'}>
+        <select id="folder-input" title="${t('add.folder')}" aria-label="${t('add.folder')}"></select>
+      </div>
+      <button onclick="add()">${ICONS.plus} ${t('add.submit')}</button>
+    </div>
+    <details class="add-section backup-section" id="backup-section"${user.is_admin ? ' ontoggle="if (this.open) loadSnapshots()"' : ''}>
+      <summary><h3>${t('backup.title')}</h3></summary>
+      <h4>${t('backup.export')}</h4>
+      <div class="form-group">
+        <select id="export-format" aria-label="${t('backup.format')}" onchange="document.getElementById('export-passphrase').hidden = this.value !== 'encrypted'">
+          <option value="encrypted">${t('backup.formatEncrypted')}</option>
+          <option value="uris">${t('backup.formatUris')}</option>
+        </select>
+        <input id="export-passphrase" type="password" placeholder="${t('backup.passphrase', { min: MIN_BACKUP_PASSPHRASE })}" aria-label="${t('backup.passphrase', { min: MIN_BACKUP_PASSPHRASE })}" autocomplete="new-password">
+      </div>
+      <button onclick="exportKeys()">${t('backup.download')}</button>
+      <h4>${t('backup.import')}</h4>
+      <div class="form-group">
+        <input id="import-file" type="file" accept=".json,.txt,application/json,text/plain" aria-label="${t('backup.importFile')}">
+        <input id="import-passphrase" type="password" placeholder="${t('backup.importPassphrase')}" aria-label="${t('backup.importPassphrase')}" autocomplete="off">
+      </div>
+      <div class="form-group">
+        <select id="import-mode" title="${t('backup.importMode')}" aria-label="${t('backup.importMode')}">
+          <option value="skip">${t('backup.modeSkip')}</option>
+          <option value="overwrite">${t('backup.modeOverwrite')}</option>
+          <option value="rename">${t('backup.modeRename')}</option>
+        </select>
+        <button onclick="previewImport()">${t('backup.preview')}</button>
+      </div>
+      <ul id="import-preview" class="import-preview"></ul>
+      <button id="import-btn" onclick="importKeys()" hidden>${t('backup.confirmImport')}</button>
+      <h4>${t('external.title')}</h4>
+      <div class="form-group">
+        <select id="external-format" title="${t('external.format')}" aria-label="${t('external.format')}">
+          <option value="auto">${t('external.auto')}</option>
+          <option value="google">Google Authenticator (otpauth-migration://)</option>
+          <option value="aegis">${t('external.aegis')}</option>
+          <option value="2fas">${t('external.2fas')}</option>
+          <option value="andotp">${t('external.andotp')}</option>
+          <option value="bitwarden">Bitwarden (CSV)</option>
+        </select>
+        <input id="external-file" type="file" accept=".json,.2fas,.csv,.txt" aria-label="${t('external.file')}">
+      </div>
+      <textarea id="external-data" rows="2" placeholder="${t('external.paste')}" aria-label="${t('external.paste')}"></textarea>
+      <button onclick="importExternal()">${t('backup.import')}</button>
+      <ul id="external-results" class="import-preview"></ul>
+      ${user.is_admin ? `
+      <h4>${t('snapshot.title')}</h4>
+      <p class="empty" id="snapshot-hint"></p>
+      <button onclick="takeSnapshot()">${t('snapshot.create')}</button>
+      <ul id="snapshot-list" class="item-list"></ul>
+      <ul id="snapshot-diff" class="import-preview"></ul>` : ''}
+    </details>
+    <details class="add-section backup-section" id="account-section">
+      <summary><h3>${t('account.title')}</h3></summary>
+      <h4>${t('folders.title')}</h4>
+      <p class="empty">${t('folders.hint')}</p>
+      <div class="form-group">
+        <input id="folder-name" placeholder="${t('folders.name')}" aria-label="${t('folders.name')}">
+        <button onclick="createFolder()">${t('folders.create')}</button>
+      </div>
+      <ul id="folder-list" class="item-list"></ul>
+      <h4>${t('password.title')}</h4>
+      <div class="form-group">
+        <input id="current-password" type="password" placeholder="${t('password.current')}" aria-label="${t('password.current')}" autocomplete="current-password">
+        <input id="new-password" type="password" placeholder="${t('password.new', { min: MIN_PASSWORD_LENGTH })}" aria-label="${t('password.new', { min: MIN_PASSWORD_LENGTH })}" autocomplete="new-password">
+      </div>
+      <button onclick="changePassword()">${t('password.title')}</button>
+      <h4>${t('mfa.title')}</h4>
+      <p class="empty" id="mfa-status"></p>
+      <div id="totp-setup" hidden>
+        <p class="empty">${t('mfa.setupBefore')}<a id="totp-uri">${t('mfa.setupLink')}</a>${t('mfa.setupAfter')}</p>
+        <div id="totp-qr" class="qr-code"></div>
+        <p id="totp-secret"></p>
+        <div class="form-group">
+          <input id="totp-confirm-code" inputmode="numeric" autocomplete="one-time-code" placeholder="${t('mfa.code')}" aria-label="${t('mfa.code')}">
+          <button onclick="confirmTotp()">${t('mfa.enableTotp')}</button>
+        </div>
+      </div>
+      <div class="form-group">
+        <button id="totp-setup-btn" onclick="setupTotp()">${t('mfa.setupTotp')}</button>
+        <button id="passkey-add-btn" onclick="registerPasskey()">${t('mfa.addPasskey')}</button>
+      </div>
+      <ul id="passkey-list" class="item-list"></ul>
+      <pre id="recovery-codes" class="recovery-codes" hidden></pre>
+      <div class="form-group" id="mfa-manage">
+        <input id="mfa-password" type="password" placeholder="${t('mfa.password')}" aria-label="${t('mfa.password')}" autocomplete="current-password">
+        <button id="totp-disable-btn" onclick="disableTotp()">${t('mfa.disableTotp')}</button>
+        <button onclick="regenerateRecoveryCodes()">${t('mfa.regenerate')}</button>
+      </div>
+      ${user.is_admin ? `
+      <h4>${t('users.title')}</h4>
+      <div class="form-group">
+        <input id="new-username" placeholder="${t('login.username')}" aria-label="${t('login.username')}" autocomplete="off">
+        <input id="new-user-password" type="password" placeholder="${t('users.password', { min: MIN_PASSWORD_LENGTH })}" aria-label="${t('users.password', { min: MIN_PASSWORD_LENGTH })}" autocomplete="new-password">
+      </div>
+      <div class="form-group">
+        <label class="checkbox"><input id="new-user-admin" type="checkbox"> ${t('users.admin')}</label>
+        <button onclick="createUser()">${t('users.create')}</button>
+      </div>
+      <ul id="user-list" class="item-list"></ul>` : ''}
+    </details>
+    <details class="add-section backup-section" id="trash-section" ontoggle="if (this.open) loadTrash()">
+      <summary><h3>${t('trash.title')}</h3></summary>
+      <p class="empty" id="trash-hint"></p>
+      <ul id="trash-list" class="item-list"></ul>
+      <button id="empty-trash-btn" onclick="emptyTrash()" hidden>${t('trash.empty')}</button>
+    </details>
+  </div>
+
+<script>
+  const ICONS = { copy: \`${ICONS.copy}\`, trash: \`${ICONS.trash}\`, sun: \`${ICONS.sun}\`, moon: \`${ICONS.moon}\`};
+  ${messagesScript(lang)}
+
+  /* --- UI 交互函数 --- */
+
+  // 主题切换逻辑
+  const themeToggle = document.getElementById('theme-toggle');
+  function applyTheme(theme) { if (theme === 'dark') { document.body.classList.add('dark'); themeToggle.innerHTML = ICONS.sun; } else { document.body.classList.remove('dark'); themeToggle.innerHTML = ICONS.moon; } }
+  themeToggle.addEventListener('click', () => { const newTheme = document.body.classList.contains('dark') ? 'light' : 'dark'; localStorage.setItem('theme', newTheme); applyTheme(newTheme); });
+  applyTheme(localStorage.getItem('theme') || 'light');
+  
+  // 显示一个短暂的通知消息 (Toast)
+  // action 为可选的 { label, onClick }，在通知中显示一个按钮（如“撤销”），点击后通知立即消失
+  function showToast(message, duration = 3000, action = null) {
+    const container = document.getElementById('toast-container');
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.textContent = message;
+    if (action) {
+      const button = document.createElement('button');
+      button.textContent = action.label;
+      button.addEventListener('click', () => { toast.remove(); action.onClick(); });
+      toast.appendChild(button);
+    }
+    container.appendChild(toast);
+    setTimeout(() => { toast.remove(); }, duration);
+  }
+
+  /**
+   * 显示确认对话框，返回用户是否确认。打开时焦点在“取消”上，按 Esc 视为取消；
+   * 关闭后焦点回到打开对话框之前的元素（如果它还在页面上）。
+   */
+  function confirmDialog(message, confirmLabel) {
+    const dialog = document.getElementById('confirm-dialog');
+    const opener = document.activeElement;
+    document.getElementById('confirm-message').textContent = message;
+    document.getElementById('confirm-ok').textContent = confirmLabel;
+    dialog.returnValue = '';
+    dialog.showModal();
+    document.getElementById('confirm-cancel').focus();
+    return new Promise(resolve => {
+      dialog.addEventListener('close', () => {
+        if (opener && opener.isConnected) opener.focus();
+        resolve(dialog.returnValue === 'ok');
+      }, { once: true });
+    });
+  }
+  
+  // 复制文本到剪贴板；传入密钥 ID 时向服务器上报，用于审计日志
+  function copy(text, id) {
+    navigator.clipboard.writeText(text).then(() => {
+      showToast(t('toast.copied'));
+      if (id) post({ action: 'copy', id }).catch(() => {});
+    }).catch(() => showToast(t('toast.copyFailed')));
+  }
+
+  /* --- 核心数据操作函数 --- */
+
+  /**
+   * 向服务器发送一个表单操作请求。会话 Cookie 由浏览器自动携带；
+   * 如果会话已过期 (401)，则刷新页面回到登录页。
+   * 离线模式下改为写入本机的待同步队列（见 queueOffline），无法连接服务器时返回 503。
+   */
+  async function post(params) {
+    if (offline) return queueOffline(params);
+    let res;
+    try {
+      res = await sendAction(params);
+    } catch (e) {
+      return new Response(t('offline.unreachable'), { status: 503 });
+    }
+    if (res.status === 401) location.reload();
+    return res;
+  }
+
+  // 直接提交表单操作，不经过离线队列；同步离线操作时也使用它
+  function sendAction(params) {
+    return fetch('/', {
+      method: 'POST',
+      headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+      body: new URLSearchParams(params).toString()
+    });
+  }
+
+  /**
+   * 处理添加新密钥的逻辑。
+   * otpauth:// URL 会原样提交，由服务器解析 digits、period、algorithm、issuer 等参数；
+   * 手动输入的 Base32 密钥则使用“高级选项”中的参数。
+   * 它会向服务器发送一个 'add' 请求，并在成功后重新获取密钥列表（不刷新页面）。
+   * 由于后端使用 D1 数据库，数据是强一致性的，因此可以立即重新获取。
+   */
+  async function add() {
+    const nameInput = document.getElementById('name-input');
+    const secretInput = document.getElementById('secret-input');
+    const name = nameInput.value.trim();
+    const secret = secretInput.value.trim();
+    const isUri = secret.startsWith('otpauth://');
+
+    if (isUri) {
+      try { new URL(secret); } catch (e) { showToast(t('add.invalidUri')); return; }
+    }
+    // 使用 otpauth:// URL 时名称可以留空，服务器会从 URL 的标签中提取
+    if (!secret || (!name && !isUri)) { showToast(t('add.missing')); return; }
+
+    const params = {
+      action: 'add', name, secret,
+      folder: document.getElementById('folder-input').value,
+      tags: document.getElementById('tags-input').value,
+      notes: document.getElementById('notes-input').value,
+    };
+    if (!isUri) {
+      params.algorithm = document.getElementById('algorithm-input').value;
+      params.digits = document.getElementById('digits-input').value;
+      params.period = document.getElementById('period-input').value;
+      params.type = document.getElementById('type-input').value;
+      params.counter = document.getElementById('counter-input').value;
+    }
+
+    const res = await post(params);
+
+    if (res.ok) {
+      showToast(t('add.success'));
+      nameInput.value = '';
+      secretInput.value = '';
+      document.getElementById('tags-input').value = '';
+      document.getElementById('notes-input').value = '';
+      await loadKeys();
+    } else {
+      showToast(t('add.failed', { error: await res.text() }));
+    }
+  }
+
+  /**
+   * 处理删除密钥的逻辑。
+   * 先在确认对话框中确认，再向服务器发送一个 'delete' 请求把密钥移入回收站，成功后直接移除对应的卡片，
+   * 并在通知中提供“撤销”按钮。用键盘删除时焦点移到相邻的卡片上。
+   */
+  async function remove(target) {
+    if (!await confirmDialog(t('card.confirmDelete', { name: target.name }), t('card.delete'))) return;
+    const res = await post({ action: 'delete', id: target.id });
+
+    if (res.ok) {
+      const index = cards.indexOf(target);
+      const hadFocus = target.element.contains(document.activeElement);
+      cards = cards.filter(card => card.id !== target.id);
+      renderCards();
+      const neighbour = cards[index] || cards[index - 1];
+      if (hadFocus && neighbour) neighbour.element.focus();
+      showToast(t('card.deleted', { name: target.name }), 8000, { label: t('common.undo'), onClick: () => restoreFromTrash(target) });
+      refreshTrash();
+    } else {
+      showToast(t('card.deleteFailed', { error: await res.text() }));
+    }
+  }
+
+  // 回收站：列出已删除的密钥，恢复或彻底删除
+  async function loadTrash() {
+    const res = await post({ action: 'trash' });
+    if (!res.ok) { showToast(await res.text()); return; }
+    const { keys, retentionDays } = await res.json();
+    document.getElementById('trash-hint').textContent = !keys.length ? t('trash.isEmpty')
+      : retentionDays ? t('trash.retention', { days: retentionDays }) : t('trash.noRetention');
+    const list = document.getElementById('trash-list');
+    list.replaceChildren();
+    for (const key of keys) {
+      const li = document.createElement('li');
+      li.appendChild(itemRow(key.issuer ? t('card.label', { name: key.name, issuer: key.issuer }) : key.name, key.access === 'read' ? [] : [
+        [t('common.restore'), () => restoreFromTrash(key)],
+        [t('trash.purge'), () => purgeFromTrash(key), true],
+      ]));
+      const meta = document.createElement('span');
+      meta.className = 'item-meta';
+      meta.textContent = [
+        t('trash.deletedAt', { time: key.deleted_at }),
+        key.purge_in_days !== null && t('trash.purgeIn', { days: key.purge_in_days }),
+        key.access !== 'owner' && t('trash.owner', { owner: key.owner }),
+      ].filter(Boolean).join(' · ');
+      li.appendChild(meta);
+      list.appendChild(li);
+    }
+    document.getElementById('empty-trash-btn').hidden = !keys.some(key => key.access !== 'read');
+  }
+
+  // 回收站展开时才需要刷新列表
+  function refreshTrash() {
+    if (document.getElementById('trash-section').open) loadTrash();
+  }
+
+  async function restoreFromTrash(key) {
+    const res = await post({ action: 'restore', id: key.id });
+    if (!res.ok) { showToast(t('trash.restoreFailed', { error: await res.text() })); return; }
+    const { name } = await res.json();
+    showToast(t(name === key.name ? 'trash.restored' : 'trash.restoredAs', { name }));
+    await loadKeys();
+    refreshTrash();
+  }
+
+  async function purgeFromTrash(key) {
+    if (!await confirmDialog(t('trash.confirmPurge', { name: key.name }), t('trash.purge'))) return;
+    const res = await post({ action: 'purge', id: key.id });
+    showToast(res.ok ? t('trash.purged') : t('card.deleteFailed', { error: await res.text() }));
+    loadTrash();
+  }
+
+  async function emptyTrash() {
+    if (!await confirmDialog(t('trash.confirmEmpty'), t('trash.empty'))) return;
+    const res = await post({ action: 'empty_trash' });
+    showToast(res.ok ? t('trash.emptied', { count: await res.text() }) : t('trash.emptyFailed', { error: await res.text() }));
+    loadTrash();
+  }
+
+  /**
+   * 获取 HOTP 密钥的下一个验证码。
+   * 服务器会原子地递增数据库中的计数器，因此每次点击都会消耗一个计数器值。
+   */
+  async function nextCode(card, button) {
+    button.disabled = true;
+    const res = await post({ action: 'next', id: card.id });
+    button.disabled = false;
+
+    if (!res.ok) { showToast(t('card.nextFailed')); return; }
+    card.token = await res.text();
+    card.counter++; // 服务器已把计数器加一，二维码中应为下一个未使用的计数器
+    card.element.querySelector('.token').textContent = formatToken(card.token);
+    announceCode(card);
+    card.element.querySelector('.copy-btn').disabled = false;
+    if (!card.element.querySelector('.card-qr').hidden) renderCardQr(card);
+  }
+
+  // 加密明文密钥 / 轮换到当前主密钥
+  async function migrateSecrets() {
+    const res = await post({ action: 'migrate_secrets' });
+    showToast(res.ok ? t('migration.done', { count: await res.text() }) : t('migration.failed', { error: await res.text() }));
+    if (res.ok) location.reload();
+  }
+
+  // 退出登录：清除会话 Cookie 与本机的离线缓存后回到登录页
+  async function logout() {
+    await post({ action: 'logout' });
+    await clearOfflineData();
+    location.href = '/';
+  }
+
+  /* --- 账户与共享 --- */
+
+  /** 当前用户与其文件夹，由服务器渲染页面时写入。 */
+  const CURRENT_USER = ${scriptJson({ id: user.id, username: user.username, is_admin: !!user.is_admin })};
+  const FOLDERS = ${scriptJson(folders)};
+  const USERS = ${scriptJson(users)};
+  /** 当前用户的两步验证状态 (getMfaStatus 的返回值)。 */
+  const MFA = ${scriptJson(mfa)};
+
+  // 填充文件夹选择框：第一项表示不放入任何文件夹
+  function fillFolderOptions(select, selectedId) {
+    select.replaceChildren(new Option(t('folders.none'), ''));
+    for (const folder of FOLDERS) select.add(new Option(folder.name, folder.id, false, folder.id === selectedId));
+  }
+
+  // 发送一个账户或共享相关的操作，成功后刷新页面以显示最新数据
+  async function postAndReload(params, success) {
+    const res = await post(params);
+    if (!res.ok) { showToast(await res.text()); return; }
+    showToast(success);
+    setTimeout(() => location.reload(), 500);
+  }
+
+  function createFolder() {
+    const name = document.getElementById('folder-name').value.trim();
+    if (!name) { showToast(t('folders.missingName')); return; }
+    postAndReload({ action: 'folder_create', name }, t('folders.created'));
+  }
+
+  // 构建一个带有操作按钮的列表行
+  function itemRow(text, buttons) {
+    const row = document.createElement('div');
+    row.className = 'item-row';
+    const label = document.createElement('span');
+    label.textContent = text;
+    row.appendChild(label);
+    for (const [title, onClick, danger] of buttons) {
+      const button = document.createElement('button');
+      button.textContent = title;
+      if (danger) button.style.backgroundColor = 'var(--danger-color)';
+      button.addEventListener('click', onClick);
+      row.appendChild(button);
+    }
+    return row;
+  }
+
+  // 列出自己的文件夹、成员及共享表单
+  function renderFolders() {
+    const list = document.getElementById('folder-list');
+    list.replaceChildren();
+    for (const folder of FOLDERS) {
+      const li = document.createElement('li');
+      li.appendChild(itemRow(\`📁 \${folder.name}\`, [[t('card.delete'), async () => {
+        if (await confirmDialog(t('folders.confirmDelete', { name: folder.name }), t('card.delete'))) {
+          postAndReload({ action: 'folder_delete', folder: folder.id }, t('folders.deleted'));
+        }
+      }, true]]));
+      for (const member of folder.members) {
+        li.appendChild(itemRow(t('folders.member', { username: member.username, permission: t(member.permission === 'write' ? 'permission.write' : 'permission.read') }), [
+          [t('folders.unshare'), () => postAndReload({ action: 'folder_unshare', folder: folder.id, user: member.id }, t('folders.unshared'))],
+        ]));
+      }
+      const form = document.createElement('div');
+      form.className = 'item-row';
+      const username = document.createElement('input');
+      username.placeholder = t('folders.shareWith');
+      username.setAttribute('aria-label', t('folders.shareWith'));
+      const permission = document.createElement('select');
+      permission.setAttribute('aria-label', t('folders.permission'));
+      permission.add(new Option(t('permission.read'), 'read'));
+      permission.add(new Option(t('permission.write'), 'write'));
+      const share = document.createElement('button');
+      share.textContent = t('folders.share');
+      share.addEventListener('click', () => {
+        if (!username.value.trim()) { showToast(t('folders.missingUsername')); return; }
+        postAndReload({ action: 'folder_share', folder: folder.id, username: username.value.trim(), permission: permission.value }, t('folders.shared'));
+      });
+      form.append(username, permission, share);
+      li.appendChild(form);
+      list.appendChild(li);
+    }
+  }
+
+  async function changePassword() {
+    const current = document.getElementById('current-password');
+    const password = document.getElementById('new-password');
+    const res = await post({ action: 'change_password', current: current.value, password: password.value });
+    showToast(res.ok ? t('password.changed') : await res.text());
+    if (res.ok) { current.value = ''; password.value = ''; }
+  }
+
+  // 两步验证：验证器、通行密钥与恢复码
+  function renderMfa() {
+    const enabled = MFA.totp || MFA.passkeys.length > 0;
+    document.getElementById('mfa-status').textContent = enabled
+      ? t('mfa.enabled', { totp: t(MFA.totp ? 'mfa.totpSet' : 'mfa.totpNotSet'), passkeys: MFA.passkeys.length, recovery: MFA.recoveryRemaining })
+      : t('mfa.disabled');
+    document.getElementById('totp-setup-btn').hidden = MFA.totp;
+    document.getElementById('totp-disable-btn').hidden = !MFA.totp;
+    document.getElementById('passkey-add-btn').hidden = !window.PublicKeyCredential;
+    document.getElementById('mfa-manage').hidden = !enabled;
+    const list = document.getElementById('passkey-list');
+    list.replaceChildren();
+    for (const passkey of MFA.passkeys) {
+      const li = document.createElement('li');
+      li.appendChild(itemRow(\`🔑 \${t('mfa.passkeyItem', { name: passkey.name, time: passkey.created_at })}\`, [[t('card.delete'), async () => {
+        if (await confirmDialog(t('mfa.confirmDeletePasskey', { name: passkey.name }), t('card.delete'))) {
+          postAndReload({ action: 'webauthn_delete', id: passkey.id, current: document.getElementById('mfa-password').value }, t('mfa.passkeyDeleted'));
+        }
+      }, true]]));
+      list.appendChild(li);
+    }
+  }
+
+  // 新生成的恢复码只显示这一次
+  function showRecoveryCodes(codes) {
+    if (!codes.length) return;
+    MFA.recoveryRemaining = codes.length;
+    const box = document.getElementById('recovery-codes');
+    box.textContent = t('mfa.recoveryCodes') + '\\n\\n' + codes.join('\\n');
+    box.hidden = false;
+  }
+
+  async function setupTotp() {
+    const res = await post({ action: 'mfa_totp_setup' });
+    if (!res.ok) { showToast(await res.text()); return; }
+    const { secret, uri } = await res.json();
+    document.getElementById('totp-secret').textContent = secret;
+    document.getElementById('totp-uri').href = uri;
+    document.getElementById('totp-qr').innerHTML = QRCode.toSvg(QRCode.encode(uri));
+    document.getElementById('totp-setup').hidden = false;
+    document.getElementById('totp-confirm-code').focus();
+  }
+
+  async function confirmTotp() {
+    const code = document.getElementById('totp-confirm-code');
+    const res = await post({ action: 'mfa_totp_confirm', code: code.value.trim() });
+    if (!res.ok) { showToast(await res.text()); return; }
+    code.value = '';
+    document.getElementById('totp-setup').hidden = true;
+    MFA.totp = true;
+    showRecoveryCodes((await res.json()).recoveryCodes);
+    renderMfa();
+    showToast(t('mfa.totpEnabled'));
+  }
+
+  async function disableTotp() {
+    if (!await confirmDialog(t('mfa.confirmDisable'), t('mfa.disableTotp'))) return;
+    postAndReload({ action: 'mfa_totp_disable', current: document.getElementById('mfa-password').value }, t('mfa.totpDisabled'));
+  }
+
+  async function registerPasskey() {
+    const name = prompt(t('mfa.passkeyName'), t('mfa.passkey'));
+    if (name === null) return;
+    let credential;
+    try {
+      const res = await post({ action: 'webauthn_register_options' });
+      if (!res.ok) { showToast(await res.text()); return; }
+      const options = await res.json();
+      options.challenge = base64UrlToBytes(options.challenge);
+      options.user.id = base64UrlToBytes(options.user.id);
+      options.excludeCredentials = options.excludeCredentials.map(c => ({ ...c, id: base64UrlToBytes(c.id) }));
+      credential = await navigator.credentials.create({ publicKey: options });
+    } catch (e) {
+      showToast(t('mfa.passkeyFailed'));
+      return;
+    }
+    const res = await post({
+      action: 'webauthn_register',
+      name: name.trim(),
+      credential: JSON.stringify({
+        id: credential.id,
+        response: {
+          clientDataJSON: bytesToBase64Url(new Uint8Array(credential.response.clientDataJSON)),
+          attestationObject: bytesToBase64Url(new Uint8Array(credential.response.attestationObject)),
+        },
+      }),
+    });
+    if (!res.ok) { showToast(await res.text()); return; }
+    MFA.passkeys.push({ id: credential.id, name: name.trim() || t('mfa.passkey'), created_at: new Date().toISOString().slice(0, 19).replace('T', ' ') });
+    showRecoveryCodes((await res.json()).recoveryCodes);
+    renderMfa();
+    showToast(t('mfa.passkeyAdded'));
+  }
+
+  async function regenerateRecoveryCodes() {
+    if (!await confirmDialog(t('mfa.confirmRegenerate'), t('mfa.regenerate'))) return;
+    const res = await post({ action: 'recovery_regenerate', current: document.getElementById('mfa-password').value });
+    if (!res.ok) { showToast(await res.text()); return; }
+    showRecoveryCodes((await res.json()).recoveryCodes);
+    renderMfa();
+  }
+
+  // 管理员：创建、重置密码和删除用户
+  function createUser() {
+    postAndReload({
+      action: 'user_create',
+      username: document.getElementById('new-username').value.trim(),
+      password: document.getElementById('new-user-password').value,
+      is_admin: document.getElementById('new-user-admin').checked ? '1' : '',
+    }, t('users.created'));
+  }
+
+  function renderUsers() {
+    const list = document.getElementById('user-list');
+    if (!list) return;
+    list.replaceChildren();
+    for (const account of USERS) {
+      const buttons = [[t('users.resetPassword'), async () => {
+        const password = prompt(t('users.newPassword', { username: account.username }));
+        if (!password) return;
+        const res = await post({ action: 'user_reset_password', user: account.id, password });
+        showToast(res.ok ? t('users.passwordReset') : await res.text());
+      }], [t('users.resetMfa'), async () => {
+        if (!await confirmDialog(t('users.confirmResetMfa', { username: account.username }), t('users.resetMfa'))) return;
+        const res = await post({ action: 'user_reset_mfa', user: account.id });
+        showToast(res.ok ? t('users.mfaReset') : await res.text());
+      }]];
+      if (account.id !== CURRENT_USER.id) {
+        buttons.push([t('card.delete'), async () => {
+          if (await confirmDialog(t('users.confirmDelete', { username: account.username }), t('card.delete'))) {
+            postAndReload({ action: 'user_delete', user: account.id }, t('users.deleted'));
+          }
+        }, true]);
+      }
+      const li = document.createElement('li');
+      li.appendChild(itemRow(account.is_admin ? t('users.adminItem', { username: account.username }) : account.username, buttons));
+      list.appendChild(li);
+    }
+  }
+
+  fillFolderOptions(document.getElementById('folder-input'));
+  renderFolders();
+  renderMfa();
+  renderUsers();
+
+  /* --- 备份与恢复 --- */
+
+  function openSection(id) {
+    const section = document.getElementById(id);
+    section.open = true;
+    section.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  /**
+   * 下载备份文件。加密备份由服务器使用备份密码 (PBKDF2 + AES-GCM) 加密；
+   * 明文列表包含所有 secret，只应在可信设备上使用。
+   */
+  async function exportKeys() {
+    const format = document.getElementById('export-format').value;
+    if (format === 'uris' && !await confirmDialog(t('backup.confirmPlaintext'), t('backup.download'))) return;
+    const res = await post({ action: 'export', format, passphrase: document.getElementById('export-passphrase').value });
+    if (!res.ok) { showToast(await res.text()); return; }
+    await saveDownload(res);
+    showToast(t('backup.downloaded'));
+  }
+
+  // 把响应保存为文件，文件名取自 Content-Disposition 头
+  async function saveDownload(res) {
+    const filename = (res.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || 'totp-backup';
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // 自动快照（仅管理员）：列出、对比、恢复与下载
+  async function loadSnapshots() {
+    const hint = document.getElementById('snapshot-hint');
+    const list = document.getElementById('snapshot-list');
+    list.replaceChildren();
+    const res = await post({ action: 'snapshot_list' });
+    if (!res.ok) { hint.textContent = await res.text(); return; }
+    const { snapshots, versions } = await res.json();
+    hint.textContent = snapshots.length
+      ? t('snapshot.hint', { versions })
+      : t('snapshot.none');
+    for (const snapshot of snapshots) {
+      const li = document.createElement('li');
+      li.appendChild(itemRow(t('snapshot.item', { time: new Date(snapshot.created_at).toLocaleString(), keys: snapshot.keys }), [
+        [t('snapshot.compare'), () => showSnapshotDiff(snapshot)],
+        [t('snapshot.download'), () => downloadSnapshot(snapshot)],
+        [t('common.restore'), () => restoreFromSnapshot(snapshot), true],
+      ]));
+      list.appendChild(li);
+    }
+  }
+
+  async function takeSnapshot() {
+    const res = await post({ action: 'snapshot_create' });
+    if (!res.ok) { showToast(await res.text()); return; }
+    const snapshot = await res.json();
+    showToast(t('snapshot.created', { keys: snapshot.keys }));
+    loadSnapshots();
+  }
+
+  async function showSnapshotDiff(snapshot) {
+    const res = await post({ action: 'snapshot_diff', id: snapshot.id });
+    if (!res.ok) { showToast(await res.text()); return; }
+    const diff = await res.json();
+    const fieldLabel = field => MESSAGES['snapshot.field.' + field] || field;
+    const list = document.getElementById('snapshot-diff');
+    list.replaceChildren();
+    const addItem = (text, conflict) => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      if (conflict) li.className = 'conflict';
+      list.appendChild(li);
+    };
+    addItem(t('snapshot.diffHeading', { time: new Date(snapshot.created_at).toLocaleString() }));
+    for (const item of diff.removed) addItem(t('snapshot.diffRemoved', item), true);
+    for (const item of diff.changed) {
+      addItem(t('snapshot.diffChanged', { ...item, fields: item.fields.map(fieldLabel).join(t('list.separator')) }), true);
+    }
+    for (const item of diff.added) addItem(t('snapshot.diffAdded', item));
+    addItem(t('snapshot.diffUnchanged', { count: diff.unchanged }));
+  }
+
+  async function restoreFromSnapshot(snapshot) {
+    if (!await confirmDialog(t('snapshot.confirmRestore', { time: new Date(snapshot.created_at).toLocaleString() }), t('common.restore'))) return;
+    const res = await post({ action: 'snapshot_restore', id: snapshot.id });
+    if (!res.ok) { showToast(await res.text()); return; }
+    const result = await res.json();
+    showToast(t('snapshot.restored', result) + (result.skipped.length ? t('snapshot.restoredSkipped', { skipped: result.skipped.length }) : ''));
+    document.getElementById('snapshot-diff').replaceChildren();
+    await loadKeys();
+  }
+
+  async function downloadSnapshot(snapshot) {
+    const res = await post({ action: 'snapshot_download', id: snapshot.id });
+    if (!res.ok) { showToast(await res.text()); return; }
+    await saveDownload(res);
+    showToast(t('snapshot.downloaded'));
+  }
+
+  // 将导入表单的内容作为 multipart 请求发送（文件无法使用 URL 编码）
+  async function postImport(action) {
+    const file = document.getElementById('import-file').files[0];
+    if (!file) { showToast(t('backup.missingFile')); return null; }
+    const body = new FormData();
+    body.set('action', action);
+    body.set('file', file);
+    body.set('passphrase', document.getElementById('import-passphrase').value);
+    body.set('mode', document.getElementById('import-mode').value);
+    const res = await fetch('/', { method: 'POST', body });
+    if (res.status === 401) { location.reload(); return null; }
+    if (!res.ok) { showToast(t('import.failed', { error: await res.text() })); return null; }
+    return res.json();
+  }
+
+  // 预览导入结果：列出每个密钥将被如何处理，冲突项高亮显示
+  async function previewImport() {
+    const result = await postImport('import_preview');
+    if (!result) return;
+    const list = document.getElementById('import-preview');
+    list.replaceChildren();
+    for (const item of result.entries) {
+      const li = document.createElement('li');
+      li.textContent = t('import.' + item.action, { name: item.name, target: item.target });
+      if (item.conflict) li.className = 'conflict';
+      list.appendChild(li);
+    }
+    for (const error of result.errors) {
+      const li = document.createElement('li');
+      li.className = 'conflict';
+      li.textContent = t('import.error', { index: error.index + 1, error: error.message });
+      list.appendChild(li);
+    }
+    document.getElementById('import-btn').hidden = result.entries.length === 0;
+  }
+
+  /**
+   * 从其他验证器应用导入。每个条目单独写入，成功与失败的条目分别列出。
+   */
+  async function importExternal() {
+    const file = document.getElementById('external-file').files[0];
+    const data = document.getElementById('external-data').value.trim();
+    if (!file && !data) { showToast(t('external.missing')); return; }
+    const body = new FormData();
+    body.set('action', 'import_external');
+    body.set('format', document.getElementById('external-format').value);
+    if (file) body.set('file', file); else body.set('data', data);
+    const res = await fetch('/', { method: 'POST', body });
+    if (res.status === 401) { location.reload(); return; }
+    if (!res.ok) { showToast(t('import.failed', { error: await res.text() })); return; }
+
+    const { results } = await res.json();
+    const list = document.getElementById('external-results');
+    list.replaceChildren();
+    for (const item of results) {
+      const li = document.createElement('li');
+      li.textContent = item.ok ? \`✓ \${item.name}\` : \`✗ \${t('external.failedItem', { name: item.name || t('external.unnamed'), error: item.error })}\`;
+      if (!item.ok) li.className = 'conflict';
+      list.appendChild(li);
+    }
+    const added = results.filter(item => item.ok).length;
+    showToast(t('external.result', { added, failed: results.length - added }));
+    if (added) await loadKeys();
+  }
+
+  async function importKeys() {
+    const result = await postImport('import');
+    if (!result) return;
+    showToast(t('import.result', result));
+    await loadKeys();
+  }
+
+  /* --- 二维码 --- */
+
+  /** 纯 JavaScript 识别前把图片缩小到的最大边长 (像素)，避免大照片阻塞页面。 */
+  const QR_SCAN_SIZE = 1024;
+  /** 摄像头扫描时两次识别之间的间隔 (毫秒)。 */
+  const CAMERA_SCAN_INTERVAL = 300;
+  let barcodeDetector;
+  let cameraStream = null;
+
+  /**
+   * 识别图片或视频帧中的二维码。优先使用浏览器自带的 BarcodeDetector，
+   * 不支持时 (例如桌面版 Firefox 和 Safari) 改用与服务器同一份的 QRCode 实现。
+   * @returns {Promise<string|null>}
+   */
+  async function detectQr(source, width, height) {
+    if (barcodeDetector === undefined) {
+      barcodeDetector = null;
+      try {
+        if ('BarcodeDetector' in window && (await BarcodeDetector.getSupportedFormats()).includes('qr_code')) {
+          barcodeDetector = new BarcodeDetector({ formats: ['qr_code'] });
+        }
+      } catch (e) {
+        // 接口存在但不可用，使用下面的实现
+      }
+    }
+    if (barcodeDetector) {
+      const codes = await barcodeDetector.detect(source);
+      return codes.length ? codes[0].rawValue : null;
+    }
+    const scale = Math.min(1, QR_SCAN_SIZE / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return QRCode.decode(ctx.getImageData(0, 0, canvas.width, canvas.height));
+  }
+
+  /**
+   * 使用识别出的二维码内容：otpauth:// 链接填入密钥输入框，
+   * Google Authenticator 的导出二维码填入“从其他验证器应用导入”。
+   * @returns {boolean} 内容是否可用。
+   */
+  function useScannedQr(text) {
+    if (text.startsWith('otpauth-migration://')) {
+      document.getElementById('external-format').value = 'google';
+      document.getElementById('external-data').value = text;
+      openSection('backup-section');
+      showToast(t('scan.migration'));
+      return true;
+    }
+    if (!text.startsWith('otpauth://')) {
+      showToast(t('scan.notOtpauth'));
+      return false;
+    }
+    document.getElementById('secret-input').value = text;
+    document.getElementById('name-input').focus();
+    showToast(t('scan.found'));
+    return true;
+  }
+
+  // 识别用户选择、拍摄或粘贴的图片
+  async function scanImage(blob) {
+    let text = null;
+    try {
+      const image = await createImageBitmap(blob);
+      text = await detectQr(image, image.width, image.height);
+      image.close();
+    } catch (e) {
+      showToast(t('scan.imageError', { error: e.message }));
+      return;
+    }
+    if (text) useScannedQr(text);
+    else showToast(t('scan.notFound'));
+  }
+
+  function scanFile(input) {
+    if (input.files[0]) scanImage(input.files[0]);
+    input.value = '';
+  }
+
+  // 粘贴的内容中包含图片时识别其中的二维码，否则按普通文本粘贴
+  document.addEventListener('paste', (e) => {
+    const file = [...(e.clipboardData?.files || [])].find(f => f.type.startsWith('image/'));
+    if (!file) return;
+    e.preventDefault();
+    scanImage(file);
+  });
+
+  /**
+   * 打开后置摄像头并持续识别，直到识别出可用的二维码或用户停止。
+   * 不支持 getUserMedia 的环境 (例如非 HTTPS 页面) 改用系统相机拍照。
+   */
+  async function startCamera() {
+    if (cameraStream) return;
+    if (!navigator.mediaDevices?.getUserMedia) {
+      document.getElementById('qr-capture').click();
+      return;
+    }
+    try {
+      cameraStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    } catch (e) {
+      showToast(t('scan.cameraError', { error: e.message }));
+      return;
+    }
+    const video = document.getElementById('camera-video');
+    video.srcObject = cameraStream;
+    document.getElementById('camera-panel').hidden = false;
+    await video.play();
+    let lastText = null;
+    const scan = async () => {
+      if (!cameraStream) return;
+      if (video.readyState >= video.HAVE_CURRENT_DATA) {
+        const text = await detectQr(video, video.videoWidth, video.videoHeight).catch(() => null);
+        // 同一个不可用的二维码只提示一次
+        if (text && text !== lastText) {
+          lastText = text;
+          if (useScannedQr(text)) { stopCamera(); return; }
+        }
+      }
+      setTimeout(scan, CAMERA_SCAN_INTERVAL);
+    };
+    scan();
+  }
+
+  function stopCamera() {
+    if (!cameraStream) return;
+    cameraStream.getTracks().forEach(track => track.stop());
+    cameraStream = null;
+    document.getElementById('camera-video').srcObject = null;
+    document.getElementById('camera-panel').hidden = true;
+  }
+
+  // 显示或隐藏卡片上的二维码，用于把密钥迁移到手机上的验证器应用
+  function toggleCardQr(card) {
+    const box = card.element.querySelector('.card-qr');
+    const button = card.element.querySelector('.qr-btn');
+    if (!box.hidden) {
+      box.hidden = true;
+      box.replaceChildren();
+      button.setAttribute('aria-expanded', 'false');
+      return;
+    }
+    renderCardQr(card);
+    box.hidden = false;
+    button.setAttribute('aria-expanded', 'true');
+  }
+
+  function renderCardQr(card) {
+    const box = card.element.querySelector('.card-qr');
+    box.innerHTML = QRCode.toSvg(QRCode.encode(buildOtpauthUri(card)));
+    const note = document.createElement('div');
+    note.textContent = t('card.qrNote');
+    box.appendChild(note);
+  }
+
+  /* --- 浏览器端验证码生成 --- */
+
+  // 以下代码与服务器端使用的是同一份实现
+  const STEAM_ALPHABET = '${STEAM_ALPHABET}';
+  ${TOTP.toString()}
+  ${base32ToBytes.toString()}
+  ${bytesToBase64Url.toString()}
+  ${base64UrlToBytes.toString()}
+  ${deriveBackupKey.toString()}
+  ${keyOptions.toString()}
+  ${formatToken.toString()}
+  ${buildOtpauthUri.toString()}
+  ${QRCode.toString()}
+
+  /** 剩余时间少于该秒数时，在验证码下方预告下一个验证码。 */
+  const NEXT_CODE_THRESHOLD = 5;
+  /** 本机时钟与服务器时钟的偏差 (毫秒)，服务器时间 = Date.now() + clockOffset。 */
+  let clockOffset = 0;
+  /** 当前显示的密钥卡片：{ name, issuer, type, period, totp, step, token, element } */
+  let cards = [];
+
+  /**
+   * 从服务器获取一次密钥列表，并用响应的 Date 头估算本机时钟偏差。
+   * Date 头只精确到秒，因此取请求往返的中点并补偿半秒。
+   */
+  async function loadKeys() {
+    const sentAt = Date.now();
+    let res = null;
+    try {
+      res = await fetch('/api/v1/vault', { headers: { 'Accept': 'application/json' } });
+    } catch (e) {
+      // 网络不可用，下面按离线处理
+    }
+    const receivedAt = Date.now();
+    // 网络错误或 Worker / 数据库不可用 (5xx) 时改用本机的离线缓存
+    if (!res || res.status >= 500) { await enterOfflineMode(); return; }
+    if (res.status === 401) { location.reload(); return; }
+    if (!res.ok) { showToast(t('keys.loadFailed')); return; }
+
+    // 先把离线期间的操作同步到服务器，再重新获取，使 HOTP 计数器与服务器一致
+    const synced = await flushOutbox();
+    if (synced) {
+      showToast(t('offline.synced', { count: synced }));
+      return loadKeys();
+    }
+
+    const serverDate = Date.parse(res.headers.get('Date'));
+    if (!Number.isNaN(serverDate)) {
+      clockOffset = serverDate + 500 - (sentAt + receivedAt) / 2;
+      if (Math.abs(clockOffset) >= 2000) showToast(t('keys.clockSkew', { seconds: Math.round(clockOffset / 1000) }));
+    }
+
+    const { keys } = await res.json();
+    leaveOfflineMode();
+    setCards(keys);
+    saveOfflineVault(keys).catch(() => {});
+  }
+
+  // 用密钥列表重建 cards 并重新渲染
+  function setCards(keys) {
+    cards = keys.map(key => {
+      const card = { ...key, totp: null, step: null, token: '', element: null };
+      try {
+        card.totp = new TOTP(key.secret, keyOptions(key));
+      } catch (e) {
+        card.error = e.message;
+      }
+      return card;
+    });
+    renderCards();
+  }
+
+  /* --- 离线缓存与同步 --- */
+
+  /**
+   * 离线缓存保存在 IndexedDB 中：vaults 按用户 ID 保存加密的密钥列表，outbox 保存离线期间待同步的操作。
+   * 密钥列表用登录密码经 PBKDF2 派生的 AES-GCM 密钥加密，派生出的密钥只保存在本标签页的 sessionStorage 中。
+   */
+  const OFFLINE_DB = 'totp-offline';
+  /** 离线时可以执行的操作：复制（只用于审计日志）与 HOTP 下一个验证码，其余操作需要连接服务器。 */
+  const OFFLINE_ACTIONS = new Set(['copy', 'next']);
+  /** 重新尝试连接服务器的间隔 (毫秒)。 */
+  const RECONNECT_INTERVAL = 30000;
+  /** 是否处于离线模式：无法连接服务器，卡片来自离线缓存。 */
+  let offline = false;
+  let reconnectTimer = null;
+
+  function vaultId() { return String(CURRENT_USER.id); }
+
+  function openOfflineDb() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(OFFLINE_DB, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('vaults');
+        request.result.createObjectStore('outbox', { autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 在一个 IndexedDB 事务中执行操作，事务完成后返回 operation 所返回请求的结果。
+   * @param {string} storeName
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => (IDBRequest|void)} operation
+   */
+  async function offlineStore(storeName, mode, operation) {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => { db.close(); resolve(request ? request.result : undefined); };
+      tx.onerror = tx.onabort = () => { db.close(); reject(tx.error); };
+    });
+  }
+
+  // 按加入顺序列出当前用户待同步的离线操作：{ id, user, params, queuedAt }
+  async function listOutbox() {
+    const items = [];
+    await offlineStore('outbox', 'readonly', store => {
+      store.openCursor().onsuccess = e => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        if (cursor.value.user === vaultId()) items.push({ id: cursor.key, ...cursor.value });
+        cursor.continue();
+      };
+    });
+    return items;
+  }
+
+  // 本标签页登录时派生的离线缓存密钥：{ salt, iterations, key }
+  function sessionOfflineKey() {
+    try {
+      return JSON.parse(sessionStorage.getItem('offlineKey'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function importOfflineKey(raw) {
+    return crypto.subtle.importKey('raw', base64UrlToBytes(raw), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  /**
+   * 加密保存最新的密钥列表与时钟偏差。本标签页没有离线缓存密钥（例如沿用已有会话打开的页面）时
+   * 保留原来的缓存不变。
+   */
+  async function saveOfflineVault(keys) {
+    const stored = sessionOfflineKey();
+    if (!stored || !window.indexedDB) return;
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify({ keys, clockOffset }));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await importOfflineKey(stored.key), plaintext);
+    const record = { salt: stored.salt, iterations: stored.iterations, iv: bytesToBase64Url(iv), data: bytesToBase64Url(new Uint8Array(data)), savedAt: Date.now() };
+    await offlineStore('vaults', 'readwrite', store => store.put(record, vaultId()));
+  }
+
+  async function decryptOfflineVault(record, key) {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64UrlToBytes(record.iv) }, key, base64UrlToBytes(record.data));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  function showOfflineNotice(status, locked) {
+    document.getElementById('offline-status').textContent = status;
+    document.getElementById('offline-unlock').hidden = !locked;
+    document.getElementById('offline-notice').hidden = false;
+  }
+
+  /**
+   * 无法连接服务器时进入离线模式：本标签页已有离线缓存密钥时直接解锁缓存，否则请用户输入登录密码。
+   * 之后每隔 RECONNECT_INTERVAL 重新尝试连接。
+   */
+  async function enterOfflineMode() {
+    scheduleReconnect();
+    if (offline) return;
+    offline = true;
+    const record = window.indexedDB ? await offlineStore('vaults', 'readonly', store => store.get(vaultId())).catch(() => null) : null;
+    if (!record) {
+      showOfflineNotice(t('offline.noCache'), false);
+      return;
+    }
+    const stored = sessionOfflineKey();
+    if (stored && stored.salt === record.salt) {
+      try {
+        return await openOfflineVault(await decryptOfflineVault(record, await importOfflineKey(stored.key)), record);
+      } catch (e) {
+        // 密钥不匹配时改为询问密码
+      }
+    }
+    showOfflineNotice(t('offline.locked'), true);
+    document.getElementById('offline-password').focus();
+  }
+
+  // 用登录密码解锁离线缓存，并把派生出的密钥保存到本标签页，之后再次离线时无需重新输入
+  async function unlockOffline() {
+    const input = document.getElementById('offline-password');
+    const record = await offlineStore('vaults', 'readonly', store => store.get(vaultId())).catch(() => null);
+    if (!record) return;
+    let vault;
+    try {
+      const key = await deriveBackupKey(input.value, base64UrlToBytes(record.salt), record.iterations, true);
+      vault = await decryptOfflineVault(record, key);
+      const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+      sessionStorage.setItem('offlineKey', JSON.stringify({ salt: record.salt, iterations: record.iterations, key: bytesToBase64Url(raw) }));
+    } catch (e) {
+      showToast(t('offline.wrongPassword'));
+      return;
+    }
+    input.value = '';
+    await openOfflineVault(vault, record);
+  }
+
+  /**
+   * 显示离线缓存中的密钥。缓存保存的是服务器上的 HOTP 计数器，
+   * 需要加上离线期间已经使用、尚未同步的次数。
+   */
+  async function openOfflineVault(vault, record) {
+    const pending = await listOutbox();
+    const keys = vault.keys.map(key => ({
+      ...key,
+      counter: key.counter + pending.filter(item => item.params.action === 'next' && String(item.params.id) === String(key.id)).length
+    }));
+    clockOffset = vault.clockOffset || 0;
+    showOfflineNotice(t('offline.active', { time: new Date(record.savedAt).toLocaleString() }), false);
+    setCards(keys);
+  }
+
+  /**
+   * 离线时把操作写入待同步队列，并在本机完成操作：HOTP 在浏览器中用当前计数器生成验证码，
+   * 由调用方把计数器加一，与服务器返回后的处理一致。
+   */
+  async function queueOffline(params) {
+    if (!OFFLINE_ACTIONS.has(params.action)) return new Response(t('offline.unavailable'), { status: 503 });
+    const card = cards.find(c => String(c.id) === String(params.id));
+    if (!card) return new Response('Key not found', { status: 404 });
+    const body = params.action === 'next' ? await card.totp.generateOTP(card.counter) : 'OK';
+    await offlineStore('outbox', 'readwrite', store => store.add({ user: vaultId(), params, queuedAt: Date.now() }));
+    return new Response(body, { status: 200 });
+  }
+
+  /**
+   * 按顺序把离线期间的操作提交到服务器。网络错误、会话过期或服务器错误时停止，保留剩余操作下次再试；
+   * 服务器已处理（包括拒绝，例如密钥已被删除）的操作从队列中移除。
+   * @returns {Promise<number>} 已同步的操作数。
+   */
+  async function flushOutbox() {
+    if (!window.indexedDB) return 0;
+    let synced = 0;
+    for (const item of await listOutbox().catch(() => [])) {
+      let res;
+      try {
+        res = await sendAction(item.params);
+      } catch (e) {
+        break;
+      }
+      if (res.status === 401 || res.status >= 500) break;
+      await offlineStore('outbox', 'readwrite', store => store.delete(item.id));
+      synced++;
+    }
+    return synced;
+  }
+
+  function scheduleReconnect() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(loadKeys, RECONNECT_INTERVAL);
+  }
+
+  function leaveOfflineMode() {
+    clearTimeout(reconnectTimer);
+    if (!offline) return;
+    offline = false;
+    document.getElementById('offline-notice').hidden = true;
+    showToast(t('offline.reconnected'));
+  }
+
+  // 退出登录时删除本机保存的离线数据：当前用户的加密缓存、待同步操作与缓存的页面
+  async function clearOfflineData() {
+    sessionStorage.removeItem('offlineKey');
+    try {
+      if (window.caches) await caches.delete(${JSON.stringify(PWA_CACHE)});
+      if (!window.indexedDB) return;
+      const ids = (await listOutbox()).map(item => item.id);
+      await offlineStore('outbox', 'readwrite', store => ids.forEach(id => store.delete(id)));
+      await offlineStore('vaults', 'readwrite', store => store.delete(vaultId()));
+    } catch (e) {
+      // 清理失败不影响退出登录
+    }
+  }
+
+  window.addEventListener('online', () => { if (offline) loadKeys(); });
+
+  /** 置顶分组与未分组卡片使用的分组 ID。标签分组直接使用标签名，Symbol 不会与任何标签相同。 */
+  const PINNED_GROUP = Symbol('pinned');
+  const UNGROUPED = Symbol('none');
+  /** 在本机记住被折叠的分组，键由 groupStorageKey 生成。 */
+  const collapsedGroups = new Set(JSON.parse(localStorage.getItem('collapsedGroups') || '[]'));
+
+  // 分组在 localStorage 中的键：标签分组加上 "tag:" 前缀，与置顶、未分组区分开
+  function groupStorageKey(id) {
+    return typeof id === 'symbol' ? id.description : 'tag:' + id;
+  }
+
+  /**
+   * 把卡片分组：置顶的卡片在最前，其余按第一个标签分组，没有标签的卡片排在最后。
+   * 每个分组内保持 cards 的顺序（即服务器返回的手动排序）。
+   */
+  function groupCards() {
+    const groups = new Map();
+    for (const card of cards) {
+      const id = card.pinned ? PINNED_GROUP : (card.tags[0] || UNGROUPED);
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(card);
+    }
+    const rank = id => id === PINNED_GROUP ? 0 : id === UNGROUPED ? 2 : 1;
+    return [...groups.keys()]
+      .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+      .map(id => ({ id, label: id === PINNED_GROUP ? '★ ' + t('group.pinned') : id === UNGROUPED ? t('group.ungrouped') : id, cards: groups.get(id) }));
+  }
+
+  // 根据 cards 重新构建卡片列表；验证码本身由 tick() 填充。只有一个“未分组”时不显示分组标题
+  function renderCards() {
+    const grid = document.getElementById('cards-grid');
+    grid.replaceChildren();
+    if (!cards.length) {
+      const empty = document.createElement('p');
+      empty.className = 'empty';
+      empty.textContent = t('keys.none');
+      grid.appendChild(empty);
+    }
+    const groups = groupCards();
+    const flat = groups.length === 1 && groups[0].id === UNGROUPED;
+    for (const group of groups) {
+      let container = grid;
+      if (!flat) {
+        const section = document.createElement('details');
+        section.className = 'card-group';
+        const key = groupStorageKey(group.id);
+        section.open = !collapsedGroups.has(key);
+        section.addEventListener('toggle', () => {
+          if (section.open) collapsedGroups.delete(key); else collapsedGroups.add(key);
+          localStorage.setItem('collapsedGroups', JSON.stringify([...collapsedGroups]));
+        });
+        const summary = document.createElement('summary');
+        summary.textContent = \`\${group.label} (\${group.cards.length})\`;
+        container = document.createElement('div');
+        container.className = 'cards-grid';
+        section.append(summary, container);
+        grid.appendChild(section);
+      }
+      for (const card of group.cards) container.appendChild(buildCard(card));
+    }
+    filterCards();
+    tick();
+  }
+
+  // 构建一张卡片
+  function buildCard(card) {
+    const template = document.getElementById('card-template');
+    const el = template.content.firstElementChild.cloneNode(true);
+    card.element = el;
+    card.step = null;
+    el.dataset.id = card.id;
+    el.dataset.name = card.name;
+    el.setAttribute('aria-label', card.issuer ? t('card.label', { name: card.name, issuer: card.issuer }) : card.name);
+    el.querySelector('.label').textContent = card.name;
+    el.querySelector('.issuer').textContent = card.issuer || '';
+    el.querySelector('.delete-btn').addEventListener('click', () => remove(card));
+    el.querySelector('.copy-btn').addEventListener('click', () => copy(card.token, card.id));
+    const pin = el.querySelector('.pin-btn');
+    pin.classList.toggle('active', !!card.pinned);
+    pin.setAttribute('aria-pressed', String(!!card.pinned));
+    pin.addEventListener('click', () => togglePin(card));
+    labelButton(pin, t(card.pinned ? 'card.unpin' : 'card.pin'));
+    labelButton(el.querySelector('.edit-btn'), t('card.edit'));
+    labelButton(el.querySelector('.qr-btn'), t('card.showQr'));
+    labelButton(el.querySelector('.copy-btn'), t('card.copy'));
+    labelButton(el.querySelector('.delete-btn'), t('card.delete'));
+    el.querySelector('.qr-btn').setAttribute('aria-expanded', 'false');
+    el.addEventListener('keydown', (e) => handleCardKey(e, card));
+    el.addEventListener('focus', () => announceCode(card));
+    el.querySelector('.edit-btn').addEventListener('click', () => openEditor(card));
+    el.querySelector('.qr-btn').addEventListener('click', () => toggleCardQr(card));
+    el.querySelector('.save-btn').addEventListener('click', () => saveEdit(card));
+    el.querySelector('.cancel-btn').addEventListener('click', () => closeEditor(card));
+    renderCardDetails(card, el);
+    renderCardMeta(card, el);
+    enableDrag(card, el);
+
+    // 只读共享的密钥不能编辑、删除，也不能递增 HOTP 计数器；置顶只影响自己的列表，始终可用
+    const isHotp = card.type === 'hotp';
+    const writable = card.access !== 'read';
+    el.querySelector('.edit-btn').hidden = !writable;
+    el.querySelector('.delete-btn').hidden = !writable;
+    el.querySelector('.progress-bar-container').hidden = isHotp || !!card.error;
+    el.querySelector('.next-btn').hidden = !isHotp || !writable || !!card.error;
+    el.querySelector('.token').hidden = !!card.error;
+    el.querySelector('.token-error').hidden = !card.error;
+    el.querySelector('.token-error-detail').hidden = !card.error;
+    el.querySelector('.copy-btn').hidden = !!card.error;
+    el.querySelector('.qr-btn').hidden = !!card.error;
+    if (card.error) {
+      el.classList.add('error-card');
+      el.querySelector('.token-error-detail').textContent = card.error;
+    } else if (isHotp) {
+      // HOTP 的验证码只在用户点击时由服务器递增计数器后生成，这里只显示占位符
+      el.querySelector('.token').textContent = '-'.repeat(card.digits);
+      el.querySelector('.copy-btn').disabled = true;
+      el.querySelector('.next-btn').addEventListener('click', (e) => nextCode(card, e.currentTarget));
+    }
+    return el;
+  }
+
+  // 图标按钮没有文字，用 title 与 aria-label 说明用途
+  function labelButton(button, label) {
+    button.title = label;
+    button.setAttribute('aria-label', label);
+  }
+
+  /**
+   * 卡片获得焦点时的快捷键：Enter 复制验证码，Delete / Backspace 删除（先确认），
+   * Alt + 上/下方向键在分组内移动。焦点在卡片内的按钮或输入框上时保持它们的默认行为。
+   */
+  function handleCardKey(e, card) {
+    if (e.target !== card.element) return;
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (card.token && !card.error) copy(card.token, card.id);
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && card.access !== 'read') {
+      e.preventDefault();
+      remove(card);
+    } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      e.preventDefault();
+      moveCard(card, e.key === 'ArrowUp' ? -1 : 1);
+    }
+  }
+
+  // 用键盘把卡片在分组内上移或下移一位，并保存新的顺序
+  function moveCard(card, offset) {
+    const el = card.element;
+    const sibling = offset < 0 ? el.previousElementSibling : el.nextElementSibling;
+    if (!sibling) return;
+    el.parentNode.insertBefore(el, offset < 0 ? sibling : sibling.nextElementSibling);
+    el.focus();
+    saveOrder();
+  }
+
+  /**
+   * 通过 aria-live 区域朗读验证码。只朗读获得焦点的卡片，避免每个周期把所有卡片都读一遍；
+   * 数字之间加空格，屏幕阅读器会逐位朗读。
+   */
+  function announceCode(card) {
+    if (!card.token || !card.element || !card.element.contains(document.activeElement)) return;
+    document.getElementById('code-announcer').textContent = t('card.codeAnnouncement', { name: card.name, code: card.token.split('').join(' ') });
+  }
+
+  // 显示标签和备注；点击标签时按该标签搜索
+  function renderCardDetails(card, el) {
+    const tags = el.querySelector('.card-tags');
+    tags.replaceChildren();
+    for (const tag of card.tags) {
+      const chip = document.createElement('span');
+      chip.className = 'tag';
+      chip.textContent = tag;
+      chip.addEventListener('click', () => {
+        document.getElementById('search-input').value = tag;
+        filterCards();
+      });
+      tags.appendChild(chip);
+    }
+    tags.hidden = !card.tags.length;
+    el.querySelector('.card-notes').textContent = card.notes || '';
+    el.querySelector('.card-notes').hidden = !card.notes;
+  }
+
+  /* --- 编辑、置顶、排序与搜索 --- */
+
+  function openEditor(card) {
+    const el = card.element;
+    el.querySelector('.edit-name').value = card.name;
+    el.querySelector('.edit-issuer').value = card.issuer || '';
+    el.querySelector('.edit-tags').value = card.tags.join(', ');
+    el.querySelector('.edit-notes').value = card.notes || '';
+    el.querySelector('.edit-form').hidden = false;
+    // 编辑时禁止拖动，以免无法选中输入框中的文字
+    el.draggable = false;
+    el.querySelector('.edit-name').focus();
+  }
+
+  function closeEditor(card) {
+    card.element.querySelector('.edit-form').hidden = true;
+    card.element.draggable = true;
+  }
+
+  async function saveEdit(card) {
+    const el = card.element;
+    const res = await post({
+      action: 'update',
+      id: card.id,
+      name: el.querySelector('.edit-name').value.trim(),
+      issuer: el.querySelector('.edit-issuer').value.trim(),
+      tags: el.querySelector('.edit-tags').value,
+      notes: el.querySelector('.edit-notes').value,
+    });
+    if (!res.ok) { showToast(await res.text()); return; }
+    const { key } = await res.json();
+    Object.assign(card, { name: key.name, issuer: key.issuer, tags: key.tags, notes: key.notes });
+    showToast(t('card.saved'));
+    renderCards();
+    card.element.focus();
+  }
+
+  async function togglePin(card) {
+    const res = await post({ action: 'pin', id: card.id, pinned: card.pinned ? '' : '1' });
+    if (!res.ok) { showToast(t('card.actionFailed', { error: await res.text() })); return; }
+    card.pinned = !card.pinned;
+    renderCards();
+    card.element.querySelector('.pin-btn').focus();
+  }
+
+  /**
+   * 拖动卡片调整顺序。只能在同一分组内拖动；松开后按页面上的顺序保存到服务器。
+   */
+  let draggedCard = null;
+  let orderChanged = false;
+  function enableDrag(card, el) {
+    el.draggable = true;
+    el.addEventListener('dragstart', (e) => {
+      draggedCard = card;
+      orderChanged = false;
+      el.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    el.addEventListener('dragover', (e) => {
+      if (!draggedCard || draggedCard === card || draggedCard.element.parentNode !== el.parentNode) return;
+      e.preventDefault();
+      const rect = el.getBoundingClientRect();
+      const after = e.clientY > rect.top + rect.height / 2;
+      const reference = after ? el.nextSibling : el;
+      if (reference !== draggedCard.element && reference !== draggedCard.element.nextSibling) {
+        el.parentNode.insertBefore(draggedCard.element, reference);
+        orderChanged = true;
+      }
+    });
+    el.addEventListener('drop', (e) => e.preventDefault());
+    el.addEventListener('dragend', () => {
+      el.classList.remove('dragging');
+      draggedCard = null;
+      if (orderChanged) saveOrder();
+    });
+  }
+
+  // 按页面上的卡片顺序重排 cards，并把完整的顺序保存到服务器
+  async function saveOrder() {
+    const ids = [...document.querySelectorAll('#cards-grid .totp-card')].map(el => Number(el.dataset.id));
+    cards.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+    const res = await post({ action: 'reorder', ids: ids.join(',') });
+    if (!res.ok) showToast(t('card.orderFailed'));
+  }
+
+  // 按名称、发行方、标签、备注、文件夹和所有者筛选卡片，并隐藏没有匹配卡片的分组
+  function filterCards() {
+    const query = document.getElementById('search-input').value.trim().toLowerCase();
+    let matches = 0;
+    for (const card of cards) {
+      const text = [card.name, card.issuer, card.notes, card.folder, card.owner, ...card.tags].filter(Boolean).join(' ').toLowerCase();
+      card.element.hidden = !!query && !text.includes(query);
+      if (!card.element.hidden) matches++;
+    }
+    for (const section of document.querySelectorAll('#cards-grid .card-group')) {
+      section.hidden = !section.querySelector('.totp-card:not([hidden])');
+    }
+    document.getElementById('search-empty').hidden = !cards.length || matches > 0;
+  }
+
+  /**
+   * 显示卡片的归属信息：共享给当前用户的密钥显示所有者、文件夹和权限；
+   * 自己的密钥显示文件夹选择框，用于移入或移出共享文件夹。
+   */
+  function renderCardMeta(card, el) {
+    const shared = el.querySelector('.shared');
+    const select = el.querySelector('.folder-select');
+    if (card.access !== 'owner') {
+      shared.textContent = t('card.sharedFrom', { owner: card.owner + (card.folder ? ' · ' + card.folder : ''), permission: t(card.access === 'write' ? 'permission.write' : 'permission.read') });
+      select.hidden = true;
+      return;
+    }
+    select.hidden = !FOLDERS.length;
+    fillFolderOptions(select, FOLDERS.find(folder => folder.name === card.folder)?.id);
+    select.addEventListener('change', async () => {
+      const res = await post({ action: 'move_key', id: card.id, folder: select.value });
+      if (res.ok) {
+        card.folder = select.value ? select.selectedOptions[0].textContent : null;
+        showToast(card.folder ? t('card.movedTo', { folder: card.folder }) : t('card.movedOut'));
+      } else {
+        showToast(t('card.moveFailed', { error: await res.text() }));
+      }
+    });
+  }
+
+  /**
+   * 每秒调用一次：按各卡片自己的时间步长更新进度条，进入新的周期时在本地重新计算验证码，
+   * 并在即将过期时预告下一个验证码。
+   */
+  async function tick() {
+    const now = Date.now() + clockOffset;
+    for (const card of cards) {
+      if (card.type !== 'totp' || !card.totp) continue;
+      const periodMs = card.period * 1000;
+      const step = Math.floor(now / periodMs);
+      const remaining = (periodMs - (now % periodMs)) / 1000;
+      const el = card.element;
+      if (step !== card.step) {
+        card.step = step;
+        card.token = await card.totp.generateOTP(step);
+        card.nextToken = await card.totp.generateOTP(step + 1);
+        el.querySelector('.token').textContent = formatToken(card.token);
+        el.querySelector('.next-token').textContent = t('card.nextToken', { code: formatToken(card.nextToken) });
+        announceCode(card);
+      }
+      const expiring = remaining <= NEXT_CODE_THRESHOLD;
+      el.querySelector('.next-token').hidden = !expiring;
+      const bar = el.querySelector('.progress-bar');
+      bar.style.width = (remaining / card.period) * 100 + '%';
+      bar.classList.toggle('expiring', expiring);
+    }
+  }
+
+  // 页面加载完成后获取密钥列表并启动定时器
+  document.addEventListener('DOMContentLoaded', async () => {
+    if ('serviceWorker' in navigator) navigator.serviceWorker.register('/sw.js').catch(() => {});
+    await loadKeys();
+    setInterval(tick, 1000);
+  });
+</script>
+</body></html>`;
+}
+
+/**
+ * 生成审计日志页面的 HTML。筛选条件通过 GET 表单提交到 /audit，所有记录内容都经过转义。
+ * @param {object} options
+ * @param {ReturnType<typeof auditFilters>} options.filters - 当前的筛选条件。
+ * @param {object[]} options.entries - 当前页的日志记录。
+ * @param {boolean} options.hasMore - 是否还有下一页。
+ * @param {object} options.user - 当前登录的用户，管理员可以按用户筛选。
+ * @param {string} [options.lang] - 页面语言 (pageLanguage 的返回值)。
+ * @returns {string} 审计日志页面的完整 HTML 字符串。
+ */
+function auditLogHtml({ filters, entries, hasMore, user, lang = LANGUAGES[0] }) {
+  const t = htmlTranslator(lang);
+  const pageLink = page => {
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries({ ...filters, page })) {
+      if (value) params.set(name, value);
+    }
+    return `/audit?${escapeHtml(params.toString())}`;
+  };
+  const rows = entries.map(entry => `
+        <tr class="${entry.outcome === 'failure' ? 'failure' : ''}">
+          <td>${escapeHtml(entry.created_at)}</td>
+          <td>${escapeHtml(entry.action)}</td>
+          <td>${escapeHtml(entry.username)}</td>
+          <td>${escapeHtml(entry.key_name)}</td>
+          <td>${t(entry.outcome === 'failure' ? 'audit.failure' : 'audit.success')}</td>
+          <td>${escapeHtml(entry.ip)}</td>
+          <td class="ua" title="${escapeHtml(entry.user_agent)}">${escapeHtml(entry.user_agent)}</td>
+          <td>${escapeHtml(auditDetailText(lang, entry.detail))}</td>
+        </tr>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="${LANGUAGE_TAGS[lang]}"><head>
+<meta charset="UTF-8"><title>${t('audit.title')}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+:root { --bg-color: #f8f9fa; --text-color: #212529; --card-bg: #ffffff; --accent-color: #0d6efd; --border-color: #dee2e6; --danger-color: #dc3545; }
+body.dark { --bg-color: #121212; --text-color: #e9ecef; --card-bg: #1e1e1e; --accent-color: #2586fd; --border-color: #343a40; --danger-color: #e03142; }
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; background-color: var(--bg-color); color: var(--text-color); margin: 0; padding: 2rem 1rem; }
+.container { max-width: 1100px; margin: 0 auto; display: grid; gap: 1.5rem; }
+.top-bar { display: flex; justify-content: space-between; align-items: center; }
+.top-bar h2 { margin: 0; }
+a { color: var(--accent-color); }
+form { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: end; }
+label { display: grid; gap: 0.25rem; font-size: 0.85rem; }
+input, select, button { padding: 0.4rem 0.6rem; border: 1px solid var(--border-color); border-radius: 6px; background: var(--card-bg); color: var(--text-color); font-size: 0.9rem; }
+button { background: var(--accent-color); color: #fff; border: none; cursor: pointer; }
+table { width: 100%; border-collapse: collapse; background: var(--card-bg); font-size: 0.85rem; }
+th, td { padding: 0.5rem; border-bottom: 1px solid var(--border-color); text-align: left; vertical-align: top; }
+tr.failure td { color: var(--danger-color); }
+td.ua { max-width: 220px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.pager { display: flex; gap: 1rem; }
+.empty { text-align: center; opacity: 0.7; }
+</style>
+</head>
+<body>
+  <div class="container">
+    <div class="top-bar">
+      <h2>${t('audit.title')}</h2>
+      <a href="/">${t('audit.back')}</a>
+    </div>
+    <form method="GET" action="/audit">
+      <label>${t('audit.action')}<input name="action" value="${escapeHtml(filters.action)}" placeholder="${t('audit.actionExample')}"></label>
+      ${user.is_admin ? `<label>${t('audit.user')}<input name="user" value="${escapeHtml(filters.user)}"></label>` : ''}
+      <label>${t('audit.key')}<input name="key" value="${escapeHtml(filters.key)}"></label>
+      <label>${t('audit.outcome')}<select name="outcome">
+        <option value="">${t('audit.all')}</option>
+        <option value="success"${filters.outcome === 'success' ? ' selected' : ''}>${t('audit.success')}</option>
+        <option value="failure"${filters.outcome === 'failure' ? ' selected' : ''}>${t('audit.failure')}</option>
+      </select></label>
+      <label>IP<input name="ip" value="${escapeHtml(filters.ip)}"></label>
+      <label>${t('audit.from')}<input type="date" name="from" value="${escapeHtml(filters.from)}"></label>
+      <label>${t('audit.to')}<input type="date" name="to" value="${escapeHtml(filters.to)}"></label>
+      <button type="submit">${t('audit.filter')}</button>
+      <a href="/audit">${t('audit.clear')}</a>
+    </form>
+    <table>
+      <thead><tr><th>${t('audit.time')}</th><th>${t('audit.action')}</th><th>${t('audit.user')}</th><th>${t('audit.key')}</th><th>${t('audit.outcome')}</th><th>IP</th><th>User-Agent</th><th>${t('audit.detail')}</th></tr></thead>
+      <tbody>${rows || `
+        <tr><td colspan="8" class="empty">${t('audit.none')}</td></tr>`}
+      </tbody>
+    </table>
+    <div class="pager">
+      ${filters.page > 1 ? `<a href="${pageLink(filters.page - 1)}">${t('audit.previous')}</a>` : ''}
+      <span>${t('audit.page', { page: filters.page })}</span>
+      ${hasMore ? `<a href="${pageLink(filters.page + 1)}">${t('audit.next')}</a>` : ''}
+    </div>
+  </div>
+  <script>
+    if (localStorage.getItem('theme') === 'dark') document.body.classList.add('dark');
+  </script>
+</body></html>`;
+}
+
+/** 由主密钥派生的 AES-GCM 密钥缓存，键为主密钥字符串。 */
+const cipherKeyCache = new Map();
+
+/**
+ * 计算主密钥的标识 (SHA-256 的前 16 个十六进制字符)，随密文一起保存，用于区分新旧主密钥。
+ * @param {string} masterSecret
+ * @returns {Promise<string>}
+ */
+async function masterKeyId(masterSecret) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`totp-key-id:${masterSecret}`));
+  return Array.from(new Uint8Array(digest).slice(0, 8), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 使用 HKDF-SHA256 从主密钥字符串派生 AES-256-GCM 密钥。
+ * @param {string} masterSecret - 环境变量中的主密钥。
+ * @returns {Promise<{id: string, key: CryptoKey}>}
+ */
+async function deriveCipherKey(masterSecret) {
+  if (!cipherKeyCache.has(masterSecret)) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(masterSecret), 'HKDF', false, ['deriveKey']);
+    const key = await crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: new TextEncoder().encode('totp-keys'), info: new TextEncoder().encode('secret-encryption') },
+      material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    cipherKeyCache.set(masterSecret, { id: await masterKeyId(masterSecret), key });
+  }
+  return cipherKeyCache.get(masterSecret);
+}
+
+/**
+ * 加密一个 Base32 密钥以便写入数据库。
+ * 未配置 ENCRYPTION_KEY 时原样返回明文（iv 与 key_id 为 null），保持与旧部署的兼容。
+ * @param {object} env
+ * @param {string} plaintext - Base32 密钥。
+ * @returns {Promise<{secret: string, iv: ?string, key_id: ?string}>}
+ */
+async function sealSecret(env, plaintext) {
+  if (!env.ENCRYPTION_KEY) return { secret: plaintext, iv: null, key_id: null };
+  const { id, key } = await deriveCipherKey(env.ENCRYPTION_KEY);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+  return { secret: bytesToBase64Url(new Uint8Array(ciphertext)), iv: bytesToBase64Url(iv), key_id: id };
+}
+
+/**
+ * 解密数据库中的一条密钥记录，返回 Base32 明文。
+ * 根据记录的 key_id 选择 ENCRYPTION_KEY 或 ENCRYPTION_KEY_PREVIOUS（轮换期间的旧主密钥）。
+ * @param {object} env
+ * @param {{secret: string, iv: ?string, key_id: ?string}} row
+ * @returns {Promise<string>}
+ * @throws {Error} 找不到匹配的主密钥或密文被篡改时抛出。
+ */
+async function openSecret(env, row) {
+  if (!row.iv) return row.secret; // 尚未加密的历史数据
+  for (const masterSecret of [env.ENCRYPTION_KEY, env.ENCRYPTION_KEY_PREVIOUS]) {
+    if (!masterSecret) continue;
+    const { id, key } = await deriveCipherKey(masterSecret);
+    if (id !== row.key_id) continue;
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64UrlToBytes(row.iv) }, key, base64UrlToBytes(row.secret));
+    return new TextDecoder().decode(plaintext);
+  }
+  throw messageError('error.masterKeyMissing');
+}
+
+/**
+/** 保存以主密钥加密的 secret 的表及其主键列：用户的密钥与两步验证的验证器密钥。 */
+const SEALED_SECRET_TABLES = [['totp_keys', 'id'], ['mfa_totp', 'user_id']];
+
+/**
+ * 统计尚未使用当前主密钥加密的密钥数量（未配置 ENCRYPTION_KEY 时为 0），用于提示用户执行迁移。
+ * @param {object} env
+ * @returns {Promise<number>}
+ */
+async function countPendingMigration(env) {
+  if (!env.ENCRYPTION_KEY) return 0;
+  const { id } = await deriveCipherKey(env.ENCRYPTION_KEY);
+  let pending = 0;
+  for (const [table] of SEALED_SECRET_TABLES) {
+    pending += await env.DB.prepare(`SELECT COUNT(*) AS pending FROM ${table} WHERE key_id IS NULL OR key_id != ?`)
+                           .bind(id)
+                           .first('pending');
+  }
+  return pending;
+}
+
+/**
+ * 将所有未使用当前主密钥加密的密钥（明文或旧主密钥加密）重新加密，并在一个 D1 批处理中写回。
+ * 两步验证的验证器密钥一并迁移，移除 ENCRYPTION_KEY_PREVIOUS 后仍能校验验证码。
+ * @param {object} env
+ * @returns {Promise<number>} 被迁移的密钥数量。
+ * @throws {Error} 未配置 ENCRYPTION_KEY，或有密钥无法解密时抛出（此时不会写入任何数据）。
+ */
+async function migrateSecrets(env) {
+  if (!env.ENCRYPTION_KEY) throw messageError('error.encryptionKeyMissing');
+  const { id } = await deriveCipherKey(env.ENCRYPTION_KEY);
+  const statements = [];
+  for (const [table, idColumn] of SEALED_SECRET_TABLES) {
+    const { results } = await env.DB.prepare(`SELECT ${idColumn} AS row_id, secret, iv, key_id FROM ${table} WHERE key_id IS NULL OR key_id != ?`)
+                                    .bind(id)
+                                    .all();
+    for (const row of results || []) {
+      const sealed = await sealSecret(env, await openSecret(env, row));
+      statements.push(env.DB.prepare(`UPDATE ${table} SET secret = ?, iv = ?, key_id = ? WHERE ${idColumn} = ?`)
+                            .bind(sealed.secret, sealed.iv, sealed.key_id, row.row_id));
+    }
+  }
+  if (statements.length) await env.DB.batch(statements);
+  return statements.length;
+}
+
+/** 加密备份文件的格式标识与版本。 */
+const BACKUP_FORMAT = 'totp-vault-export';
+const BACKUP_VERSION = 1;
+/** 备份密码的 PBKDF2 迭代次数（Cloudflare Workers 支持的上限为 100000）。 */
+const BACKUP_PBKDF2_ITERATIONS = 100000;
+/** 备份密码的最小长度。 */
+const MIN_BACKUP_PASSPHRASE = 8;
+
+/**
+ * 读取用户自己拥有的所有密钥（不包括共享给该用户的密钥）并解密为可导出的明文条目。
+ * @param {object} env
+ * @param {object} user
+ * @returns {Promise<Array<object>>} 与 normalizeKeyEntry 返回值结构相同的条目。
+ */
+async function exportEntries(env, user) {
+  const entries = [];
+  for (const key of await listKeys(env, user)) {
+    if (key.access === 'owner') entries.push(await backupEntry(env, key));
+  }
+  return entries;
+}
+
+/**
+ * 将一条密钥记录解密为可导出的明文条目。
+ * @param {object} env
+ * @param {object} key - 包含 KEY_COLUMNS 各列的记录。
+ * @returns {Promise<object>}
+ */
+async function backupEntry(env, key) {
+  return {
+    name: key.name,
+    secret: await openSecret(env, key),
+    issuer: key.issuer,
+    digits: key.digits,
+    period: key.period,
+    algorithm: key.algorithm,
+    encoder: key.encoder || null,
+    type: key.type,
+    counter: key.counter,
+    notes: key.notes,
+    tags: splitTags(key.tags),
+  };
+}
+
+/**
+ * 将一条明文密钥条目编码为 otpauth:// URL，标签格式为 "issuer:name"。
+ * @param {object} entry
+ * @returns {string}
+ */
+function buildOtpauthUri(entry) {
+  const label = entry.issuer ? `${entry.issuer}:${entry.name}` : entry.name;
+  const params = new URLSearchParams({ secret: entry.secret });
+  if (entry.issuer) params.set('issuer', entry.issuer);
+  params.set('algorithm', entry.algorithm.replace('-', ''));
+  params.set('digits', String(entry.digits));
+  if (entry.encoder) params.set('encoder', entry.encoder);
+  if (entry.type === 'hotp') {
+    params.set('counter', String(entry.counter));
+  } else {
+    params.set('period', String(entry.period));
+  }
+  return `otpauth://${entry.type}/${encodeURIComponent(label)}?${params}`;
+}
+
+/**
+ * 从密码派生 AES-256-GCM 密钥。用于备份密码，也注入到登录页和主页面中，从登录密码派生离线缓存的密钥。
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @param {boolean} [extractable=false] - 登录页需要导出密钥交给主页面时为 true。
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveBackupKey(passphrase, salt, iterations, extractable = false) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, { name: 'AES-GCM', length: 256 }, extractable, ['encrypt', 'decrypt']);
+}
+
+/**
+ * 使用备份密码加密导出的条目，生成自描述的备份文件对象。
+ * @param {Array<object>} entries - exportEntries 的返回值。
+ * @param {string} passphrase
+ * @returns {Promise<object>}
+ */
+async function encryptBackup(entries, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveBackupKey(passphrase, salt, BACKUP_PBKDF2_ITERATIONS);
+  const plaintext = new TextEncoder().encode(JSON.stringify({ keys: entries }));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created_at: new Date().toISOString(),
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_PBKDF2_ITERATIONS, salt: bytesToBase64Url(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64Url(iv) },
+    data: bytesToBase64Url(new Uint8Array(ciphertext)),
+  };
+}
+
+/**
+ * 解密加密备份文件，返回其中的原始条目。
+ * @param {object} backup - encryptBackup 生成的对象。
+ * @param {string} passphrase
+ * @returns {Promise<Array<object>>}
+ * @throws {Error} 版本不支持或密码错误时抛出。
+ */
+async function decryptBackup(backup, passphrase) {
+  if (backup.version !== BACKUP_VERSION) throw messageError('error.backupVersion', { version: backup.version });
+  if (!passphrase) throw messageError('error.missingBackupPassphrase');
+  const iterations = Math.min(Number(backup.kdf && backup.kdf.iterations) || 0, BACKUP_PBKDF2_ITERATIONS);
+  const key = await deriveBackupKey(passphrase, base64UrlToBytes(backup.kdf.salt), iterations);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64UrlToBytes(backup.cipher.iv) }, key, base64UrlToBytes(backup.data));
+  } catch (e) {
+    throw messageError('error.backupDecrypt');
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext)).keys || [];
+}
+
+/**
+ * 解析备份文件的内容：加密备份 (JSON) 或每行一个 otpauth:// URL 的明文列表。
+ * 每个条目都会经过 normalizeKeyEntry 校验，无法导入的条目记录在 errors 中而不是让整个导入失败。
+ * @param {string} text - 文件内容。
+ * @param {string} passphrase - 加密备份的密码。
+ * @returns {Promise<{entries: Array<object>, errors: Array<{index: number, error: Error}>}>}
+ * @throws {Error} 文件格式无法识别或解密失败时抛出。
+ */
+async function parseBackup(text, passphrase) {
+  let raw;
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    let backup;
+    try {
+      backup = JSON.parse(trimmed);
+    } catch (e) {
+      throw messageError('error.backupParse');
+    }
+    if (backup.format !== BACKUP_FORMAT) throw messageError('error.backupFormat');
+    raw = await decryptBackup(backup, passphrase);
+  } else {
+    raw = trimmed.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  }
+  if (!raw.length) throw messageError('error.backupEmpty');
+
+  const entries = [], errors = [];
+  raw.forEach((item, index) => {
+    try {
+      // 明文列表中的每一行都必须是 otpauth:// URL
+      if (typeof item === 'string' && !/^otpauth:\/\//i.test(item)) throw messageError('error.notOtpauthUri');
+      entries.push(normalizeKeyEntry(typeof item === 'string' ? { secret: item } : item));
+    } catch (e) {
+      errors.push({ index, error: e });
+    }
+  });
+  return { entries, errors };
+}
+
+/**
+ * 根据冲突处理方式规划导入：计算每个条目的处理结果，并生成需要在一个批处理中执行的语句。
+ * 条目导入到用户自己的密钥中，只与用户自己拥有的密钥比较是否同名。
+ * @param {object} env
+ * @param {object} user
+ * @param {Array<object>} entries - 已校验的条目。
+ * @param {'skip'|'overwrite'|'rename'} mode - 与已有密钥（或本次导入中更早的条目）同名时的处理方式。
+ * @returns {Promise<{preview: Array<object>, statements: Array<D1PreparedStatement>, summary: object}>}
+ */
+async function planImport(env, user, entries, mode) {
+  if (!['skip', 'overwrite', 'rename'].includes(mode)) mode = 'skip';
+  const taken = new Set((await listKeys(env, user)).filter(key => key.access === 'owner').map(key => key.name));
+  const preview = [], statements = [];
+  const summary = { added: 0, overwritten: 0, renamed: 0, skipped: 0 };
+
+  for (const entry of entries) {
+    const conflict = taken.has(entry.name);
+    if (!conflict) {
+      preview.push({ name: entry.name, conflict, action: 'add' });
+      statements.push(await insertKeyStatement(env, user, entry));
+      summary.added++;
+    } else if (mode === 'overwrite') {
+      preview.push({ name: entry.name, conflict, action: 'overwrite' });
+      statements.push(await insertKeyStatement(env, user, entry, true));
+      summary.overwritten++;
+    } else if (mode === 'rename') {
+      let n = 2, target;
+      do { target = `${entry.name} (${n++})`; } while (taken.has(target));
+      preview.push({ name: entry.name, conflict, action: 'rename', target });
+      statements.push(await insertKeyStatement(env, user, { ...entry, name: target }));
+      summary.renamed++;
+      taken.add(target);
+    } else {
+      preview.push({ name: entry.name, conflict, action: 'skip' });
+      summary.skipped++;
+    }
+    taken.add(entry.name);
+  }
+  return { preview, statements, summary };
+}
+
+/** 定时快照在 R2 存储桶或 KV 命名空间中的键前缀。 */
+const SNAPSHOT_PREFIX = 'snapshots/';
+/** 默认保留的快照数量，可通过环境变量 BACKUP_VERSIONS 覆盖。 */
+const DEFAULT_BACKUP_VERSIONS = 7;
+/** 对比快照与当前密钥时比较的字段。文件夹只是整理方式，不参与比较。 */
+const SNAPSHOT_FIELDS = ['secret', 'issuer', 'digits', 'period', 'algorithm', 'encoder', 'type', 'counter', 'notes', 'tags'];
+
+/**
+ * 返回配置的快照存储：优先使用 R2 绑定 BACKUP_BUCKET，其次使用 KV 绑定 BACKUP_KV。
+ * 两种存储提供相同的 list / get / put / delete 接口，快照的元数据（创建时间、密钥数、大小）均为字符串。
+ * @param {object} env
+ * @returns {?{list: function(): Promise<Array<{id: string, metadata: object}>>, get: function(string): Promise<?string>, put: function(string, string, object): Promise<void>, delete: function(string): Promise<void>}}
+ *   未配置任何绑定时返回 null。
+ */
+function snapshotStore(env) {
+  if (env.BACKUP_BUCKET) {
+    const bucket = env.BACKUP_BUCKET;
+    return {
+      async list() {
+        const snapshots = [];
+        let cursor;
+        do {
+          const page = await bucket.list({ prefix: SNAPSHOT_PREFIX, cursor, include: ['customMetadata'] });
+          for (const object of page.objects) snapshots.push({ id: object.key.slice(SNAPSHOT_PREFIX.length), metadata: object.customMetadata || {} });
+          cursor = page.truncated ? page.cursor : null;
+        } while (cursor);
+        return snapshots;
+      },
+      async get(id) {
+        const object = await bucket.get(SNAPSHOT_PREFIX + id);
+        return object && object.text();
+      },
+      async put(id, body, metadata) {
+        await bucket.put(SNAPSHOT_PREFIX + id, body, { httpMetadata: { contentType: 'application/json' }, customMetadata: metadata });
+      },
+      async delete(id) {
+        await bucket.delete(SNAPSHOT_PREFIX + id);
+      },
+    };
+  }
+  if (env.BACKUP_KV) {
+    const kv = env.BACKUP_KV;
+    return {
+      async list() {
+        const snapshots = [];
+        let cursor;
+        do {
+          const page = await kv.list({ prefix: SNAPSHOT_PREFIX, cursor });
+          for (const key of page.keys) snapshots.push({ id: key.name.slice(SNAPSHOT_PREFIX.length), metadata: key.metadata || {} });
+          cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+        return snapshots;
+      },
+      get: id => kv.get(SNAPSHOT_PREFIX + id),
+      put: (id, body, metadata) => kv.put(SNAPSHOT_PREFIX + id, body, { metadata }),
+      delete: id => kv.delete(SNAPSHOT_PREFIX + id),
+    };
+  }
+  return null;
+}
+
+/**
+ * 检查定时快照所需的配置，返回快照存储。
+ * @param {object} env
+ * @returns {object} snapshotStore 的返回值。
+ * @throws {Error} 未绑定存储或未设置足够长的 BACKUP_PASSPHRASE 时抛出。
+ */
+function requireSnapshotStore(env) {
+  const store = snapshotStore(env);
+  if (!store) throw messageError('error.snapshotStore');
+  if ((env.BACKUP_PASSPHRASE || '').length < MIN_BACKUP_PASSPHRASE) {
+    throw messageError('error.snapshotPassphrase', { min: MIN_BACKUP_PASSPHRASE });
+  }
+  return store;
+}
+
+/**
+ * 读取需要保留的快照数量。
+ * @param {object} env
+ * @returns {number} 正整数。
+ */
+function backupVersions(env) {
+  const configured = Number.parseInt(env.BACKUP_VERSIONS, 10);
+  return configured > 0 ? configured : DEFAULT_BACKUP_VERSIONS;
+}
+
+/**
+ * 读取所有用户的全部密钥（不包括回收站中的密钥）并解密为明文条目，条目额外带有所有者用户名与文件夹名称。
+ * @param {object} env
+ * @returns {Promise<Array<object>>}
+ */
+async function snapshotEntries(env) {
+  const { results } = await env.DB.prepare(`SELECT ${KEY_COLUMNS}, f.name AS folder_name, o.username AS owner_name
+    FROM totp_keys k
+    LEFT JOIN folders f ON f.id = k.folder_id
+    LEFT JOIN users o ON o.id = k.owner_id
+    WHERE k.deleted_at IS NULL
+    ORDER BY o.username ASC, k.name ASC`).all();
+  const entries = [];
+  for (const key of results || []) {
+    entries.push({ owner: key.owner_name, folder: key.folder_name || null, ...(await backupEntry(env, key)) });
+  }
+  return entries;
+}
+
+/**
+ * 列出已保存的快照，最新的在前。
+ * @param {object} env
+ * @returns {Promise<Array<{id: string, created_at: string, keys: number, size: number}>>}
+ */
+async function listSnapshots(env) {
+  const snapshots = (await requireSnapshotStore(env).list()).map(({ id, metadata }) => ({
+    id,
+    created_at: metadata.created_at || null,
+    keys: Number(metadata.keys) || 0,
+    size: Number(metadata.size) || 0,
+  }));
+  // 快照 ID 以 ISO 时间开头，按字符串倒序即为按时间倒序
+  return snapshots.sort((a, b) => (a.id < b.id ? 1 : a.id > b.id ? -1 : 0));
+}
+
+/**
+ * 将所有密钥加密保存为一个新快照，并删除超出保留数量的旧快照。
+ * 快照与“下载备份”使用相同的加密格式，下载后可以用 BACKUP_PASSPHRASE 在任意账户中导入。
+ * @param {object} env
+ * @returns {Promise<{id: string, created_at: string, keys: number, size: number}>}
+ * @throws {Error} 未配置快照存储或加密密码时抛出。
+ */
+async function createSnapshot(env) {
+  const store = requireSnapshotStore(env);
+  const entries = await snapshotEntries(env);
+  const backup = await encryptBackup(entries, env.BACKUP_PASSPHRASE);
+  const body = JSON.stringify(backup);
+  const snapshot = { id: `${backup.created_at.replace(/[:.]/g, '-')}.json`, created_at: backup.created_at, keys: entries.length, size: body.length };
+  await store.put(snapshot.id, body, { created_at: snapshot.created_at, keys: String(snapshot.keys), size: String(snapshot.size) });
+  const expired = (await listSnapshots(env)).slice(backupVersions(env));
+  for (const old of expired) await store.delete(old.id);
+  return snapshot;
+}
+
+/**
+ * 供 scheduled 处理函数调用：配置了快照存储时创建一个快照，失败只输出到控制台。
+ * @param {object} env
+ * @returns {Promise<void>}
+ */
+async function backupVault(env) {
+  if (!snapshotStore(env)) return;
+  try {
+    await createSnapshot(env);
+  } catch (e) {
+    console.error('Failed to back up vault:', e);
+  }
+}
+
+/**
+ * 读取快照的原始加密文件内容。
+ * @param {object} env
+ * @param {string} id
+ * @returns {Promise<string>}
+ * @throws {Error} 快照不存在时抛出。
+ */
+async function readSnapshotFile(env, id) {
+  // ID 只能由 createSnapshot 生成，拒绝任何可能指向其他对象的值
+  const body = /^[\w.-]+\.json$/.test(id || '') ? await requireSnapshotStore(env).get(id) : null;
+  if (!body) throw messageError('error.snapshotNotFound');
+  return body;
+}
+
+/**
+ * 读取并解密快照，返回其中的明文条目。
+ * @param {object} env
+ * @param {string} id
+ * @returns {Promise<Array<object>>}
+ */
+async function readSnapshot(env, id) {
+  const body = await readSnapshotFile(env, id);
+  return decryptBackup(JSON.parse(body), env.BACKUP_PASSPHRASE);
+}
+
+/**
+ * 对比快照与当前的所有密钥（按所有者与名称匹配）。结果只包含名称和变化的字段，不包含任何 secret。
+ * @param {Array<object>} snapshot - readSnapshot 的返回值。
+ * @param {Array<object>} current - snapshotEntries 的返回值。
+ * @returns {{removed: Array<object>, changed: Array<object>, added: Array<object>, unchanged: number}}
+ *   removed 为快照中有、当前已没有的密钥；added 为快照之后新增的密钥；changed 附带变化的字段名。
+ */
+function diffSnapshot(snapshot, current) {
+  const keyOf = entry => `${entry.owner}\u0000${entry.name}`;
+  const remaining = new Map(current.map(entry => [keyOf(entry), entry]));
+  const removed = [], changed = [];
+  let unchanged = 0;
+  for (const entry of snapshot) {
+    const existing = remaining.get(keyOf(entry));
+    if (!existing) {
+      removed.push({ owner: entry.owner, name: entry.name });
+      continue;
+    }
+    remaining.delete(keyOf(entry));
+    // 标签是数组，规范化为 JSON 字符串后再比较
+    const comparable = (field, value) => field === 'tags' ? normalizeTags(value) : value ?? null;
+    const fields = SNAPSHOT_FIELDS.filter(field => comparable(field, entry[field]) !== comparable(field, existing[field]));
+    if (fields.length) changed.push({ owner: entry.owner, name: entry.name, fields });
+    else unchanged++;
+  }
+  const added = [...remaining.values()].map(entry => ({ owner: entry.owner, name: entry.name }));
+  return { removed, changed, added, unchanged };
+}
+
+/**
+ * 从快照恢复：重新添加快照之后被删除的密钥，并把被修改的密钥覆盖为快照中的版本。
+ * 快照之后新增的密钥保持不变；所有者账户已不存在的条目会被跳过。所有写入在一个 D1 批处理中完成。
+ * @param {object} env
+ * @param {string} id
+ * @returns {Promise<{restored: number, overwritten: number, skipped: Array<{owner: string, name: string, reason: Error}>}>}
+ */
+async function restoreSnapshot(env, id) {
+  const snapshot = await readSnapshot(env, id);
+  const { removed, changed } = diffSnapshot(snapshot, await snapshotEntries(env));
+  const wanted = new Set([...removed, ...changed].map(entry => `${entry.owner}\u0000${entry.name}`));
+  const users = new Map((await listUsers(env)).map(user => [user.username.toLowerCase(), user]));
+  const { results: folders } = await env.DB.prepare('SELECT id, owner_id, name FROM folders').all();
+
+  const statements = [], skipped = [];
+  const summary = { restored: 0, overwritten: 0 };
+  for (const raw of snapshot) {
+    if (!wanted.has(`${raw.owner}\u0000${raw.name}`)) continue;
+    const owner = users.get(String(raw.owner || '').toLowerCase());
+    if (!owner) {
+      skipped.push({ owner: raw.owner, name: raw.name, reason: messageError('error.ownerMissing') });
+      continue;
+    }
+    let entry;
+    try {
+      entry = normalizeKeyEntry(raw);
+    } catch (e) {
+      skipped.push({ owner: raw.owner, name: raw.name, reason: e });
+      continue;
+    }
+    const folder = (folders || []).find(row => row.owner_id === owner.id && row.name === raw.folder);
+    // 覆盖时保留密钥当前所在的文件夹；重新添加时放回快照中同名的文件夹（如果仍然存在）
+    const overwrite = changed.some(item => item.owner === raw.owner && item.name === raw.name);
+    statements.push(await insertKeyStatement(env, owner, { ...entry, folder_id: folder ? folder.id : null }, overwrite));
+    summary[overwrite ? 'overwritten' : 'restored']++;
+  }
+  if (statements.length) await env.DB.batch(statements);
+  return { ...summary, skipped };
+}
+
+/**
+ * 解析其他验证器应用的导出内容，转换为 normalizeKeyEntry 可接受的原始条目。
+ * 无法转换的条目带有 error 字段，由调用方逐条报告。
+ * @param {string} text - 导出文件内容或 otpauth-migration:// 链接。
+ * @param {string} format - 'auto' | 'google' | 'aegis' | '2fas' | 'andotp' | 'bitwarden'。
+ * @returns {{format: string, items: Array<object>}}
+ * @throws {Error} 无法识别格式或整个文件无法解析时抛出。
+ */
+function parseExternalImport(text, format) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) throw messageError('error.importEmpty');
+  let data = null;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      throw messageError('error.importJson');
+    }
+  }
+  if (format === 'auto') format = detectExternalFormat(trimmed, data);
+
+  switch (format) {
+    case 'google':
+      return { format, items: parseGoogleMigration(trimmed) };
+    case 'aegis':
+      return { format, items: parseAegis(data) };
+    case '2fas':
+      return { format, items: parse2fas(data) };
+    case 'andotp':
+      return { format, items: parseAndOtp(data) };
+    case 'bitwarden':
+      return { format, items: parseBitwardenCsv(trimmed) };
+    default:
+      throw messageError('error.importFormat');
+  }
+}
+
+/**
+ * 根据内容特征猜测导出文件的来源应用。
+ * @param {string} text
+ * @param {?object} data - 内容为 JSON 时的解析结果。
+ * @returns {?string}
+ */
+function detectExternalFormat(text, data) {
+  if (/^otpauth-migration:\/\//im.test(text)) return 'google';
+  if (Array.isArray(data)) return 'andotp';
+  if (data && data.db !== undefined && data.header !== undefined) return 'aegis';
+  if (data && (data.services !== undefined || data.servicesEncrypted !== undefined)) return '2fas';
+  if (/^[^\n]*\blogin_totp\b/.test(text)) return 'bitwarden';
+  return null;
+}
+
+/**
+ * 解析 Google Authenticator 的“转移账号”链接 (otpauth-migration://offline?data=...)。
+ * data 参数是 base64 编码的 protobuf MigrationPayload；多个二维码的链接可以每行一个同时导入。
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+function parseGoogleMigration(text) {
+  // 0 为 ALGORITHM_UNSPECIFIED，Google Authenticator 本身按 SHA1 处理
+  const algorithms = { 0: 'SHA1', 1: 'SHA1', 2: 'SHA256', 3: 'SHA512' };
+  const digits = { 0: 6, 1: 6, 2: 8 };
+  const items = [];
+  for (const line of text.split(/\s+/).filter(l => /^otpauth-migration:\/\//i.test(l))) {
+    let payload;
+    try {
+      // URLSearchParams 会把未编码的 '+' 解码为空格，这里还原回来
+      const data = new URL(line).searchParams.get('data').replace(/ /g, '+');
+      payload = decodeProtobuf(base64UrlToBytes(data));
+    } catch (e) {
+      throw messageError('error.migrationUri');
+    }
+    for (const raw of payload[1] || []) {
+      const otp = decodeProtobuf(raw);
+      const issuer = otp[3] ? new TextDecoder().decode(otp[3][0]) : null;
+      let name = otp[2] ? new TextDecoder().decode(otp[2][0]) : '';
+      // 名称通常是 "Issuer:account" 的形式，去掉与 issuer 重复的前缀
+      if (issuer && name.startsWith(`${issuer}:`)) name = name.slice(issuer.length + 1).trim();
+      const algorithm = algorithms[otp[4] ? otp[4][0] : 1];
+      const type = otp[6] && otp[6][0] === 1 ? 'hotp' : 'totp';
+      items.push({
+        name: name || issuer,
+        issuer,
+        secret: otp[1] ? bytesToBase32(otp[1][0]) : '',
+        algorithm,
+        digits: digits[otp[5] ? otp[5][0] : 0],
+        type,
+        counter: type === 'hotp' && otp[7] ? otp[7][0] : null,
+        error: algorithm ? undefined : messageError('error.unsupportedAlgorithm', { algorithm: 'MD5' }),
+      });
+    }
+  }
+  return items;
+}
+
+/**
+ * 一个只支持 varint 与 length-delimited 字段的最小 protobuf 解码器。
+ * @param {Uint8Array} bytes
+ * @returns {Object<number, Array<number|Uint8Array>>} 字段编号到值列表的映射（重复字段按出现顺序排列）。
+ */
+function decodeProtobuf(bytes) {
+  const fields = {};
+  let pos = 0;
+  const readVarint = () => {
+    // 使用乘法而不是位运算，以支持超过 32 位的计数器
+    let result = 0, scale = 1, byte;
+    do {
+      if (pos >= bytes.length) throw new Error('Truncated protobuf');
+      byte = bytes[pos++];
+      result += (byte & 0x7f) * scale;
+      scale *= 128;
+    } while (byte & 0x80);
+    return result;
+  };
+  while (pos < bytes.length) {
+    const tag = readVarint();
+    const field = Math.floor(tag / 8), wireType = tag & 7;
+    let value;
+    if (wireType === 0) {
+      value = readVarint();
+    } else if (wireType === 2) {
+      const length = readVarint();
+      if (pos + length > bytes.length) throw new Error('Truncated protobuf');
+      value = bytes.subarray(pos, pos + length);
+      pos += length;
+    } else if (wireType === 1 || wireType === 5) {
+      pos += wireType === 1 ? 8 : 4; // 64/32 位定长字段，MigrationPayload 中不使用
+      continue;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+    (fields[field] = fields[field] || []).push(value);
+  }
+  return fields;
+}
+
+/**
+ * 解析 Aegis 的未加密 JSON 导出。
+ * @param {object} data
+ * @returns {Array<object>}
+ */
+function parseAegis(data) {
+  if (!data || data.db === undefined) throw messageError('error.notAegis');
+  if (typeof data.db === 'string') throw messageError('error.aegisEncrypted');
+  return (data.db.entries || []).map(entry => {
+    const info = entry.info || {};
+    const type = (entry.type || 'totp').toLowerCase();
+    return {
+      name: entry.name,
+      issuer: type === 'steam' ? 'Steam' : entry.issuer,
+      secret: info.secret,
+      algorithm: info.algo,
+      digits: info.digits,
+      period: info.period,
+      counter: info.counter,
+      encoder: type === 'steam' ? 'steam' : null,
+      type: type === 'steam' ? 'totp' : type,
+      error: ['totp', 'hotp', 'steam'].includes(type) ? undefined : messageError('error.unsupportedType', { type: entry.type }),
+    };
+  });
+}
+
+/**
+ * 解析 2FAS 的未加密 .2fas (JSON) 导出。
+ * @param {object} data
+ * @returns {Array<object>}
+ */
+function parse2fas(data) {
+  if (!data || (data.services === undefined && data.servicesEncrypted === undefined)) throw messageError('error.not2fas');
+  if (data.servicesEncrypted) throw messageError('error.2fasEncrypted');
+  return (data.services || []).map(service => {
+    const otp = service.otp || {};
+    const type = (otp.tokenType || 'TOTP').toLowerCase();
+    return {
+      name: otp.account || otp.label || service.name,
+      issuer: type === 'steam' ? 'Steam' : (otp.issuer || service.name),
+      secret: service.secret,
+      algorithm: otp.algorithm,
+      digits: otp.digits,
+      period: otp.period,
+      counter: otp.counter,
+      encoder: type === 'steam' ? 'steam' : null,
+      type: type === 'steam' ? 'totp' : type,
+      error: ['totp', 'hotp', 'steam'].includes(type) ? undefined : messageError('error.unsupportedType', { type: otp.tokenType }),
+    };
+  });
+}
+
+/**
+ * 解析 andOTP 的未加密 JSON 导出（一个条目数组）。
+ * @param {Array<object>} data
+ * @returns {Array<object>}
+ */
+function parseAndOtp(data) {
+  if (!Array.isArray(data)) throw messageError('error.notAndOtp');
+  return data.map(entry => {
+    const type = (entry.type || 'TOTP').toLowerCase();
+    // andOTP 的 label 可能是 "Issuer:account" 的形式
+    let name = entry.label || '';
+    if (entry.issuer && name.startsWith(`${entry.issuer}:`)) name = name.slice(entry.issuer.length + 1).trim();
+    return {
+      name: name || entry.issuer,
+      issuer: type === 'steam' ? 'Steam' : entry.issuer,
+      secret: entry.secret,
+      algorithm: entry.algorithm,
+      digits: entry.digits,
+      period: entry.period,
+      counter: entry.counter,
+      encoder: type === 'steam' ? 'steam' : null,
+      type: type === 'steam' ? 'totp' : type,
+      error: ['totp', 'hotp', 'steam'].includes(type) ? undefined : messageError('error.unsupportedType', { type: entry.type }),
+    };
+  });
+}
+
+/**
+ * 解析 Bitwarden 的 CSV 导出，只导入 login_totp 列不为空的登录项。
+ * login_totp 可以是 otpauth:// URL、steam://密钥 或纯 Base32 密钥。
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+function parseBitwardenCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const col = name => header.indexOf(name);
+  if (!header || col('login_totp') === -1) throw messageError('error.notBitwarden');
+  return rows
+    .filter(row => (row[col('login_totp')] || '').trim())
+    .map(row => {
+      const totp = row[col('login_totp')].trim();
+      const name = (row[col('name')] || '').trim();
+      if (/^steam:\/\//i.test(totp)) return { name, issuer: 'Steam', encoder: 'steam', secret: totp.slice('steam://'.length) };
+      // otpauth:// URL 交给 normalizeKeyEntry 解析；Bitwarden 的条目名称优先于 URL 标签
+      return { name, secret: totp };
+    });
+}
+
+/**
+ * 按 RFC 4180 解析 CSV（支持引号、转义的双引号和字段内换行）。
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim()));
+}
+
+/**
+ * 允许的验证码位数范围（Steam 为 5 位，常见为 6 或 8 位）。
+ * 动态截断只得到 31 位整数，9 位以上的验证码只是补零后的同一个数，其他验证器也不接受，因此与 RFC 4226 一致最多 8 位。
+ */
+const MIN_DIGITS = 5;
+const MAX_DIGITS = 8;
+/** 允许的时间步长范围 (秒)。 */
+const MIN_PERIOD = 5;
+const MAX_PERIOD = 300;
+/** 备注的最大长度，以及每个密钥的标签数量和单个标签长度的上限。 */
+const MAX_NOTES_LENGTH = 1000;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+/** 支持的 HMAC 哈希算法，键为 otpauth:// URL 中可能出现的写法。 */
+const ALGORITHMS = { 'SHA1': 'SHA-1', 'SHA256': 'SHA-256', 'SHA512': 'SHA-512' };
+/** Steam 令牌使用的 26 个字符。 */
+const STEAM_ALPHABET = '23456789BCDFGHJKMNPQRTVWXY';
+
+/**
+ * TOTP 算法 (RFC 6238) 的 JavaScript 实现类。
+ */
+class TOTP {
+  /**
+   * @param {string} secret - Base32 编码的密钥字符串。
+   * @param {object} [options]
+   * @param {number} [options.digits=6] - 验证码长度。
+   * @param {number} [options.period=30] - 时间步长 (秒)。
+   * @param {string} [options.algorithm='SHA-1'] - HMAC 哈希算法 ('SHA-1' | 'SHA-256' | 'SHA-512')。
+   * @param {string} [options.encoder] - 设为 'steam' 时输出 Steam 风格的字母数字验证码。
+   */
+  constructor(secret, { digits = 6, period = 30, algorithm = 'SHA-1', encoder } = {}) {
+    this.secret = base32ToBytes(secret.replace(/ /g, ''));
+    this.period = period; // 时间步长 (秒)
+    this.digits = digits;  // 验证码长度
+    this.algorithm = algorithm; // HMAC 哈希算法
+    this.encoder = encoder;
+  }
+
+  /**
+   * 生成当前时间的 TOTP 验证码。
+   * @returns {Promise<string>} 长度为 digits 的验证码字符串。
+   */
+  async generate() { 
+    const counter = Math.floor(Date.now() / 1000 / this.period); 
+    return this.generateOTP(counter); 
+  }
+
+  /**
+   * 根据给定的计数器值生成 HOTP 验证码 (RFC 4226，也是 TOTP 的核心)。
+   * @param {number} counter - 时间步长计数器，或 HOTP 密钥的事件计数器。
+   * @returns {Promise<string>} 长度为 digits 的验证码字符串。
+   */
+  async generateOTP(counter) { 
+    const buf = new ArrayBuffer(8); 
+    const view = new DataView(buf); 
+    view.setUint32(0, Math.floor(counter / 2 ** 32)); // 计数器的高32位 (HOTP 计数器可能很大)
+    view.setUint32(4, counter >>> 0); // 计数器的低32位
+    const key = await crypto.subtle.importKey('raw',this.secret,{ name: 'HMAC', hash: this.algorithm },false,['sign']); 
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, buf)); 
+    const offset = hmac[hmac.length - 1] & 0xf; 
+    const binCode = ((hmac[offset] & 0x7f) << 24) | ((hmac[offset + 1] & 0xff) << 16) | ((hmac[offset + 2] & 0xff) << 8) | (hmac[offset + 3] & 0xff); 
+    if (this.encoder === 'steam') {
+      // Steam 令牌：反复对字母表长度取余，得到字母数字混合的验证码
+      let code = '', value = binCode;
+      for (let i = 0; i < this.digits; i++) {
+        code += STEAM_ALPHABET[value % STEAM_ALPHABET.length];
+        value = Math.floor(value / STEAM_ALPHABET.length);
+      }
+      return code;
+    }
+    const otp = binCode % 10 ** this.digits; 
+    return otp.toString().padStart(this.digits, '0'); 
+  }
+}
+
+/**
+ * 根据数据库中的一条密钥记录构造 TOTP 构造函数的选项。
+ * @param {object} key - 包含 digits、period、algorithm、encoder 的密钥记录。
+ * @returns {object} TOTP 选项。
+ */
+function keyOptions(key) {
+  return {
+    digits: key.digits,
+    period: key.period,
+    algorithm: key.algorithm,
+    encoder: key.encoder || undefined,
+  };
+}
+
+/**
+ * 将验证码分成两半显示，方便阅读（如 "123 456"、"1234 5678"）。
+ * 5 位以下的验证码（如 Steam）保持原样。
+ * @param {string} token
+ * @returns {string}
+ */
+function formatToken(token) {
+  if (token.length < 6) return token;
+  const half = Math.floor(token.length / 2);
+  return `${token.slice(0, half)} ${token.slice(half)}`;
+}
+
+/**
+ * 解析 otpauth://totp/ 或 otpauth://hotp/ URL (Google Authenticator Key Uri Format)。
+ * @param {string} uri - 形如 otpauth://totp/Issuer:account?secret=...&issuer=...&digits=6 的 URL。
+ * @returns {object} 解析出的 name、secret、issuer、digits、period、algorithm、type、counter 字段（未出现的参数为 null）。
+ * @throws {Error} 当 URL 无法解析或类型不受支持时抛出。
+ */
+function parseOtpauthUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (e) {
+    throw messageError('error.invalidUri');
+  }
+  if (url.protocol !== 'otpauth:') throw messageError('error.invalidUri');
+  // otpauth://totp/label 中，totp 被解析为 host，label 为 pathname
+  const type = (url.host || url.pathname.replace(/^\/\//, '').split('/')[0]).toLowerCase();
+  if (type !== 'totp' && type !== 'hotp') throw messageError('error.unsupportedType', { type });
+
+  const params = url.searchParams;
+  const label = decodeURIComponent(url.pathname.split('/').pop());
+  const sep = label.indexOf(':');
+  const labelIssuer = sep === -1 ? null : label.slice(0, sep).trim();
+  const account = sep === -1 ? label : label.slice(sep + 1);
+  const issuer = params.get('issuer') || labelIssuer;
+  return {
+    name: (account || '').trim() || issuer,
+    secret: params.get('secret'),
+    issuer,
+    digits: params.get('digits'),
+    period: params.get('period'),
+    algorithm: params.get('algorithm'),
+    encoder: params.get('encoder'),
+    type,
+    counter: params.get('counter'),
+  };
+}
 
-  /**
-   * 生成当前时间的 TOTP 验证码。
-   * @returns {Promise<string>} 6位数的验证码字符串。
-   */
-  async generate() { 
-    const counter = Math.floor(Date.now() / 1000 / this.period); 
-    return this.generateOTP(counter); 
+/**
+ * 校验并规范化一条待写入数据库的密钥。
+ * secret 可以是 Base32 字符串，也可以是 otpauth:// URL；URL 中的参数优先于表单中的同名字段，
+ * 表单中的 name 优先于 URL 标签。缺省值与 RFC 6238 一致 (TOTP, 6 位, 30 秒, SHA-1)。
+ * Steam 令牌由 encoder 参数标记；部分应用只以发行方 "Steam" 标记，此时同样按 Steam 令牌保存。
+ * 结果保存在 encoder 列中，之后修改发行方不会改变验证码的格式。
+ * @param {object} input - 原始的 name、secret、issuer、digits、period、algorithm、encoder、type、counter 以及可选的 notes、tags 字段。
+ * @returns {{name: string, secret: string, issuer: ?string, digits: number, period: number, algorithm: string, encoder: ?string, type: string, counter: number, notes: ?string, tags: ?string}}
+ * @throws {Error} 任一字段不合法时抛出 messageError 创建的错误，由 errorMessage 按页面语言展示给用户。
+ */
+function normalizeKeyEntry(input) {
+  let fields = { ...input };
+  const rawSecret = (fields.secret || '').trim();
+  if (rawSecret.toLowerCase().startsWith('otpauth://')) {
+    const parsed = parseOtpauthUri(rawSecret);
+    fields = { ...parsed, name: (fields.name || '').trim() || parsed.name, notes: fields.notes, tags: fields.tags };
   }
 
-  /**
-   * 根据给定的计数器值生成 HOTP 验证码 (TOTP 的核心)。
-   * @param {number} counter - 时间步长计数器。
-   * @returns {Promise<string>} 6位数的验证码字符串。
-   */
-  async generateOTP(counter) { 
-    const buf = new ArrayBuffer(8); 
-    const view = new DataView(buf); 
-    view.setUint32(4, counter); // 将计数器写入8字节缓冲区的后半部分
-    const key = await crypto.subtle.importKey('raw',this.secret,{ name: 'HMAC', hash: this.algorithm },false,['sign']); 
-    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, buf)); 
-    const offset = hmac[hmac.length - 1] & 0xf; 
-    const binCode = ((hmac[offset] & 0x7f) << 24) | ((hmac[offset + 1] & 0xff) << 16) | ((hmac[offset + 2] & 0xff) << 8) | (hmac[offset + 3] & 0xff); 
-    const otp = binCode % 10 ** this.digits; 
-    return otp.toString().padStart(this.digits, '0'); 
+  const name = (fields.name || '').trim();
+  const secret = (fields.secret || '').replace(/\s/g, '').toUpperCase();
+  if (!name || !secret) throw messageError('error.missingNameOrSecret');
+
+  let issuer = (fields.issuer || '').trim() || null;
+  // Steam 令牌固定为 5 位、SHA-1、30 秒
+  const isSteam = fields.encoder ? String(fields.encoder).toLowerCase() === 'steam' : (issuer || '').toLowerCase() === 'steam';
+  if (isSteam && !issuer) issuer = 'Steam';
+
+  const digits = isSteam ? 5 : parseIntParam(fields.digits, 6, 'error.invalidDigits');
+  if (digits < MIN_DIGITS || digits > MAX_DIGITS) {
+    throw messageError('error.digitsRange', { min: MIN_DIGITS, max: MAX_DIGITS });
+  }
+  const period = parseIntParam(fields.period, 30, 'error.invalidPeriod');
+  if (period < MIN_PERIOD || period > MAX_PERIOD) {
+    throw messageError('error.periodRange', { min: MIN_PERIOD, max: MAX_PERIOD });
+  }
+  const algorithmKey = (fields.algorithm || 'SHA1').toUpperCase().replace(/[-_]/g, '');
+  const algorithm = ALGORITHMS[algorithmKey];
+  if (!algorithm) throw messageError('error.unsupportedAlgorithm', { algorithm: fields.algorithm });
+  const type = (fields.type || 'totp').toLowerCase();
+  if (type !== 'totp' && type !== 'hotp') throw messageError('error.unsupportedType', { type: fields.type });
+  // HOTP 的 counter 是下一个待使用的计数器值；TOTP 不使用该字段
+  const counter = type === 'hotp' ? parseIntParam(fields.counter, 0, 'error.invalidCounter') : 0;
+  if (!Number.isSafeInteger(counter)) throw messageError('error.invalidCounter', { value: fields.counter });
+
+  // 确认密钥是合法的 Base32 且非空
+  let valid;
+  try {
+    valid = new TOTP(secret).secret.length > 0;
+  } catch (e) {
+    valid = false;
+  }
+  if (!valid) throw messageError('error.invalidSecret');
+  return { name, secret, issuer, digits, period, algorithm, encoder: isSteam ? 'steam' : null, type, counter, notes: normalizeNotes(fields.notes), tags: normalizeTags(fields.tags) };
+}
+
+/**
+ * 校验对已有密钥的修改。只返回 input 中出现的字段，便于 API 只修改部分字段。
+ * @param {object} input - 可包含 name、issuer、notes、tags。
+ * @returns {{name?: string, issuer?: ?string, notes?: ?string, tags?: ?string}}
+ * @throws {Error} 名称为空或备注、标签不合法时抛出。
+ */
+function normalizeKeyChanges(input) {
+  const changes = {};
+  if (input.name !== undefined && input.name !== null) {
+    changes.name = String(input.name).trim();
+    if (!changes.name) throw messageError('error.missingName');
+  }
+  if (input.issuer !== undefined && input.issuer !== null) changes.issuer = String(input.issuer).trim() || null;
+  if (input.notes !== undefined && input.notes !== null) changes.notes = normalizeNotes(input.notes);
+  if (input.tags !== undefined && input.tags !== null) changes.tags = normalizeTags(input.tags);
+  return changes;
+}
+
+/**
+ * 规范化备注：去掉首尾空白，空备注存为 null。
+ * @param {?string} value
+ * @returns {?string}
+ * @throws {Error} 超过 MAX_NOTES_LENGTH 个字符时抛出。
+ */
+function normalizeNotes(value) {
+  const notes = String(value || '').trim();
+  if (notes.length > MAX_NOTES_LENGTH) throw messageError('error.notesTooLong', { max: MAX_NOTES_LENGTH });
+  return notes || null;
+}
+
+/**
+ * 规范化标签：接受逗号分隔的字符串或数组（数组中的标签可以包含逗号），去除空白与重复项（不区分大小写），以 JSON 数组保存。
+ * 第一个标签同时作为页面上的分组。
+ * @param {?string|string[]} value
+ * @returns {?string}
+ * @throws {Error} 标签过多或过长时抛出。
+ */
+function normalizeTags(value) {
+  const tags = [];
+  for (const raw of Array.isArray(value) ? value : String(value || '').split(/[,，]/)) {
+    const tag = String(raw).trim();
+    if (!tag || tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) continue;
+    if (tag.length > MAX_TAG_LENGTH) throw messageError('error.tagTooLong', { max: MAX_TAG_LENGTH });
+    tags.push(tag);
   }
+  if (tags.length > MAX_TAGS) throw messageError('error.tooManyTags', { max: MAX_TAGS });
+  return tags.length ? JSON.stringify(tags) : null;
+}
+
+/**
+ * 将数据库中以 JSON 数组保存的标签解析为数组。
+ * @param {?string} value
+ * @returns {string[]}
+ */
+function splitTags(value) {
+  return value ? JSON.parse(value) : [];
+}
+
+/**
+ * 将可选的整数参数解析为数字，缺省时返回默认值。
+ * @param {?string|number} value
+ * @param {number} fallback
+ * @param {string} messageKey - 不是整数时使用的错误消息，{value} 为原始值。
+ * @returns {number}
+ */
+function parseIntParam(value, fallback, messageKey) {
+  if (value === null || value === undefined || String(value).trim() === '') return fallback;
+  if (!/^\d+$/.test(String(value).trim())) throw messageError(messageKey, { value });
+  return Number(value);
 }
 
 /**
@@ -503,3 +7036,835 @@ function base32ToBytes(str) {
   }
   return new Uint8Array(bytes);
 }
+
+/**
+ * 将字节数组编码为 Base32 字符串（无填充）。
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase32(bytes) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = 0, value = 0, output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += alphabet[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * 将字节数组编码为 base64url 字符串（无填充）。
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * 将 base64url（或标准 base64）字符串解码为字节数组。
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+function base64UrlToBytes(str) {
+  const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * 二维码 (QR Code, ISO/IEC 18004) 的纯 JavaScript 实现：生成用于迁移密钥的二维码，
+ * 并在浏览器不支持 BarcodeDetector 时从图片中识别二维码。不依赖任何外部服务。
+ */
+class QRCode {
+  /** 纠错等级在格式信息中的编码。 */
+  static ECC_LEVELS = { L: 1, M: 0, Q: 3, H: 2 };
+  /** 各纠错等级下每个纠错块的纠错码字数，下标为版本号 (1-40)。 */
+  static ECC_CODEWORDS = {
+    L: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  };
+  /** 各纠错等级下的纠错块数量，下标为版本号 (1-40)。 */
+  static ECC_BLOCKS = {
+    L: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+  };
+  /** 字母数字模式使用的 45 个字符。 */
+  static ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+  /** GF(256) 的指数表和对数表，第一次使用时生成。 */
+  static tables = null;
+
+  /**
+   * 把文本编码为二维码（字节模式，UTF-8），自动选择能容纳内容的最小版本和惩罚分最低的掩码。
+   * @param {string} text
+   * @param {string} [ecl='M'] - 纠错等级 ('L' | 'M' | 'Q' | 'H')。
+   * @returns {boolean[][]} 模块矩阵，true 为深色，按行排列。
+   */
+  static encode(text, ecl = 'M') {
+    const bytes = new TextEncoder().encode(text);
+    let version = 1;
+    while (4 + (version < 10 ? 8 : 16) + bytes.length * 8 > QRCode.dataCodewords(version, ecl) * 8) {
+      if (++version > 40) throw new Error('内容过长，无法生成二维码');
+    }
+    const capacity = QRCode.dataCodewords(version, ecl);
+    const bits = [];
+    const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    for (const b of bytes) push(b, 8);
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((v, b) => (v << 1) | b, 0));
+    for (let pad = 0xEC; data.length < capacity; pad ^= 0xEC ^ 0x11) data.push(pad);
+
+    const codewords = QRCode.interleave(version, ecl, data);
+    const { modules, reserved } = QRCode.template(version);
+    const positions = QRCode.dataPositions(modules.length, reserved);
+    positions.forEach(([x, y], i) => { modules[y][x] = i < codewords.length * 8 && ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1; });
+
+    let best = null, bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      const candidate = modules.map(row => row.slice());
+      for (const [x, y] of positions) if (QRCode.maskBit(mask, x, y)) candidate[y][x] = !candidate[y][x];
+      QRCode.drawFormat(candidate, QRCode.formatBits(ecl, mask));
+      const penalty = QRCode.penalty(candidate);
+      if (penalty < bestPenalty) { best = candidate; bestPenalty = penalty; }
+    }
+    return best;
+  }
+
+  /**
+   * 把模块矩阵渲染为 SVG 字符串，周围保留 border 个模块宽的空白区。
+   * @param {boolean[][]} modules
+   * @param {number} [border=4]
+   * @returns {string}
+   */
+  static toSvg(modules, border = 4) {
+    const size = modules.length + border * 2;
+    let path = '';
+    modules.forEach((row, y) => row.forEach((dark, x) => { if (dark) path += `M${x + border},${y + border}h1v1h-1z`; }));
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  /**
+   * 从图片像素中识别二维码。依次尝试局部阈值和全局阈值二值化，
+   * 通过三个定位图案确定位置，有校正图案时进行透视校正，并用 Reed-Solomon 纠错。
+   * @param {{ data: Uint8ClampedArray, width: number, height: number }} image - RGBA 像素，例如 canvas 的 ImageData。
+   * @returns {string|null} 二维码中的文本，未识别到时返回 null。
+   */
+  static decode(image) {
+    const gray = new Uint8Array(image.width * image.height);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = (image.data[i * 4] * 77 + image.data[i * 4 + 1] * 150 + image.data[i * 4 + 2] * 29) >> 8;
+    }
+    for (const binarize of [QRCode.localThreshold, QRCode.globalThreshold]) {
+      const bitmap = { bits: binarize(gray, image.width, image.height), width: image.width, height: image.height };
+      for (const finders of QRCode.findFinders(bitmap)) {
+        for (const dimension of QRCode.candidateDimensions(finders)) {
+          for (const modules of QRCode.sample(bitmap, finders, dimension)) {
+            try {
+              return QRCode.decodeMatrix(modules);
+            } catch (e) {
+              // 定位或尺寸估计不准、读数错误过多，继续尝试下一个候选
+            }
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /* --- 结构 --- */
+
+  /**
+   * 指定版本和纠错等级下可用的数据码字数。
+   * @param {number} version
+   * @param {string} ecl
+   * @returns {number}
+   */
+  static dataCodewords(version, ecl) {
+    return Math.floor(QRCode.rawModules(version) / 8) - QRCode.ECC_CODEWORDS[ecl][version] * QRCode.ECC_BLOCKS[ecl][version];
+  }
+
+  /**
+   * 指定版本中除功能图案、格式信息和版本信息以外可用于存放码字的模块数。
+   * @param {number} version
+   * @returns {number}
+   */
+  static rawModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const count = Math.floor(version / 7) + 2;
+      result -= (25 * count - 10) * count - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  /**
+   * 校正图案中心的行列坐标。
+   * @param {number} version
+   * @returns {number[]}
+   */
+  static alignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = version * 4 + 10; result.length < count; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
+
+  /**
+   * 画出定位图案、分隔符、定时图案、校正图案、暗模块和版本信息，并标记出这些模块及格式信息区域。
+   * @param {number} version
+   * @returns {{ modules: boolean[][], reserved: boolean[][] }}
+   */
+  static template(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      if (x < 0 || y < 0 || x >= size || y >= size) return;
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const d = Math.max(Math.abs(dx), Math.abs(dy));
+          set(cx + dx, cy + dy, d !== 2 && d !== 4);
+        }
+      }
+    }
+    const align = QRCode.alignmentPositions(version);
+    align.forEach((cy, i) => align.forEach((cx, j) => {
+      const last = align.length - 1;
+      if ((i === 0 && (j === 0 || j === last)) || (i === last && j === 0)) return; // 与定位图案重叠的三个角不放校正图案
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+    for (const [x, y] of QRCode.formatPositions(size).flat()) set(x, y, false);
+    set(8, size - 8, true);
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3, b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
+    }
+    return { modules, reserved };
+  }
+
+  /**
+   * 格式信息两份副本的模块坐标 [x, y]，按第 0 到第 14 位排列。
+   * @param {number} size
+   * @returns {number[][][]}
+   */
+  static formatPositions(size) {
+    const first = [], second = [];
+    for (let i = 0; i < 15; i++) {
+      first.push(i < 6 ? [8, i] : i === 6 ? [8, 7] : i === 7 ? [8, 8] : i === 8 ? [7, 8] : [14 - i, 8]);
+      second.push(i < 8 ? [size - 1 - i, 8] : [8, size - 15 + i]);
+    }
+    return [first, second];
+  }
+
+  /**
+   * 15 位格式信息（纠错等级 + 掩码，BCH 纠错后再异或固定掩码）。
+   * @param {string} ecl
+   * @param {number} mask
+   * @returns {number}
+   */
+  static formatBits(ecl, mask) {
+    const data = (QRCode.ECC_LEVELS[ecl] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    return ((data << 10) | rem) ^ 0x5412;
+  }
+
+  /** 把格式信息写入两份副本的位置。 */
+  static drawFormat(modules, bits) {
+    for (const copy of QRCode.formatPositions(modules.length)) {
+      copy.forEach(([x, y], i) => { modules[y][x] = ((bits >>> i) & 1) === 1; });
+    }
+  }
+
+  /**
+   * 按规范的之字形顺序（从右下角开始，两列一组上下交替）列出所有数据模块的坐标。
+   * @param {number} size
+   * @param {boolean[][]} reserved
+   * @returns {number[][]}
+   */
+  static dataPositions(size, reserved) {
+    const positions = [];
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // 跳过竖直的定时图案
+      const upward = ((right + 1) & 2) === 0;
+      for (let vert = 0; vert < size; vert++) {
+        const y = upward ? size - 1 - vert : vert;
+        for (const x of [right, right - 1]) {
+          if (!reserved[y][x]) positions.push([x, y]);
+        }
+      }
+    }
+    return positions;
+  }
+
+  /** 掩码图案在 (x, y) 处是否翻转模块，x 为列、y 为行。 */
+  static maskBit(mask, x, y) {
+    switch (mask) {
+      case 0: return (x + y) % 2 === 0;
+      case 1: return y % 2 === 0;
+      case 2: return x % 3 === 0;
+      case 3: return (x + y) % 3 === 0;
+      case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+      case 5: return x * y % 2 + x * y % 3 === 0;
+      case 6: return (x * y % 2 + x * y % 3) % 2 === 0;
+      default: return ((x + y) % 2 + x * y % 3) % 2 === 0;
+    }
+  }
+
+  /**
+   * 计算掩码惩罚分：连续同色、2×2 同色块、类似定位图案的序列和深浅比例失衡。
+   * @param {boolean[][]} modules
+   * @returns {number}
+   */
+  static penalty(modules) {
+    const size = modules.length;
+    let score = 0, dark = 0;
+    const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+    for (const horizontal of [true, false]) {
+      for (let i = 0; i < size; i++) {
+        const line = Array.from({ length: size }, (_, j) => horizontal ? modules[i][j] : modules[j][i]);
+        let run = 1;
+        for (let j = 1; j <= size; j++) {
+          if (j < size && line[j] === line[j - 1]) { run++; continue; }
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+        for (let j = 0; j + 11 <= size; j++) {
+          if (finderLike.some(p => p.every((v, k) => line[j + k] === (v === 1)))) score += 40;
+        }
+      }
+    }
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x + 1 < size && y + 1 < size) {
+          const c = modules[y][x];
+          if (modules[y][x + 1] === c && modules[y + 1][x] === c && modules[y + 1][x + 1] === c) score += 3;
+        }
+      }
+    }
+    return score + Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+  }
+
+  /* --- Reed-Solomon (GF(256)，本原多项式 0x11D) --- */
+
+  /** @returns {{ exp: Uint8Array, log: Uint8Array }} */
+  static gf() {
+    if (!QRCode.tables) {
+      const exp = new Uint8Array(512), log = new Uint8Array(256);
+      for (let i = 0, x = 1; i < 255; i++) {
+        exp[i] = x;
+        log[x] = i;
+        x = (x << 1) ^ (x & 0x80 ? 0x11D : 0);
+      }
+      for (let i = 255; i < 512; i++) exp[i] = exp[i - 255];
+      QRCode.tables = { exp, log };
+    }
+    return QRCode.tables;
+  }
+
+  /** GF(256) 乘法。 */
+  static mul(a, b) {
+    if (a === 0 || b === 0) return 0;
+    const { exp, log } = QRCode.gf();
+    return exp[log[a] + log[b]];
+  }
+
+  /** GF(256) 除法，b 不能为 0。 */
+  static div(a, b) {
+    if (a === 0) return 0;
+    const { exp, log } = QRCode.gf();
+    return exp[(log[a] + 255 - log[b]) % 255];
+  }
+
+  /**
+   * 计算一个数据块的纠错码字（生成多项式的根为 α^0 … α^(degree-1)）。
+   * @param {number[]} data
+   * @param {number} degree
+   * @returns {number[]}
+   */
+  static eccFor(data, degree) {
+    const { exp } = QRCode.gf();
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        divisor[j] = QRCode.mul(divisor[j], exp[i]);
+        if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+      }
+    }
+    const result = new Array(degree).fill(0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => { result[i] ^= QRCode.mul(coef, factor); });
+    }
+    return result;
+  }
+
+  /**
+   * 纠正一个码字块中的错误（Berlekamp-Massey + Chien 搜索 + Forney 算法），原地修改。
+   * @param {number[]} block - 数据码字加纠错码字。
+   * @param {number} eccLength
+   * @throws {Error} 错误数量超过纠错能力时抛出。
+   */
+  static correct(block, eccLength) {
+    const { exp } = QRCode.gf();
+    const syndromes = [];
+    for (let i = 0; i < eccLength; i++) {
+      syndromes.push(block.reduce((s, c) => QRCode.mul(s, exp[i]) ^ c, 0));
+    }
+    if (syndromes.every(s => s === 0)) return;
+
+    let locator = [1], previous = [1], length = 0, shift = 1, lastDiscrepancy = 1;
+    for (let n = 0; n < eccLength; n++) {
+      let d = syndromes[n];
+      for (let i = 1; i <= length; i++) d ^= QRCode.mul(locator[i] || 0, syndromes[n - i]);
+      if (d === 0) { shift++; continue; }
+      const next = locator.slice();
+      const scale = QRCode.div(d, lastDiscrepancy);
+      previous.forEach((coef, i) => { next[i + shift] = (next[i + shift] || 0) ^ QRCode.mul(scale, coef); });
+      if (2 * length <= n) {
+        previous = locator;
+        length = n + 1 - length;
+        lastDiscrepancy = d;
+        shift = 1;
+      } else {
+        shift++;
+      }
+      locator = next;
+    }
+
+    const evaluate = (poly, x) => poly.reduceRight((acc, coef) => QRCode.mul(acc, x) ^ (coef || 0), 0);
+    const omega = [];
+    for (let i = 0; i < eccLength; i++) {
+      let v = 0;
+      for (let j = 0; j <= i; j++) v ^= QRCode.mul(syndromes[j], locator[i - j] || 0);
+      omega.push(v);
+    }
+    const derivative = locator.map((coef, i) => (i % 2 === 1 ? coef : 0)).slice(1);
+    let found = 0;
+    for (let degree = 0; degree < block.length; degree++) {
+      const inverse = exp[(255 - degree) % 255];
+      if (evaluate(locator, inverse) !== 0) continue;
+      const magnitude = QRCode.mul(exp[degree], QRCode.div(evaluate(omega, inverse), evaluate(derivative, inverse)));
+      block[block.length - 1 - degree] ^= magnitude;
+      found++;
+    }
+    if (found !== length) throw new Error('二维码损坏，无法纠错');
+  }
+
+  /**
+   * 把数据码字分块、计算纠错码字并按规范交错排列。
+   * @param {number} version
+   * @param {string} ecl
+   * @param {number[]} data
+   * @returns {number[]}
+   */
+  static interleave(version, ecl, data) {
+    const blocks = QRCode.blockLayout(version, ecl).map(({ dataLength }) => {
+      const chunk = data.splice(0, dataLength);
+      return { data: chunk, ecc: QRCode.eccFor(chunk, QRCode.ECC_CODEWORDS[ecl][version]) };
+    });
+    const result = [];
+    const longest = Math.max(...blocks.map(b => b.data.length));
+    for (let i = 0; i < longest; i++) for (const b of blocks) if (i < b.data.length) result.push(b.data[i]);
+    for (let i = 0; i < blocks[0].ecc.length; i++) for (const b of blocks) result.push(b.ecc[i]);
+    return result;
+  }
+
+  /**
+   * 各纠错块的数据码字数：前面的短块比后面的长块少一个数据码字。
+   * @param {number} version
+   * @param {string} ecl
+   * @returns {{ dataLength: number }[]}
+   */
+  static blockLayout(version, ecl) {
+    const count = QRCode.ECC_BLOCKS[ecl][version];
+    const total = Math.floor(QRCode.rawModules(version) / 8);
+    const shortLength = Math.floor(total / count) - QRCode.ECC_CODEWORDS[ecl][version];
+    const shortCount = count - total % count;
+    return Array.from({ length: count }, (_, i) => ({ dataLength: shortLength + (i < shortCount ? 0 : 1) }));
+  }
+
+  /* --- 识别 --- */
+
+  /**
+   * 读取模块矩阵中的格式信息、去掉掩码、纠错并解析数据段。
+   * @param {boolean[][]} modules
+   * @returns {string}
+   */
+  static decodeMatrix(modules) {
+    const size = modules.length;
+    const version = (size - 17) / 4;
+    let format = null, bestDistance = 4;
+    for (const copy of QRCode.formatPositions(size)) {
+      const read = copy.reduce((v, [x, y], i) => v | ((modules[y][x] ? 1 : 0) << i), 0);
+      for (const ecl of Object.keys(QRCode.ECC_LEVELS)) {
+        for (let mask = 0; mask < 8; mask++) {
+          let diff = read ^ QRCode.formatBits(ecl, mask), distance = 0;
+          for (; diff; diff &= diff - 1) distance++;
+          if (distance < bestDistance) { format = { ecl, mask }; bestDistance = distance; }
+        }
+      }
+    }
+    if (!format) throw new Error('无法读取格式信息');
+
+    const { reserved } = QRCode.template(version);
+    const codewords = [];
+    QRCode.dataPositions(size, reserved).forEach(([x, y], i) => {
+      if (i >> 3 >= codewords.length) codewords.push(0);
+      const bit = modules[y][x] !== QRCode.maskBit(format.mask, x, y);
+      codewords[i >> 3] |= (bit ? 1 : 0) << (7 - (i & 7));
+    });
+
+    const eccLength = QRCode.ECC_CODEWORDS[format.ecl][version];
+    const layout = QRCode.blockLayout(version, format.ecl);
+    const blocks = layout.map(({ dataLength }) => ({ data: [], ecc: [], dataLength }));
+    let k = 0;
+    const longest = Math.max(...layout.map(b => b.dataLength));
+    for (let i = 0; i < longest; i++) for (const b of blocks) if (i < b.dataLength) b.data.push(codewords[k++]);
+    for (let i = 0; i < eccLength; i++) for (const b of blocks) b.ecc.push(codewords[k++]);
+    const data = [];
+    for (const b of blocks) {
+      const block = [...b.data, ...b.ecc];
+      QRCode.correct(block, eccLength);
+      data.push(...block.slice(0, b.dataLength));
+    }
+    return QRCode.parseSegments(data, version);
+  }
+
+  /**
+   * 解析数据码字中的数字、字母数字、字节和 ECI 段。字节段按 UTF-8 解码。
+   * @param {number[]} data
+   * @param {number} version
+   * @returns {string}
+   */
+  static parseSegments(data, version) {
+    let offset = 0;
+    const read = length => {
+      let value = 0;
+      for (let i = 0; i < length; i++, offset++) {
+        if (offset >= data.length * 8) throw new Error('二维码数据不完整');
+        value = (value << 1) | ((data[offset >> 3] >>> (7 - (offset & 7))) & 1);
+      }
+      return value;
+    };
+    const sizeClass = version < 10 ? 0 : version < 27 ? 1 : 2;
+    let text = '';
+    let bytes = [];
+    const flush = () => { text += new TextDecoder().decode(new Uint8Array(bytes)); bytes = []; };
+    while (offset + 4 <= data.length * 8) {
+      const mode = read(4);
+      if (mode === 0) break;
+      if (mode === 0b0111) { // ECI：只支持默认的 UTF-8 / ISO-8859-1 兼容解码，跳过指派编号
+        const first = read(8);
+        if (first & 0x80) read(first & 0x40 ? 16 : 8);
+        continue;
+      }
+      flush();
+      if (mode === 0b0001) {
+        let count = read([10, 12, 14][sizeClass]);
+        for (; count >= 3; count -= 3) text += String(read(10)).padStart(3, '0');
+        if (count === 2) text += String(read(7)).padStart(2, '0');
+        if (count === 1) text += String(read(4));
+      } else if (mode === 0b0010) {
+        let count = read([9, 11, 13][sizeClass]);
+        for (; count >= 2; count -= 2) {
+          const value = read(11);
+          text += QRCode.ALPHANUMERIC[Math.floor(value / 45)] + QRCode.ALPHANUMERIC[value % 45];
+        }
+        if (count === 1) text += QRCode.ALPHANUMERIC[read(6)];
+      } else if (mode === 0b0100) {
+        const count = read([8, 16, 16][sizeClass]);
+        for (let i = 0; i < count; i++) bytes.push(read(8));
+      } else {
+        throw new Error('不支持的二维码编码模式');
+      }
+    }
+    flush();
+    return text;
+  }
+
+  /**
+   * 以周围 1/8 图片大小窗口内的平均亮度为阈值二值化，能应对拍照时不均匀的光照。
+   * @returns {Uint8Array} 1 表示深色。
+   */
+  static localThreshold(gray, width, height) {
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += gray[y * width + x];
+        integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+      }
+    }
+    const radius = Math.max(8, Math.floor(Math.min(width, height) / 8));
+    const bits = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.max(0, y - radius), y1 = Math.min(height, y + radius + 1);
+      for (let x = 0; x < width; x++) {
+        const x0 = Math.max(0, x - radius), x1 = Math.min(width, x + radius + 1);
+        const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+        const mean = sum / ((x1 - x0) * (y1 - y0));
+        bits[y * width + x] = gray[y * width + x] < mean * 0.9 ? 1 : 0;
+      }
+    }
+    return bits;
+  }
+
+  /**
+   * 以 Otsu 方法求出的全局阈值二值化，适合截图等对比度均匀的图片。
+   * @returns {Uint8Array} 1 表示深色。
+   */
+  static globalThreshold(gray) {
+    const histogram = new Array(256).fill(0);
+    for (const v of gray) histogram[v]++;
+    const total = gray.length;
+    const sumAll = histogram.reduce((s, count, v) => s + count * v, 0);
+    let sumBelow = 0, countBelow = 0, best = 0, threshold = 128;
+    for (let t = 0; t < 256; t++) {
+      countBelow += histogram[t];
+      sumBelow += histogram[t] * t;
+      const countAbove = total - countBelow;
+      if (!countBelow || !countAbove) continue;
+      const between = countBelow * countAbove * (sumBelow / countBelow - (sumAll - sumBelow) / countAbove) ** 2;
+      if (between > best) { best = between; threshold = t; }
+    }
+    return gray.map(v => (v <= threshold ? 1 : 0));
+  }
+
+  /**
+   * 检查五段游程是否符合定位图案 1:1:3:1:1 的比例。
+   * @param {number[]} runs
+   * @returns {boolean}
+   */
+  static isFinderRatio(runs) {
+    const total = runs.reduce((a, b) => a + b, 0);
+    if (total < 7) return false;
+    const unit = total / 7, tolerance = unit / 1.5;
+    return runs.every((run, i) => Math.abs(run - unit * (i === 2 ? 3 : 1)) < tolerance * (i === 2 ? 3 : 1));
+  }
+
+  /**
+   * 从 (x, y) 出发沿 (dx, dy) 方向双向测量定位图案的五段游程。
+   * @returns {{ runs: number[], center: number }|null} center 为中心黑块的中点相对于起点所在像素的偏移。
+   */
+  static crossCheck({ bits, width, height }, x, y, dx, dy) {
+    const dark = (i) => {
+      const px = Math.floor(x) + dx * i, py = Math.floor(y) + dy * i;
+      return px >= 0 && py >= 0 && px < width && py < height ? bits[py * width + px] === 1 : null;
+    };
+    if (!dark(0)) return null;
+    const runs = [0, 0, 0, 0, 0];
+    let i = 0;
+    for (const [run, color] of [[2, true], [1, false], [0, true]]) {
+      while (dark(i) === color) { runs[run]++; i--; }
+      if (dark(i) === null && run !== 0) return null;
+    }
+    const start = i + 1;
+    i = 1;
+    for (const [run, color] of [[2, true], [3, false], [4, true]]) {
+      while (dark(i) === color) { runs[run]++; i++; }
+      if (dark(i) === null && run !== 4) return null;
+    }
+    if (!QRCode.isFinderRatio(runs)) return null;
+    return { runs, center: start + runs[0] + runs[1] + runs[2] / 2 };
+  }
+
+  /**
+   * 逐行扫描寻找定位图案，并在竖直和水平方向上交叉验证，再挑出最像等腰直角三角形顶点的几组三个。
+   * 数据区中偶尔也会出现符合比例的图案，但被扫描到的行数通常少得多，因此按扫描次数的差异降低其排名。
+   * @returns {{ topLeft, topRight, bottomLeft, module: number }[]} 按可能性排列的候选，最多 3 组。
+   */
+  static findFinders(bitmap) {
+    const { bits, width, height } = bitmap;
+    const candidates = [];
+    for (let y = 0; y < height; y++) {
+      const runs = [], starts = [];
+      for (let x = 0, last = -1; x < width; x++) {
+        const v = bits[y * width + x];
+        if (v !== last) { runs.push(0); starts.push(x); last = v; }
+        runs[runs.length - 1]++;
+      }
+      const firstDark = bits[y * width] === 1 ? 0 : 1;
+      for (let i = firstDark + 2; i + 2 < runs.length; i += 2) {
+        if (!QRCode.isFinderRatio(runs.slice(i - 2, i + 3))) continue;
+        const x = starts[i] + runs[i] / 2;
+        const vertical = QRCode.crossCheck(bitmap, x, y, 0, 1);
+        if (!vertical) continue;
+        const cy = y + vertical.center;
+        const horizontal = QRCode.crossCheck(bitmap, x, cy, 1, 0);
+        if (!horizontal) continue;
+        const cx = Math.floor(x) + horizontal.center;
+        const module = (vertical.runs.reduce((a, b) => a + b) + horizontal.runs.reduce((a, b) => a + b)) / 14;
+        const near = candidates.find(c => Math.abs(c.x - cx) <= c.module * 2 && Math.abs(c.y - cy) <= c.module * 2);
+        if (near) {
+          near.x = (near.x * near.count + cx) / (near.count + 1);
+          near.y = (near.y * near.count + cy) / (near.count + 1);
+          near.module = (near.module * near.count + module) / (near.count + 1);
+          near.count++;
+        } else {
+          candidates.push({ x: cx, y: cy, module, count: 1 });
+        }
+      }
+    }
+    const top = candidates.sort((a, b) => b.count - a.count).slice(0, 12);
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const trios = [];
+    for (let i = 0; i < top.length; i++) {
+      for (let j = i + 1; j < top.length; j++) {
+        for (let k = j + 1; k < top.length; k++) {
+          const trio = [top[i], top[j], top[k]];
+          const modules = trio.map(c => c.module);
+          if (Math.max(...modules) > Math.min(...modules) * 1.4) continue;
+          // 直角顶点对着最长的边
+          const sides = [[0, 1, 2], [1, 0, 2], [2, 0, 1]].map(([corner, a, b]) => ({ corner, long: distance(trio[a], trio[b]) }));
+          sides.sort((a, b) => b.long - a.long);
+          const corner = trio[sides[0].corner];
+          const [p, q] = trio.filter(c => c !== corner);
+          const d1 = distance(corner, p), d2 = distance(corner, q), hyp = sides[0].long;
+          if (Math.min(d1, d2) < corner.module * 12) continue;
+          const shape = Math.abs(d1 - d2) / Math.max(d1, d2) + Math.abs(hyp * hyp - d1 * d1 - d2 * d2) / (hyp * hyp);
+          if (shape > 0.35) continue;
+          const counts = trio.map(c => c.count);
+          // 图像坐标系 y 轴向下：右上角 → 左下角应为顺时针
+          const cross = (p.x - corner.x) * (q.y - corner.y) - (p.y - corner.y) * (q.x - corner.x);
+          trios.push({
+            ...(cross > 0 ? { topLeft: corner, topRight: p, bottomLeft: q } : { topLeft: corner, topRight: q, bottomLeft: p }),
+            module: (corner.module + p.module + q.module) / 3,
+            score: shape + (1 - Math.min(...counts) / Math.max(...counts)) / 2,
+          });
+        }
+      }
+    }
+    return trios.sort((a, b) => a.score - b.score).slice(0, 3);
+  }
+
+  /**
+   * 根据定位图案之间的距离估算二维码的边长（模块数），返回按可能性排列的候选值。
+   * 二维码倾斜时水平和竖直方向测得的游程偏长，按倾斜角度修正模块大小。
+   * @returns {number[]}
+   */
+  static candidateDimensions({ topLeft, topRight, bottomLeft, module }) {
+    const span = (Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) + Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y)) / 2;
+    const angle = Math.atan2(topRight.y - topLeft.y, topRight.x - topLeft.x);
+    const estimate = span / (module * Math.max(Math.abs(Math.cos(angle)), Math.abs(Math.sin(angle)))) + 7;
+    const version = Math.round((estimate - 17) / 4);
+    return [version, version - 1, version + 1].filter(v => v >= 1 && v <= 40).map(v => v * 4 + 17);
+  }
+
+  /**
+   * 按估计的边长对二值图采样得到模块矩阵。先用三个定位图案做仿射映射，
+   * 版本 2 以上再在右下角附近寻找校正图案，找到时优先尝试透视映射。
+   * @returns {boolean[][][]} 按优先顺序排列的候选模块矩阵。
+   */
+  static sample(bitmap, { topLeft, topRight, bottomLeft }, dimension) {
+    const { bits, width, height } = bitmap;
+    const span = dimension - 7;
+    const ux = (topRight.x - topLeft.x) / span, uy = (topRight.y - topLeft.y) / span;
+    const vx = (bottomLeft.x - topLeft.x) / span, vy = (bottomLeft.y - topLeft.y) / span;
+    const affine = (mx, my) => [topLeft.x + (mx - 3.5) * ux + (my - 3.5) * vx, topLeft.y + (mx - 3.5) * uy + (my - 3.5) * vy];
+    const darkAt = (x, y) => {
+      const px = Math.floor(x), py = Math.floor(y);
+      return px >= 0 && py >= 0 && px < width && py < height && bits[py * width + px] === 1;
+    };
+    const grid = map => Array.from({ length: dimension }, (_, y) => Array.from({ length: dimension }, (_, x) => darkAt(...map(x + 0.5, y + 0.5))));
+    const results = [grid(affine)];
+    if (dimension > 21) {
+      const [ex, ey] = affine(dimension - 6.5, dimension - 6.5);
+      const unit = Math.hypot(ux, uy);
+      let matches = [], bestScore = 23;
+      for (let oy = -4 * unit; oy <= 4 * unit; oy += unit / 4) {
+        for (let ox = -4 * unit; ox <= 4 * unit; ox += unit / 4) {
+          let score = 0;
+          for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+              const expected = Math.max(Math.abs(dx), Math.abs(dy)) !== 1;
+              if (darkAt(ex + ox + dx * ux + dy * vx, ey + oy + dx * uy + dy * vy) === expected) score++;
+            }
+          }
+          if (score > bestScore) { bestScore = score; matches = []; }
+          if (score === bestScore) matches.push([ox, oy]);
+        }
+      }
+      if (matches.length) {
+        // 数据区里也可能出现类似的图案：取离估计位置最近的匹配，再对它附近的匹配取平均得到中心
+        const nearest = matches.reduce((a, b) => (Math.hypot(...a) <= Math.hypot(...b) ? a : b));
+        const cluster = matches.filter(([ox, oy]) => Math.hypot(ox - nearest[0], oy - nearest[1]) <= unit);
+        const ax = ex + cluster.reduce((sum, [ox]) => sum + ox, 0) / cluster.length;
+        const ay = ey + cluster.reduce((sum, [, oy]) => sum + oy, 0) / cluster.length;
+        const to = QRCode.quadToQuad(
+          [3.5, 3.5, dimension - 3.5, 3.5, dimension - 6.5, dimension - 6.5, 3.5, dimension - 3.5],
+          [topLeft.x, topLeft.y, topRight.x, topRight.y, ax, ay, bottomLeft.x, bottomLeft.y]);
+        results.unshift(grid((mx, my) => {
+          const w = to[2] * mx + to[5] * my + to[8];
+          return [(to[0] * mx + to[3] * my + to[6]) / w, (to[1] * mx + to[4] * my + to[7]) / w];
+        }));
+      }
+    }
+    return results;
+  }
+
+  /**
+   * 求把四边形 from 映射到四边形 to 的透视变换矩阵（行向量约定，按行展开的 3×3 矩阵）。
+   * @param {number[]} from - 四个顶点 [x0, y0, … , x3, y3]。
+   * @param {number[]} to
+   * @returns {number[]}
+   */
+  static quadToQuad(from, to) {
+    const squareToQuad = ([x0, y0, x1, y1, x2, y2, x3, y3]) => {
+      const dx3 = x0 - x1 + x2 - x3, dy3 = y0 - y1 + y2 - y3;
+      if (dx3 === 0 && dy3 === 0) return [x1 - x0, y1 - y0, 0, x2 - x1, y2 - y1, 0, x0, y0, 1];
+      const dx1 = x1 - x2, dx2 = x3 - x2, dy1 = y1 - y2, dy2 = y3 - y2;
+      const denominator = dx1 * dy2 - dx2 * dy1;
+      const a13 = (dx3 * dy2 - dx2 * dy3) / denominator, a23 = (dx1 * dy3 - dx3 * dy1) / denominator;
+      return [x1 - x0 + a13 * x1, y1 - y0 + a13 * y1, a13, x3 - x0 + a23 * x3, y3 - y0 + a23 * y3, a23, x0, y0, 1];
+    };
+    const [a, b, c, d, e, f, g, h, i] = squareToQuad(from);
+    // 伴随矩阵即逆矩阵（相差一个比例因子，对透视变换无影响）
+    const inverse = [e * i - f * h, c * h - b * i, b * f - c * e, f * g - d * i, a * i - c * g, c * d - a * f, d * h - e * g, b * g - a * h, a * e - b * d];
+    const m = squareToQuad(to);
+    const result = [];
+    for (let r = 0; r < 3; r++) {
+      for (let col = 0; col < 3; col++) {
+        result.push(inverse[r * 3] * m[col] + inverse[r * 3 + 1] * m[3 + col] + inverse[r * 3 + 2] * m[6 + col]);
+      }
+    }
+    return result;
+  }
+}